@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+import { DirectedQuestions } from "./DirectedQuestions.sol";
+
+// Encrypted votes and answer scores for PrivacyQA. Each address holds one vote per answer,
+// which it can change. Scores stay encrypted: the answer and question authors can decrypt
+// them, everyone can once the question is closed, and while it is open only an ordering
+// derived under FHE is ever revealed.
+contract AnswerScores is SepoliaConfig, ERC2771Recipient {
+
+    uint32 public constant MAX_VOTE_SCORE = 10;
+    // Ranking compares every pair of answers under FHE, so it is capped to bound gas
+    uint32 public constant MAX_RANKED_ANSWERS = 8;
+    // Each ranking decrypts an ordering; refreshed after every vote it would give the votes away
+    uint256 public constant RANKING_INTERVAL = 1 days;
+
+    IPrivacyQA public immutable privacyQA;
+
+    // Plaintext signals about an answer's votes. revealedScore is only set once the question
+    // is closed and the scores are publicly decrypted; rank is an ordering hint (1 = highest
+    // score) from the last ranking pass, 0 if the answer was not ranked.
+    struct AnswerStats {
+        uint32 voteCount;
+        bool scoreRevealed;
+        uint32 revealedScore;
+        uint32 rank;
+    }
+
+    mapping(uint32 => euint32) private answerScores;
+    // Each voter's current score for an answer; a repeat vote replaces it
+    mapping(uint32 => mapping(address => euint32)) private answerVotes;
+    mapping(uint32 => mapping(address => bool)) public hasVoted;
+    mapping(uint32 => AnswerStats) public answerStats;
+
+    mapping(uint32 => bool) public scoreRevealRequested;
+    mapping(uint32 => uint256) public rankingUpdatedAt;
+    mapping(uint32 => uint256) public rankingRequestedAt;
+    mapping(uint32 => uint256) private latestRankingRequest;
+    mapping(uint256 => uint32) private requestQuestions;
+    mapping(uint256 => uint32[]) private requestAnswers;
+
+    event AnswerVoted(uint32 indexed answerId, address indexed voter, bool isChange);
+    event AnswerScoresRevealed(uint32 indexed questionId);
+    event AnswerRankingUpdated(uint32 indexed questionId);
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+    }
+
+    function voteOnAnswer(
+        uint32 _answerId,
+        externalEuint32 _score,
+        bytes calldata _inputProof
+    ) external {
+        (, , uint256 joinDate) = privacyQA.userProfiles(_msgSender());
+        require(joinDate != 0, "User not initialized");
+
+        (uint32 questionId, , address answerAuthor, , , ) = privacyQA.getAnswerInfo(_answerId);
+        require(answerAuthor != _msgSender(), "Cannot vote on own answer");
+        (, , address questionAuthor, , , bool isActive, ) = privacyQA.getQuestionInfo(questionId);
+        // Revealed totals are final, and only eligible answers are ranked or revealed
+        require(isActive && !scoreRevealRequested[questionId], "Voting has closed");
+        (, bool isEligible, ) = privacyQA.getAnswerEligibility(_answerId);
+        require(isEligible, "Answer is not eligible");
+        require(
+            DirectedQuestions(privacyQA.directedQuestions()).canAccess(questionId, _msgSender()),
+            "Not a recipient of this question"
+        );
+
+        // Scores cannot be range-checked in plaintext any more; clamp to 0-10 instead
+        euint32 encryptedVote = FHE.min(_fromExternal(_score, _inputProof), FHE.asEuint32(MAX_VOTE_SCORE));
+        bool isChange = hasVoted[_answerId][_msgSender()];
+
+        // A repeat vote swaps the previous score out of the total instead of adding to it
+        euint32 newScore = isChange
+            ? FHE.add(FHE.sub(answerScores[_answerId], answerVotes[_answerId][_msgSender()]), encryptedVote)
+            : FHE.add(_scoreOf(_answerId), encryptedVote);
+        answerScores[_answerId] = newScore;
+        answerVotes[_answerId][_msgSender()] = encryptedVote;
+        hasVoted[_answerId][_msgSender()] = true;
+        if (!isChange) answerStats[_answerId].voteCount++;
+
+        // The question author can read every answer's score while the question is open
+        FHE.allowThis(newScore);
+        FHE.allow(newScore, answerAuthor);
+        FHE.allow(newScore, questionAuthor);
+        FHE.allowThis(encryptedVote);
+        FHE.allow(encryptedVote, _msgSender());
+
+        // Participation reputation is earned once per answer, not per call
+        if (!isChange) {
+            privacyQA.addReputation(_msgSender(), 1);
+        }
+
+        emit AnswerVoted(_answerId, _msgSender(), isChange);
+    }
+
+    // Once a question is closed anyone can have its answer scores publicly decrypted.
+    // Answers nobody voted on have no ciphertext and are revealed as 0.
+    function revealScores(uint32 _questionId) external {
+        require(!privacyQA.isQuestionActive(_questionId), "Question is still open");
+        require(!scoreRevealRequested[_questionId], "Scores already revealed");
+
+        uint32[] memory answerIds = _eligibleAnswers(_questionId, type(uint32).max);
+        require(answerIds.length > 0, "No answers to reveal");
+        scoreRevealRequested[_questionId] = true;
+
+        bytes32[] memory cts = new bytes32[](answerIds.length);
+        for (uint i = 0; i < answerIds.length; i++) {
+            euint32 score = _scoreOf(answerIds[i]);
+            FHE.allowThis(score);
+            cts[i] = FHE.toBytes32(score);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.resolveRevealedScores.selector);
+        requestQuestions[requestId] = _questionId;
+        requestAnswers[requestId] = answerIds;
+    }
+
+    function resolveRevealedScores(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        uint32 questionId = requestQuestions[_requestId];
+        require(questionId != 0, "Unknown reveal request");
+        uint32[] memory answerIds = requestAnswers[_requestId];
+        delete requestQuestions[_requestId];
+        delete requestAnswers[_requestId];
+
+        for (uint i = 0; i < answerIds.length; i++) {
+            AnswerStats storage stats = answerStats[answerIds[i]];
+            stats.scoreRevealed = true;
+            stats.revealedScore = uint32(_cleartextAt(_cleartexts, i));
+        }
+
+        emit AnswerScoresRevealed(questionId);
+    }
+
+    // Ranks an open question's answers without revealing any score: each answer's rank is
+    // the encrypted count of answers scoring higher, and only those counts are decrypted.
+    // Only the question author, who can read the scores anyway, can refresh the ranking, and
+    // at most once per RANKING_INTERVAL; a newer request supersedes a pending one.
+    function refreshAnswerRanking(uint32 _questionId) external {
+        (, , address questionAuthor, , , bool isActive, ) = privacyQA.getQuestionInfo(_questionId);
+        require(_msgSender() == questionAuthor, "Only the author can rank answers");
+        require(isActive, "Question is closed");
+        require(block.timestamp >= rankingRequestedAt[_questionId] + RANKING_INTERVAL, "Ranking was refreshed recently");
+        rankingRequestedAt[_questionId] = block.timestamp;
+
+        uint32[] memory answerIds = _eligibleAnswers(_questionId, MAX_RANKED_ANSWERS);
+        require(answerIds.length > 1, "Not enough answers to rank");
+
+        euint32[] memory scores = new euint32[](answerIds.length);
+        for (uint i = 0; i < answerIds.length; i++) {
+            scores[i] = _scoreOf(answerIds[i]);
+        }
+
+        bytes32[] memory cts = new bytes32[](answerIds.length);
+        for (uint i = 0; i < answerIds.length; i++) {
+            euint32 higher = FHE.asEuint32(0);
+            for (uint j = 0; j < answerIds.length; j++) {
+                if (i == j) continue;
+                higher = FHE.add(higher, FHE.asEuint32(FHE.gt(scores[j], scores[i])));
+            }
+            FHE.allowThis(higher);
+            cts[i] = FHE.toBytes32(higher);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.resolveAnswerRanking.selector);
+        latestRankingRequest[_questionId] = requestId;
+        requestQuestions[requestId] = _questionId;
+        requestAnswers[requestId] = answerIds;
+    }
+
+    function resolveAnswerRanking(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        uint32 questionId = requestQuestions[_requestId];
+        require(questionId != 0, "Unknown ranking request");
+        uint32[] memory answerIds = requestAnswers[_requestId];
+        delete requestQuestions[_requestId];
+        delete requestAnswers[_requestId];
+
+        if (latestRankingRequest[questionId] != _requestId) return;
+
+        uint32[] memory qAnswers = privacyQA.getQuestionAnswers(questionId);
+        for (uint i = 0; i < qAnswers.length; i++) {
+            answerStats[qAnswers[i]].rank = 0;
+        }
+        for (uint i = 0; i < answerIds.length; i++) {
+            answerStats[answerIds[i]].rank = uint32(_cleartextAt(_cleartexts, i)) + 1;
+        }
+        rankingUpdatedAt[questionId] = block.timestamp;
+
+        emit AnswerRankingUpdated(questionId);
+    }
+
+    // Zero until the answer gets its first vote
+    function getAnswerScore(uint32 _answerId) external view returns (euint32) {
+        return answerScores[_answerId];
+    }
+
+    // Only the voter can decrypt their own vote
+    function getVote(uint32 _answerId, address _voter) external view returns (
+        bool voted,
+        euint32 encryptedVote
+    ) {
+        return (hasVoted[_answerId][_voter], answerVotes[_answerId][_voter]);
+    }
+
+    function _scoreOf(uint32 _answerId) private returns (euint32) {
+        euint32 score = answerScores[_answerId];
+        return FHE.isInitialized(score) ? score : FHE.asEuint32(0);
+    }
+
+    // Answers that passed the reputation check, in submission order, at most _limit of them
+    function _eligibleAnswers(uint32 _questionId, uint32 _limit) private view returns (uint32[] memory ids) {
+        uint32[] memory qAnswers = privacyQA.getQuestionAnswers(_questionId);
+        ids = new uint32[](qAnswers.length < _limit ? qAnswers.length : _limit);
+
+        uint count = 0;
+        for (uint i = 0; i < qAnswers.length && count < ids.length; i++) {
+            (, bool isEligible, ) = privacyQA.getAnswerEligibility(qAnswers[i]);
+            if (isEligible) ids[count++] = qAnswers[i];
+        }
+        assembly { mstore(ids, count) }
+    }
+
+    // Decrypted values arrive ABI-encoded one per 32-byte word, in request order
+    function _cleartextAt(bytes memory _cleartexts, uint256 _index) private pure returns (uint256 value) {
+        assembly { value := mload(add(add(_cleartexts, 32), mul(_index, 32))) }
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+import { ExpertRegistry } from "./ExpertRegistry.sol";
+
+// Expert review of answers for PrivacyQA. Experts approved for a specialty matching the
+// question's category vouch for an answer, optionally saying why; once enough current experts
+// have, the answer is marked verified on PrivacyQA.
+contract AnswerVerification is ERC2771Recipient {
+
+    uint32 public constant VERIFICATION_REPUTATION = 10;
+
+    IPrivacyQA public immutable privacyQA;
+
+    // Number of expert verifications an answer needs before it counts as verified
+    uint32 public verificationQuorum;
+
+    struct Verification {
+        address verifier;
+        uint256 timestamp;
+        string rationale;
+    }
+
+    mapping(uint32 => Verification[]) private answerVerifications;
+    mapping(uint32 => mapping(address => bool)) public hasVerified;
+    // The author is rewarded the first time an answer reaches quorum, not on every flip
+    mapping(uint32 => bool) private verificationRewarded;
+
+    event AnswerVerificationAdded(uint32 indexed answerId, address indexed verifier, string rationale);
+    event AnswerVerificationRetracted(uint32 indexed answerId, address indexed verifier);
+    event VerificationQuorumUpdated(uint32 quorum);
+
+    modifier onlyAdmin() {
+        require(privacyQA.hasRole(privacyQA.ADMIN_ROLE(), _msgSender()), "Not authorized");
+        _;
+    }
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+        verificationQuorum = 2;
+    }
+
+    function verifyAnswer(uint32 _answerId, string calldata _rationale) external {
+        require(canVerify(_answerId, _msgSender()), "Not an expert for this question");
+        require(!hasVerified[_answerId][_msgSender()], "Already verified");
+
+        hasVerified[_answerId][_msgSender()] = true;
+        answerVerifications[_answerId].push(Verification({
+            verifier: _msgSender(),
+            timestamp: block.timestamp,
+            rationale: _rationale
+        }));
+
+        emit AnswerVerificationAdded(_answerId, _msgSender(), _rationale);
+        updateVerificationStatus(_answerId);
+    }
+
+    function retractVerification(uint32 _answerId) external {
+        require(hasVerified[_answerId][_msgSender()], "Not verified by you");
+
+        Verification[] storage verifications = answerVerifications[_answerId];
+        for (uint i = 0; i < verifications.length; i++) {
+            if (verifications[i].verifier == _msgSender()) {
+                verifications[i] = verifications[verifications.length - 1];
+                verifications.pop();
+                break;
+            }
+        }
+        hasVerified[_answerId][_msgSender()] = false;
+
+        emit AnswerVerificationRetracted(_answerId, _msgSender());
+        updateVerificationStatus(_answerId);
+    }
+
+    // Brings PrivacyQA's isVerified flag in line with the current quorum. Runs after every
+    // verification change; anyone can call it for answers affected by a quorum change or by
+    // a verifier who was demoted or whose term expired.
+    function updateVerificationStatus(uint32 _answerId) public {
+        (, , address author, , bool isVerified, ) = privacyQA.getAnswerInfo(_answerId);
+        bool meetsQuorum = countVerifications(_answerId) >= verificationQuorum;
+        if (meetsQuorum == isVerified) return;
+
+        privacyQA.setAnswerVerified(_answerId, meetsQuorum);
+
+        if (meetsQuorum && !verificationRewarded[_answerId]) {
+            verificationRewarded[_answerId] = true;
+            privacyQA.addReputation(author, VERIFICATION_REPUTATION);
+        }
+    }
+
+    function setVerificationQuorum(uint32 _quorum) external onlyAdmin {
+        require(_quorum > 0, "Quorum must be positive");
+        verificationQuorum = _quorum;
+
+        emit VerificationQuorumUpdated(_quorum);
+    }
+
+    // Experts may verify eligible answers to questions in one of their approved specialties
+    // or its subcategories, except their own
+    function canVerify(uint32 _answerId, address _expert) public view returns (bool) {
+        (uint32 questionId, , address author, , , ) = privacyQA.getAnswerInfo(_answerId);
+        if (author == _expert) return false;
+
+        (, bool isEligible, ) = privacyQA.getAnswerEligibility(_answerId);
+        if (!isEligible) return false;
+
+        (, uint32 categoryId, , , , , , ) = privacyQA.questions(questionId);
+        return ExpertRegistry(privacyQA.expertRegistry()).isExpertIn(_expert, categoryId);
+    }
+
+    // Verifications by experts who have since been demoted or expired stay listed but no
+    // longer count toward the quorum
+    function countVerifications(uint32 _answerId) public view returns (uint32 count) {
+        ExpertRegistry expertRegistry = ExpertRegistry(privacyQA.expertRegistry());
+        Verification[] storage verifications = answerVerifications[_answerId];
+        for (uint i = 0; i < verifications.length; i++) {
+            if (expertRegistry.isExpert(verifications[i].verifier)) count++;
+        }
+    }
+
+    function getVerifications(uint32 _answerId) external view returns (Verification[] memory) {
+        return answerVerifications[_answerId];
+    }
+}
@@ -0,0 +1,281 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+// Holds question bounties in ETH or an allow-listed ERC-20 token. PrivacyQA decides who gets
+// paid; this contract only keeps the funds, which also keeps PrivacyQA under the size limit.
+contract BountyEscrow is ERC2771Recipient {
+
+    uint32 public constant MIN_BOUNTY_DURATION = 1 days;
+    uint32 public constant MAX_BOUNTY_DURATION = 90 days;
+
+    IPrivacyQA public immutable privacyQA;
+
+    // token is address(0) for ETH bounties
+    struct Bounty {
+        uint256 amount;
+        uint256 deadline;
+        address token;
+    }
+
+    mapping(uint32 => Bounty) public bounties;
+    mapping(uint32 => mapping(address => uint256)) public bountyContributions;
+    mapping(uint32 => address[]) private bountyFunders;
+    mapping(address => mapping(address => uint256)) public claimableBounties;
+
+    // ERC-20 tokens that bounties may be denominated in, in the order they were first listed
+    mapping(address => bool) public allowedBountyTokens;
+    address[] private bountyTokenList;
+
+    event BountyIncreased(uint32 indexed questionId, address indexed funder, uint256 amount, uint256 total);
+    event BountyRefunded(uint32 indexed questionId, address indexed recipient, uint256 amount);
+    event BountyClaimed(address indexed recipient, uint256 amount, address token);
+    event BountyTransferred(address indexed from, address indexed to, uint256 amount, address token);
+    event BountyTokenUpdated(address indexed token, bool allowed);
+
+    modifier onlyAdmin() {
+        require(privacyQA.hasRole(privacyQA.ADMIN_ROLE(), _msgSender()), "Not authorized");
+        _;
+    }
+
+    modifier onlyPrivacyQA() {
+        require(msg.sender == address(privacyQA), "Only PrivacyQA");
+        _;
+    }
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+    }
+
+    // Called by PrivacyQA.postQuestion so the bounty is attached in the same transaction.
+    // Token bounties are pulled from the asker, who approves this contract beforehand.
+    function openBounty(
+        uint32 _questionId,
+        address _funder,
+        address _token,
+        uint256 _tokenAmount,
+        uint32 _bountyDuration
+    ) external payable onlyPrivacyQA {
+        _openBounty(_questionId, _funder, _token, _tokenAmount, _bountyDuration);
+    }
+
+    // Anyone can add to an open question's bounty. Only the asker can open one on a question
+    // without a bounty, choosing its window of _bountyDuration and its _token; top-ups keep
+    // the existing token and deadline.
+    // ETH is sent as msg.value with _token = address(0); tokens need an approval for _tokenAmount.
+    // A paid out bounty takes no more funds, since the question cannot be awarded again.
+    function increaseBounty(
+        uint32 _questionId,
+        address _token,
+        uint256 _tokenAmount,
+        uint32 _bountyDuration
+    ) external payable {
+        require(privacyQA.isQuestionActive(_questionId), "Question is closed");
+
+        Bounty storage bounty = bounties[_questionId];
+        if (bounty.deadline == 0) {
+            (, , address author, , , , ) = privacyQA.getQuestionInfo(_questionId);
+            require(_msgSender() == author, "Only the author can open a bounty");
+            _openBounty(_questionId, _msgSender(), _token, _tokenAmount, _bountyDuration);
+        } else {
+            require(_token == bounty.token, "Bounty is in a different currency");
+            require(block.timestamp <= bounty.deadline, "Bounty has expired");
+            // Open, unexpired bounties only reach zero through payout
+            require(bounty.amount > 0, "Bounty already paid out");
+            _fundBounty(_questionId, _msgSender(), _collectBounty(_msgSender(), _token, _tokenAmount));
+        }
+    }
+
+    // Called by PrivacyQA when the asker awards answers. Credits each recipient their
+    // percentage of the bounty, if it has not expired, and returns the amounts credited.
+    function payout(
+        uint32 _questionId,
+        address[] calldata _recipients,
+        uint8[] calldata _shares
+    ) external onlyPrivacyQA returns (address token, uint256[] memory amounts) {
+        Bounty storage bounty = bounties[_questionId];
+        token = bounty.token;
+        amounts = new uint256[](_recipients.length);
+
+        if (bounty.amount == 0 || block.timestamp > bounty.deadline) {
+            return (token, amounts);
+        }
+
+        uint256 total = bounty.amount;
+        uint256 remaining = total;
+        bounty.amount = 0;
+
+        for (uint i = 0; i < _recipients.length; i++) {
+            // The last recipient also takes any rounding dust
+            amounts[i] = i == _recipients.length - 1 ? remaining : total * _shares[i] / 100;
+            remaining -= amounts[i];
+            claimableBounties[_recipients[i]][token] += amounts[i];
+        }
+    }
+
+    function claimBounty(address _token) external {
+        uint256 amount = claimableBounties[_msgSender()][_token];
+        require(amount > 0, "No bounty to claim");
+
+        claimableBounties[_msgSender()][_token] = 0;
+        _sendBounty(_token, _msgSender(), amount);
+
+        emit BountyClaimed(_msgSender(), amount, _token);
+    }
+
+    // Called by PseudonymRegistry once the owner proved the pseudonym is theirs
+    function transferClaimable(address _from, address _to, address _token) external {
+        require(msg.sender == privacyQA.pseudonymRegistry(), "Not authorized");
+        uint256 amount = claimableBounties[_from][_token];
+        claimableBounties[_from][_token] = 0;
+        claimableBounties[_to][_token] += amount;
+
+        emit BountyTransferred(_from, _to, amount, _token);
+    }
+
+    // Each funder gets their own share back once the question is closed or the deadline
+    // passed without a best answer being selected
+    function reclaimBounty(uint32 _questionId) external {
+        Bounty storage bounty = bounties[_questionId];
+        uint256 amount = bountyContributions[_questionId][_msgSender()];
+        require(bounty.amount > 0 && amount > 0, "No bounty to reclaim");
+        require(_isRefundable(_questionId), "Bounty is still open");
+
+        bountyContributions[_questionId][_msgSender()] = 0;
+        bounty.amount -= amount;
+
+        _sendBounty(bounty.token, _msgSender(), amount);
+
+        emit BountyRefunded(_questionId, _msgSender(), amount);
+    }
+
+    function setBountyToken(address _token, bool _allowed) external onlyAdmin {
+        require(_token != address(0), "Invalid token");
+        if (!allowedBountyTokens[_token] && !_isListedBountyToken(_token)) {
+            bountyTokenList.push(_token);
+        }
+        allowedBountyTokens[_token] = _allowed;
+
+        emit BountyTokenUpdated(_token, _allowed);
+    }
+
+    function getBountyInfo(uint32 _questionId) external view returns (
+        uint256 bounty,
+        uint256 deadline,
+        bool refundable,
+        uint32 funderCount,
+        address token
+    ) {
+        Bounty storage info = bounties[_questionId];
+        return (
+            info.amount,
+            info.deadline,
+            info.amount > 0 && _isRefundable(_questionId),
+            uint32(bountyFunders[_questionId].length),
+            info.token
+        );
+    }
+
+    function getBountyFunders(uint32 _questionId) external view returns (
+        address[] memory funders,
+        uint256[] memory amounts
+    ) {
+        funders = bountyFunders[_questionId];
+        amounts = new uint256[](funders.length);
+        for (uint i = 0; i < funders.length; i++) {
+            amounts[i] = bountyContributions[_questionId][funders[i]];
+        }
+    }
+
+    // Every token ever listed, including ones since removed, so old bounties can still be shown
+    function getBountyTokens() external view returns (address[] memory tokens, bool[] memory allowed) {
+        tokens = bountyTokenList;
+        allowed = new bool[](tokens.length);
+        for (uint i = 0; i < tokens.length; i++) {
+            allowed[i] = allowedBountyTokens[tokens[i]];
+        }
+    }
+
+    function _openBounty(
+        uint32 _questionId,
+        address _funder,
+        address _token,
+        uint256 _tokenAmount,
+        uint32 _bountyDuration
+    ) private {
+        require(
+            _bountyDuration >= MIN_BOUNTY_DURATION && _bountyDuration <= MAX_BOUNTY_DURATION,
+            "Invalid bounty duration"
+        );
+        require(_token == address(0) || allowedBountyTokens[_token], "Token not allowed for bounties");
+
+        Bounty storage bounty = bounties[_questionId];
+        bounty.token = _token;
+        bounty.deadline = block.timestamp + _bountyDuration;
+
+        _fundBounty(_questionId, _funder, _collectBounty(_funder, _token, _tokenAmount));
+    }
+
+    // Pulls the funder's payment into escrow and returns the amount received. Tokens that
+    // take a fee on transfer deliver less than _tokenAmount, so the balance change is what counts.
+    function _collectBounty(address _funder, address _token, uint256 _tokenAmount) private returns (uint256) {
+        if (_token == address(0)) {
+            require(msg.value > 0, "Bounty amount must be positive");
+            return msg.value;
+        }
+
+        require(msg.value == 0, "ETH sent with token bounty");
+        require(_tokenAmount > 0, "Bounty amount must be positive");
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        _callToken(_token, abi.encodeCall(IERC20.transferFrom, (_funder, address(this), _tokenAmount)));
+        uint256 received = IERC20(_token).balanceOf(address(this)) - balanceBefore;
+        require(received > 0, "Bounty amount must be positive");
+        return received;
+    }
+
+    function _fundBounty(uint32 _questionId, address _funder, uint256 _amount) private {
+        Bounty storage bounty = bounties[_questionId];
+
+        if (bountyContributions[_questionId][_funder] == 0) {
+            bountyFunders[_questionId].push(_funder);
+        }
+        bountyContributions[_questionId][_funder] += _amount;
+        bounty.amount += _amount;
+
+        emit BountyIncreased(_questionId, _funder, _amount, bounty.amount);
+    }
+
+    function _sendBounty(address _token, address _to, uint256 _amount) private {
+        if (_token == address(0)) {
+            (bool sent, ) = payable(_to).call{value: _amount}("");
+            require(sent, "Bounty transfer failed");
+        } else {
+            _callToken(_token, abi.encodeCall(IERC20.transfer, (_to, _amount)));
+        }
+    }
+
+    // Accepts tokens that return nothing from transfer as well as ones that return true
+    function _callToken(address _token, bytes memory _data) private {
+        (bool success, bytes memory result) = _token.call(_data);
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "Token transfer failed");
+    }
+
+    function _isRefundable(uint32 _questionId) private view returns (bool) {
+        return !privacyQA.isQuestionActive(_questionId) || block.timestamp > bounties[_questionId].deadline;
+    }
+
+    function _isListedBountyToken(address _token) private view returns (bool) {
+        for (uint i = 0; i < bountyTokenList.length; i++) {
+            if (bountyTokenList[i] == _token) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+
+// The categories questions can be posted in. Admins add, rename and archive them; questions
+// refer to categories by id, so a rename carries over to every existing question. Names are
+// unique ignoring ASCII case, which keeps "technology" and "Technology" from both existing.
+contract CategoryRegistry is ERC2771Recipient {
+
+    IPrivacyQA public immutable privacyQA;
+
+    uint32 public nextCategoryId;
+
+    // parentId is 0 for top-level categories. Archived categories keep their questions but
+    // take no new ones.
+    struct Category {
+        string name;
+        uint32 parentId;
+        bool archived;
+    }
+
+    mapping(uint32 => Category) public categories;
+    mapping(bytes32 => uint32) private categoryIdsByName;
+
+    event CategoryAdded(uint32 indexed categoryId, string name, uint32 parentId);
+    event CategoryRenamed(uint32 indexed categoryId, string name);
+    event CategoryArchived(uint32 indexed categoryId, bool archived);
+
+    modifier onlyAdmin() {
+        require(privacyQA.hasRole(privacyQA.ADMIN_ROLE(), _msgSender()), "Not authorized");
+        _;
+    }
+
+    modifier categoryExists(uint32 _categoryId) {
+        require(_categoryId > 0 && _categoryId < nextCategoryId, "Category does not exist");
+        _;
+    }
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+        nextCategoryId = 1;
+    }
+
+    function addCategory(string calldata _name, uint32 _parentId) external onlyAdmin returns (uint32 categoryId) {
+        require(_parentId == 0 || isActive(_parentId), "Invalid parent category");
+
+        categoryId = nextCategoryId++;
+        _setName(categoryId, _name);
+        categories[categoryId].parentId = _parentId;
+
+        emit CategoryAdded(categoryId, _name, _parentId);
+    }
+
+    function renameCategory(uint32 _categoryId, string calldata _name) external onlyAdmin categoryExists(_categoryId) {
+        delete categoryIdsByName[_nameKey(categories[_categoryId].name)];
+        _setName(_categoryId, _name);
+
+        emit CategoryRenamed(_categoryId, _name);
+    }
+
+    function setCategoryArchived(uint32 _categoryId, bool _archived) external onlyAdmin categoryExists(_categoryId) {
+        categories[_categoryId].archived = _archived;
+
+        emit CategoryArchived(_categoryId, _archived);
+    }
+
+    // Whether new questions can be posted in the category
+    function isActive(uint32 _categoryId) public view returns (bool) {
+        return _categoryId > 0 && _categoryId < nextCategoryId && !categories[_categoryId].archived;
+    }
+
+    // Whether _categoryId is _ancestorId or one of its subcategories, at any depth. Parents
+    // always have a lower id than their children, so the walk ends at a top-level category.
+    function isWithin(uint32 _categoryId, uint32 _ancestorId) external view returns (bool) {
+        for (uint32 id = _categoryId; id != 0; id = categories[id].parentId) {
+            if (id == _ancestorId) return true;
+        }
+        return false;
+    }
+
+    function getCategoryName(uint32 _categoryId) external view returns (string memory) {
+        return categories[_categoryId].name;
+    }
+
+    // 0 if no category has that name
+    function getCategoryId(string calldata _name) external view returns (uint32) {
+        return categoryIdsByName[_nameKey(_name)];
+    }
+
+    // Every category ever added, archived ones included, in id order starting at 1
+    function getCategories() external view returns (
+        string[] memory names,
+        uint32[] memory parentIds,
+        bool[] memory archived
+    ) {
+        uint32 count = nextCategoryId - 1;
+        names = new string[](count);
+        parentIds = new uint32[](count);
+        archived = new bool[](count);
+
+        for (uint32 i = 0; i < count; i++) {
+            Category storage category = categories[i + 1];
+            names[i] = category.name;
+            parentIds[i] = category.parentId;
+            archived[i] = category.archived;
+        }
+    }
+
+    function _setName(uint32 _categoryId, string calldata _name) private {
+        require(bytes(_name).length > 0, "Category name cannot be empty");
+        bytes32 key = _nameKey(_name);
+        require(categoryIdsByName[key] == 0, "Category already exists");
+
+        categoryIdsByName[key] = _categoryId;
+        categories[_categoryId].name = _name;
+    }
+
+    function _nameKey(string memory _name) private pure returns (bytes32) {
+        // Lowercase a copy so a stored name keeps its original casing
+        bytes memory lower = bytes.concat(bytes(_name));
+        for (uint i = 0; i < lower.length; i++) {
+            if (lower[i] >= "A" && lower[i] <= "Z") {
+                lower[i] = bytes1(uint8(lower[i]) + 32);
+            }
+        }
+        return keccak256(lower);
+    }
+}
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+import { DirectedQuestions } from "./DirectedQuestions.sol";
+
+// Short comments on questions and answers, for clarifications that are not answers of
+// their own. Comments live outside PrivacyQA, so they never count as answers or towards
+// anyone's contributions. A comment can reply to another comment on the same question or
+// answer, which gives each card its own thread.
+contract CommentThreads is ERC2771Recipient {
+
+    uint32 public constant MAX_DEPTH = 3;
+
+    IPrivacyQA public immutable privacyQA;
+
+    uint32 public nextCommentId;
+
+    // answerId is 0 for comments on the question itself; parentId is 0 for top-level comments
+    struct Comment {
+        uint32 id;
+        uint32 questionId;
+        uint32 answerId;
+        uint32 parentId;
+        uint32 depth;
+        address author;
+        string encryptedContent;
+        uint256 timestamp;
+    }
+
+    mapping(uint32 => Comment) private comments;
+    // Every comment in a question's threads, its answers' included, in posting order
+    mapping(uint32 => uint32[]) private questionComments;
+
+    event CommentPosted(
+        uint32 indexed commentId,
+        uint32 indexed questionId,
+        uint32 answerId,
+        uint32 parentId,
+        address indexed author
+    );
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+        nextCommentId = 1;
+    }
+
+    // Comments are closed along with the question, and on directed questions only the author
+    // and recipients can comment. Answers hidden from other users, whether below the
+    // reputation threshold or deleted, take no comments.
+    function postComment(
+        uint32 _questionId,
+        uint32 _answerId,
+        uint32 _parentId,
+        string calldata _encryptedContent
+    ) external returns (uint32 commentId) {
+        (, , uint256 joinDate) = privacyQA.userProfiles(_msgSender());
+        require(joinDate != 0, "User not initialized");
+        require(privacyQA.isQuestionActive(_questionId), "Question is not active");
+        require(bytes(_encryptedContent).length > 0, "Comment cannot be empty");
+        require(
+            DirectedQuestions(privacyQA.directedQuestions()).canAccess(_questionId, _msgSender()),
+            "Not a recipient of this question"
+        );
+
+        if (_answerId != 0) {
+            (uint32 questionId, , , , , ) = privacyQA.getAnswerInfo(_answerId);
+            require(questionId == _questionId, "Answer is not on this question");
+            (bool eligibilityResolved, bool isEligible, ) = privacyQA.getAnswerEligibility(_answerId);
+            require(!eligibilityResolved || isEligible, "Answer is hidden");
+        }
+
+        uint32 depth = 0;
+        if (_parentId != 0) {
+            Comment storage parent = comments[_parentId];
+            require(parent.questionId == _questionId && parent.answerId == _answerId, "Invalid parent comment");
+            require(parent.depth < MAX_DEPTH, "Thread is too deep");
+            depth = parent.depth + 1;
+        }
+
+        commentId = nextCommentId++;
+        comments[commentId] = Comment({
+            id: commentId,
+            questionId: _questionId,
+            answerId: _answerId,
+            parentId: _parentId,
+            depth: depth,
+            author: _msgSender(),
+            encryptedContent: _encryptedContent,
+            timestamp: block.timestamp
+        });
+        questionComments[_questionId].push(commentId);
+
+        emit CommentPosted(commentId, _questionId, _answerId, _parentId, _msgSender());
+    }
+
+    function getComment(uint32 _commentId) external view returns (Comment memory) {
+        require(_commentId > 0 && _commentId < nextCommentId, "Comment does not exist");
+        return comments[_commentId];
+    }
+
+    // One call loads the threads of a question and all of its answers
+    function getQuestionComments(uint32 _questionId) external view returns (Comment[] memory result) {
+        uint32[] storage ids = questionComments[_questionId];
+        result = new Comment[](ids.length);
+        for (uint i = 0; i < ids.length; i++) {
+            result[i] = comments[ids[i]];
+        }
+    }
+}
@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+
+// Edits and deletions of questions and answers. PrivacyQA keeps the current content; this
+// contract checks who may change it and keeps every earlier version. The first edit also
+// records the original content, so a history always starts with what was first posted.
+contract ContentRevisions is ERC2771Recipient {
+
+    IPrivacyQA public immutable privacyQA;
+
+    struct Revision {
+        string encryptedContent;
+        uint256 timestamp;
+    }
+
+    mapping(uint32 => Revision[]) private questionRevisions;
+    mapping(uint32 => Revision[]) private answerRevisions;
+    mapping(uint32 => bool) public questionDeleted;
+    mapping(uint32 => bool) public answerDeleted;
+
+    event QuestionEdited(uint32 indexed questionId, uint32 revision);
+    event AnswerEdited(uint32 indexed answerId, uint32 revision);
+    event QuestionDeleted(uint32 indexed questionId);
+    event AnswerDeleted(uint32 indexed answerId);
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+    }
+
+    // Questions can be edited until they are closed
+    function editQuestion(uint32 _questionId, string calldata _encryptedContent) external {
+        (, string memory content, address author, uint256 timestamp, , bool isActive, ) = privacyQA.getQuestionInfo(_questionId);
+        require(_msgSender() == author, "Only the author can edit");
+        require(isActive, "Question is closed");
+        require(bytes(_encryptedContent).length > 0, "Question content cannot be empty");
+
+        Revision[] storage revisions = questionRevisions[_questionId];
+        if (revisions.length == 0) revisions.push(Revision(content, timestamp));
+        revisions.push(Revision(_encryptedContent, block.timestamp));
+
+        privacyQA.setContent(_questionId, false, _encryptedContent);
+
+        emit QuestionEdited(_questionId, uint32(revisions.length - 1));
+    }
+
+    // Answers are locked once they are verified or picked as best answer
+    function editAnswer(uint32 _answerId, string calldata _encryptedContent) external {
+        (, string memory content, , uint256 timestamp, , ) = privacyQA.getAnswerInfo(_answerId);
+        _requireAnswerUnlocked(_answerId);
+        require(bytes(_encryptedContent).length > 0, "Answer content cannot be empty");
+
+        Revision[] storage revisions = answerRevisions[_answerId];
+        if (revisions.length == 0) revisions.push(Revision(content, timestamp));
+        revisions.push(Revision(_encryptedContent, block.timestamp));
+
+        privacyQA.setContent(_answerId, true, _encryptedContent);
+
+        emit AnswerEdited(_answerId, uint32(revisions.length - 1));
+    }
+
+    // Closes the question and clears its content. The revision history, if any, stays.
+    function deleteQuestion(uint32 _questionId) external {
+        (, , address author, , , , ) = privacyQA.getQuestionInfo(_questionId);
+        require(_msgSender() == author, "Only the author can delete");
+        require(!questionDeleted[_questionId], "Already deleted");
+
+        questionDeleted[_questionId] = true;
+        privacyQA.removeContent(_questionId, false);
+
+        emit QuestionDeleted(_questionId);
+    }
+
+    // Hides the answer from the question, like an answer below the reputation threshold
+    function deleteAnswer(uint32 _answerId) external {
+        _requireAnswerUnlocked(_answerId);
+
+        answerDeleted[_answerId] = true;
+        privacyQA.removeContent(_answerId, true);
+
+        emit AnswerDeleted(_answerId);
+    }
+
+    function getQuestionRevisions(uint32 _questionId) external view returns (Revision[] memory) {
+        return questionRevisions[_questionId];
+    }
+
+    function getAnswerRevisions(uint32 _answerId) external view returns (Revision[] memory) {
+        return answerRevisions[_answerId];
+    }
+
+    function _requireAnswerUnlocked(uint32 _answerId) private view {
+        (, , address author, , bool isVerified, bool isBestAnswer) = privacyQA.getAnswerInfo(_answerId);
+        require(_msgSender() == author, "Only the author can change an answer");
+        require(!answerDeleted[_answerId], "Answer was deleted");
+        require(!isVerified && !isBestAnswer, "Answer is locked");
+    }
+}
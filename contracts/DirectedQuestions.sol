@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint256, externalEuint8, externalEuint256 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+import { ExpertRegistry } from "./ExpertRegistry.sol";
+import { CategoryRegistry } from "./CategoryRegistry.sol";
+
+// Questions addressed to chosen experts instead of everyone. The author posts the question
+// through this contract, which hands PrivacyQA the question and keeps its content key as an
+// FHE ciphertext. Recipients named by address get ACL access to the key straight away; experts
+// in one of the listed specialties (category ids, subcategories included) claim it with
+// claimAccess. Only the author and those recipients can read the thread, answer or comment,
+// and directed questions stay out of the public feed.
+contract DirectedQuestions is SepoliaConfig, ERC2771Recipient {
+
+    uint32 public constant MAX_RECIPIENTS = 20;
+    uint32 public constant MAX_SPECIALTIES = 5;
+
+    IPrivacyQA public immutable privacyQA;
+
+    struct Direction {
+        address author;
+        address[] recipients;
+        uint32[] specialties;
+        euint256 contentKey;
+    }
+
+    mapping(uint32 => Direction) private directions;
+    mapping(uint32 => bool) public isDirected;
+    // Recipients named by the author
+    mapping(uint32 => mapping(address => bool)) private keyHolders;
+    // Experts who claimed the content key. FHE access cannot be taken back, so a demoted or
+    // expired expert can still decrypt the key, but loses access to the thread.
+    mapping(uint32 => mapping(address => bool)) private keyClaims;
+    mapping(address => uint32[]) private recipientInbox;
+    // Filed under each listed specialty and its parent categories, so experts in a parent
+    // category find questions directed to its subcategories
+    mapping(uint32 => uint32[]) private specialtyInbox;
+    uint32[] private directedQuestionIds;
+
+    event QuestionDirected(uint32 indexed questionId, address[] recipients, uint32[] specialties);
+    event ContentKeyClaimed(uint32 indexed questionId, address indexed expert);
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+    }
+
+    // Posts the question on PrivacyQA and directs it in one transaction, so it is never
+    // public in between. Takes postQuestion's arguments plus the audience; the threshold and
+    // the content key are encrypted together for this contract.
+    function postDirectedQuestion(
+        uint32 _categoryId,
+        string calldata _encryptedContent,
+        externalEuint8 _reputationRequired,
+        uint32 _bountyDuration,
+        address _bountyToken,
+        uint256 _tokenAmount,
+        address[] calldata _recipients,
+        uint32[] calldata _specialties,
+        externalEuint256 _encryptedContentKey,
+        bytes calldata _inputProof
+    ) external payable returns (uint32 questionId) {
+        require(_recipients.length + _specialties.length > 0, "No recipients given");
+        require(_recipients.length <= MAX_RECIPIENTS, "Too many recipients");
+        require(_specialties.length <= MAX_SPECIALTIES, "Too many specialties");
+
+        euint8 reputationRequired = _fromExternal(_reputationRequired, _inputProof);
+        FHE.allowTransient(reputationRequired, address(privacyQA));
+        questionId = privacyQA.postQuestionFor{value: msg.value}(
+            _msgSender(),
+            _categoryId,
+            _encryptedContent,
+            reputationRequired,
+            _bountyDuration,
+            _bountyToken,
+            _tokenAmount
+        );
+
+        euint256 contentKey = _fromExternal(_encryptedContentKey, _inputProof);
+        FHE.allowThis(contentKey);
+        FHE.allow(contentKey, _msgSender());
+
+        Direction storage direction = directions[questionId];
+        direction.author = _msgSender();
+        direction.contentKey = contentKey;
+
+        for (uint i = 0; i < _recipients.length; i++) {
+            require(_recipients[i] != address(0) && _recipients[i] != _msgSender(), "Invalid recipient");
+            if (keyHolders[questionId][_recipients[i]]) continue;
+
+            keyHolders[questionId][_recipients[i]] = true;
+            FHE.allow(contentKey, _recipients[i]);
+            direction.recipients.push(_recipients[i]);
+            recipientInbox[_recipients[i]].push(questionId);
+        }
+        CategoryRegistry categoryRegistry = CategoryRegistry(privacyQA.categoryRegistry());
+        for (uint i = 0; i < _specialties.length; i++) {
+            require(categoryRegistry.isActive(_specialties[i]), "Invalid specialty");
+            direction.specialties.push(_specialties[i]);
+            for (uint32 id = _specialties[i]; id != 0; (, id, ) = categoryRegistry.categories(id)) {
+                specialtyInbox[id].push(questionId);
+            }
+        }
+
+        isDirected[questionId] = true;
+        directedQuestionIds.push(questionId);
+
+        emit QuestionDirected(questionId, direction.recipients, _specialties);
+    }
+
+    // Lets a current expert in one of the question's specialties decrypt the content key
+    function claimAccess(uint32 _questionId) external {
+        require(isDirected[_questionId], "Question is not directed");
+        require(!hasKeyAccess(_questionId, _msgSender()), "Already has access");
+        require(_matchesSpecialty(_questionId, _msgSender()), "Not an expert for this question");
+
+        keyClaims[_questionId][_msgSender()] = true;
+        FHE.allow(directions[_questionId].contentKey, _msgSender());
+
+        emit ContentKeyClaimed(_questionId, _msgSender());
+    }
+
+    // Whether the user may read and take part in the question. Public questions are open
+    // to everyone; PrivacyQA, AnswerScores and CommentThreads check this before accepting
+    // answers, votes and comments.
+    function canAccess(uint32 _questionId, address _user) public view returns (bool) {
+        return !isDirected[_questionId] || hasKeyAccess(_questionId, _user) || _matchesSpecialty(_questionId, _user);
+    }
+
+    function hasKeyAccess(uint32 _questionId, address _user) public view returns (bool) {
+        return directions[_questionId].author == _user
+            || keyHolders[_questionId][_user]
+            || (keyClaims[_questionId][_user] && _matchesSpecialty(_questionId, _user));
+    }
+
+    function getDirection(uint32 _questionId) external view returns (
+        address[] memory recipients,
+        uint32[] memory specialties,
+        euint256 contentKey
+    ) {
+        Direction storage direction = directions[_questionId];
+        return (direction.recipients, direction.specialties, direction.contentKey);
+    }
+
+    // Questions addressed to the user by name or through one of their current expert
+    // specialties, each listed once even when it matches several ways
+    function getInbox(address _user) external view returns (uint32[] memory inbox) {
+        (bool isCurrent, uint32[] memory specialties, , , ) = ExpertRegistry(privacyQA.expertRegistry()).getExpert(_user);
+        uint32[] storage direct = recipientInbox[_user];
+
+        uint total = direct.length;
+        if (isCurrent) {
+            for (uint i = 0; i < specialties.length; i++) {
+                total += specialtyInbox[specialties[i]].length;
+            }
+        }
+
+        uint32[] memory matches = new uint32[](total);
+        uint n = 0;
+        for (uint i = 0; i < direct.length; i++) n = _appendUnique(matches, n, direct[i]);
+        if (isCurrent) {
+            for (uint i = 0; i < specialties.length; i++) {
+                uint32[] storage matched = specialtyInbox[specialties[i]];
+                for (uint j = 0; j < matched.length; j++) n = _appendUnique(matches, n, matched[j]);
+            }
+        }
+
+        inbox = new uint32[](n);
+        for (uint i = 0; i < n; i++) inbox[i] = matches[i];
+    }
+
+    // Every directed question, for hiding them from the public feed
+    function getDirectedQuestions() external view returns (uint32[] memory) {
+        return directedQuestionIds;
+    }
+
+    // Adds _id after the first _length entries unless it is already among them; returns the new length
+    function _appendUnique(uint32[] memory _list, uint _length, uint32 _id) private pure returns (uint) {
+        for (uint i = 0; i < _length; i++) {
+            if (_list[i] == _id) return _length;
+        }
+        _list[_length] = _id;
+        return _length + 1;
+    }
+
+    function _matchesSpecialty(uint32 _questionId, address _user) private view returns (bool) {
+        uint32[] storage specialties = directions[_questionId].specialties;
+        if (specialties.length == 0) return false;
+
+        ExpertRegistry expertRegistry = ExpertRegistry(privacyQA.expertRegistry());
+        for (uint i = 0; i < specialties.length; i++) {
+            if (expertRegistry.isExpertIn(_user, specialties[i])) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint8, euint32, euint256, externalEuint8, externalEuint32, externalEuint256 } from "@fhevm/solidity/lib/FHE.sol";
+import { Impl, IFHEVMExecutor } from "@fhevm/solidity/lib/Impl.sol";
+import { FheType } from "@fhevm/solidity/lib/FheType.sol";
+
+// Base for contracts that accept meta-transactions relayed through TrustedForwarder. The
+// forwarder appends the address that signed the request to the calldata (ERC-2771), so
+// _msgSender() is the user whether they sent the transaction themselves or a relayer did.
+// Checks that only another contract may call a function keep using msg.sender.
+abstract contract ERC2771Recipient {
+
+    address public immutable trustedForwarder;
+
+    constructor(address _trustedForwarder) {
+        trustedForwarder = _trustedForwarder;
+    }
+
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder == trustedForwarder;
+    }
+
+    function _msgSender() internal view returns (address) {
+        if (msg.sender == trustedForwarder && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    // FHE.fromExternal only accepts inputs encrypted for msg.sender, which is the forwarder on
+    // relayed calls, so anyone could lift a handle and proof from a pending request and submit
+    // them as their own. These check the proof against _msgSender() instead.
+    function _fromExternal(externalEuint8 _input, bytes calldata _inputProof) internal returns (euint8) {
+        return euint8.wrap(_verifyInput(externalEuint8.unwrap(_input), _inputProof, FheType.Uint8));
+    }
+
+    function _fromExternal(externalEuint32 _input, bytes calldata _inputProof) internal returns (euint32) {
+        return euint32.wrap(_verifyInput(externalEuint32.unwrap(_input), _inputProof, FheType.Uint32));
+    }
+
+    function _fromExternal(externalEuint256 _input, bytes calldata _inputProof) internal returns (euint256) {
+        return euint256.wrap(_verifyInput(externalEuint256.unwrap(_input), _inputProof, FheType.Uint256));
+    }
+
+    // The executor grants this contract transient access to the verified handle
+    function _verifyInput(bytes32 _handle, bytes calldata _inputProof, FheType _type) private returns (bytes32) {
+        return IFHEVMExecutor(Impl.getCoprocessorConfig().CoprocessorAddress)
+            .verifyCiphertext(_handle, _msgSender(), _inputProof, _type);
+    }
+}
@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+import { CategoryRegistry } from "./CategoryRegistry.sol";
+
+// Expert status for PrivacyQA. Users apply for specific specialties, pointing at their
+// verified answers as evidence, and admins approve or reject the application. Verifiers
+// promote and demote experts directly. Expert status lasts for expertTerm and can be revoked at any time. Specialties are category ids,
+// so they follow renames, and an expert in a category also covers its subcategories.
+contract ExpertRegistry is ERC2771Recipient {
+
+    uint32 public constant MAX_APPLICATION_SPECIALTIES = 5;
+    uint32 public constant MAX_APPLICATION_EVIDENCE = 10;
+
+    IPrivacyQA public immutable privacyQA;
+
+    // How long a promotion lasts; 0 means experts never expire
+    uint256 public expertTerm;
+    uint32 public nextApplicationId;
+
+    enum ApplicationStatus { None, Pending, Approved, Rejected }
+
+    struct Application {
+        address applicant;
+        uint32[] specialties;
+        uint32[] evidenceAnswerIds;
+        uint256 submittedAt;
+        ApplicationStatus status;
+        address reviewer;
+        uint256 reviewedAt;
+    }
+
+    struct Expert {
+        uint32[] specialties;
+        uint256 since;
+        uint256 expiresAt;
+        address promotedBy;
+        bool active;
+    }
+
+    mapping(uint32 => Application) private applications;
+    mapping(address => uint32) public latestApplication;
+    // Applications awaiting review, in no particular order, with each one's position plus one
+    uint32[] private pendingApplications;
+    mapping(uint32 => uint256) private pendingIndex;
+    mapping(address => Expert) private experts;
+
+    event ExpertApplicationSubmitted(uint32 indexed applicationId, address indexed applicant);
+    event ExpertApplicationReviewed(uint32 indexed applicationId, address indexed applicant, bool approved, address reviewer);
+    event ExpertPromoted(address indexed user, address indexed promotedBy, uint256 expiresAt);
+    event ExpertDemoted(address indexed user, address indexed demotedBy);
+    event ExpertTermUpdated(uint256 term);
+
+    modifier onlyAdmin() {
+        require(privacyQA.hasRole(privacyQA.ADMIN_ROLE(), _msgSender()), "Not authorized");
+        _;
+    }
+
+    modifier onlyVerifier() {
+        require(privacyQA.hasRole(privacyQA.VERIFIER_ROLE(), _msgSender()), "Not authorized");
+        _;
+    }
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+        expertTerm = 365 days;
+        nextApplicationId = 1;
+    }
+
+    // Experts may apply again to renew their status or add specialties
+    function applyForExpert(uint32[] calldata _specialties, uint32[] calldata _evidenceAnswerIds) external {
+        (, , uint256 joinDate) = privacyQA.getUserInfo(_msgSender());
+        require(joinDate != 0, "User not initialized");
+        require(
+            applications[latestApplication[_msgSender()]].status != ApplicationStatus.Pending,
+            "Application already pending"
+        );
+        require(
+            _specialties.length > 0 && _specialties.length <= MAX_APPLICATION_SPECIALTIES,
+            "Invalid number of specialties"
+        );
+        require(_evidenceAnswerIds.length <= MAX_APPLICATION_EVIDENCE, "Too much evidence");
+
+        for (uint i = 0; i < _evidenceAnswerIds.length; i++) {
+            (, , address author, , bool isVerified, ) = privacyQA.getAnswerInfo(_evidenceAnswerIds[i]);
+            require(author == _msgSender() && isVerified, "Evidence must be your verified answers");
+        }
+
+        uint32 applicationId = nextApplicationId++;
+        Application storage application = applications[applicationId];
+        application.applicant = _msgSender();
+        _requireSpecialties(_specialties);
+        application.specialties = _specialties;
+        application.evidenceAnswerIds = _evidenceAnswerIds;
+        application.submittedAt = block.timestamp;
+        application.status = ApplicationStatus.Pending;
+
+        latestApplication[_msgSender()] = applicationId;
+        pendingApplications.push(applicationId);
+        pendingIndex[applicationId] = pendingApplications.length;
+
+        emit ExpertApplicationSubmitted(applicationId, _msgSender());
+    }
+
+    function reviewApplication(uint32 _applicationId, bool _approve) external onlyAdmin {
+        Application storage application = applications[_applicationId];
+        require(application.status == ApplicationStatus.Pending, "Application not pending");
+
+        application.status = _approve ? ApplicationStatus.Approved : ApplicationStatus.Rejected;
+        application.reviewer = _msgSender();
+        application.reviewedAt = block.timestamp;
+        _removePending(_applicationId);
+
+        if (_approve) {
+            _promote(application.applicant, application.specialties);
+        }
+
+        emit ExpertApplicationReviewed(_applicationId, application.applicant, _approve, _msgSender());
+    }
+
+    // Promotes without an application, e.g. for known specialists
+    function promoteToExpert(address _user, uint32[] calldata _specialties) external onlyVerifier {
+        (, , uint256 joinDate) = privacyQA.getUserInfo(_user);
+        require(joinDate != 0, "User not initialized");
+        require(_specialties.length > 0, "No specialties given");
+        _requireSpecialties(_specialties);
+
+        _promote(_user, _specialties);
+    }
+
+    function demoteExpert(address _user) external onlyVerifier {
+        require(experts[_user].active, "Not an expert");
+        delete experts[_user];
+
+        emit ExpertDemoted(_user, _msgSender());
+    }
+
+    // Only affects promotions made after the change
+    function setExpertTerm(uint256 _term) external onlyAdmin {
+        expertTerm = _term;
+
+        emit ExpertTermUpdated(_term);
+    }
+
+    function isExpert(address _user) public view returns (bool) {
+        Expert storage expert = experts[_user];
+        return expert.active && (expert.expiresAt == 0 || block.timestamp <= expert.expiresAt);
+    }
+
+    // Whether the user is a current expert in the category or one of its parent categories
+    function isExpertIn(address _user, uint32 _categoryId) external view returns (bool) {
+        if (!isExpert(_user)) return false;
+
+        CategoryRegistry categoryRegistry = CategoryRegistry(privacyQA.categoryRegistry());
+        uint32[] storage specialties = experts[_user].specialties;
+        for (uint i = 0; i < specialties.length; i++) {
+            if (categoryRegistry.isWithin(_categoryId, specialties[i])) return true;
+        }
+        return false;
+    }
+
+    // Also returns lapsed experts, with isCurrent false, so the UI can show when they expired
+    function getExpert(address _user) external view returns (
+        bool isCurrent,
+        uint32[] memory specialties,
+        uint256 since,
+        uint256 expiresAt,
+        address promotedBy
+    ) {
+        Expert storage expert = experts[_user];
+        return (isExpert(_user), expert.specialties, expert.since, expert.expiresAt, expert.promotedBy);
+    }
+
+    function getApplication(uint32 _applicationId) external view returns (
+        address applicant,
+        uint32[] memory specialties,
+        uint32[] memory evidenceAnswerIds,
+        uint256 submittedAt,
+        ApplicationStatus status,
+        address reviewer,
+        uint256 reviewedAt
+    ) {
+        Application storage application = applications[_applicationId];
+        return (
+            application.applicant,
+            application.specialties,
+            application.evidenceAnswerIds,
+            application.submittedAt,
+            application.status,
+            application.reviewer,
+            application.reviewedAt
+        );
+    }
+
+    function getPendingApplications() external view returns (uint32[] memory) {
+        return pendingApplications;
+    }
+
+    // A renewal extends the term and adds any specialties the expert does not have yet
+    function _promote(address _user, uint32[] memory _specialties) private {
+        Expert storage expert = experts[_user];
+        if (!isExpert(_user)) {
+            delete expert.specialties;
+            expert.since = block.timestamp;
+        }
+
+        for (uint i = 0; i < _specialties.length; i++) {
+            if (!_hasSpecialty(expert.specialties, _specialties[i])) {
+                expert.specialties.push(_specialties[i]);
+            }
+        }
+        expert.expiresAt = expertTerm == 0 ? 0 : block.timestamp + expertTerm;
+        expert.promotedBy = _msgSender();
+        expert.active = true;
+
+        emit ExpertPromoted(_user, _msgSender(), expert.expiresAt);
+    }
+
+    function _removePending(uint32 _applicationId) private {
+        uint256 index = pendingIndex[_applicationId] - 1;
+        uint32 lastId = pendingApplications[pendingApplications.length - 1];
+
+        pendingApplications[index] = lastId;
+        pendingIndex[lastId] = index + 1;
+        pendingApplications.pop();
+        delete pendingIndex[_applicationId];
+    }
+
+    function _hasSpecialty(uint32[] storage _specialties, uint32 _specialty) private view returns (bool) {
+        for (uint i = 0; i < _specialties.length; i++) {
+            if (_specialties[i] == _specialty) return true;
+        }
+        return false;
+    }
+
+    function _requireSpecialties(uint32[] calldata _specialties) private view {
+        CategoryRegistry categoryRegistry = CategoryRegistry(privacyQA.categoryRegistry());
+        for (uint i = 0; i < _specialties.length; i++) {
+            require(categoryRegistry.isActive(_specialties[i]), "Invalid specialty");
+        }
+    }
+}
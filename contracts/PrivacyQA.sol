@@ -1,25 +1,67 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint8, euint32, ebool, externalEuint8, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
-
-contract PrivacyQA is SepoliaConfig {
+import { BountyEscrow } from "./BountyEscrow.sol";
+import { AnswerScores } from "./AnswerScores.sol";
+import { AnswerVerification } from "./AnswerVerification.sol";
+import { ExpertRegistry } from "./ExpertRegistry.sol";
+import { CategoryRegistry } from "./CategoryRegistry.sol";
+import { ContentRevisions } from "./ContentRevisions.sol";
+import { CommentThreads } from "./CommentThreads.sol";
+import { DirectedQuestions } from "./DirectedQuestions.sol";
+import { PseudonymRegistry } from "./PseudonymRegistry.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+
+contract PrivacyQA is SepoliaConfig, ERC2771Recipient {
+
+    uint32 public constant MAX_INITIAL_REPUTATION = 10;
+    // Reputation an owner can take over from all of their pseudonyms together
+    uint32 public constant MAX_MERGED_REPUTATION = 100;
+    uint32 public constant MAX_BOUNTY_SPLITS = 10;
+
+    // Admins manage roles and platform settings, moderators close questions, verifiers
+    // manage experts and treasurers withdraw platform funds. The owner holds every role.
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
 
     address public owner;
+    // Ownership only moves once the new owner accepts it
+    address public pendingOwner;
     uint32 public nextQuestionId;
     uint32 public nextAnswerId;
 
+    // Bounty funds are held apart from this contract; see BountyEscrow
+    BountyEscrow public bountyEscrow;
+    // Votes and answer scores live in AnswerScores, which may add voting reputation here
+    AnswerScores public answerScores;
+    // Expert verifications and the quorum that flips isVerified live in AnswerVerification
+    AnswerVerification public answerVerification;
+    // Expert status, applications and terms live in ExpertRegistry
+    ExpertRegistry public expertRegistry;
+    // Questions must be posted in an active category from CategoryRegistry
+    CategoryRegistry public categoryRegistry;
+    // Edits and deletions go through ContentRevisions, which keeps the revision history
+    ContentRevisions public contentRevisions;
+    // Comments on questions and answers live in CommentThreads and are not answers
+    CommentThreads public commentThreads;
+    // Questions addressed to chosen experts only take answers from their recipients
+    DirectedQuestions public directedQuestions;
+    // Owners of anonymous pseudonyms claim their reputation through PseudonymRegistry
+    PseudonymRegistry public pseudonymRegistry;
+
     struct Question {
         uint32 id;
-        string category;
+        uint32 categoryId;
         string encryptedContent;
         address author;
         uint256 timestamp;
         uint32 answerCount;
         euint8 reputationRequired;
         bool isActive;
-        uint256 bounty;
     }
 
     struct Answer {
@@ -28,15 +70,16 @@ contract PrivacyQA is SepoliaConfig {
         string encryptedContent;
         address author;
         uint256 timestamp;
-        euint32 encryptedScore;
         bool isVerified;
         bool isBestAnswer;
+        ebool meetsReputation;
+        bool eligibilityResolved;
+        bool isEligible;
     }
 
     struct UserProfile {
         euint32 encryptedReputation;
         euint32 encryptedContributions;
-        bool isExpert;
         string[] specialties;
         uint256 joinDate;
     }
@@ -47,17 +90,38 @@ contract PrivacyQA is SepoliaConfig {
     mapping(uint32 => uint32[]) public questionAnswers;
     mapping(address => uint32[]) public userQuestions;
     mapping(address => uint32[]) public userAnswers;
-    mapping(string => uint32[]) public categoryQuestions;
-
-    event QuestionPosted(uint32 indexed questionId, address indexed author, string category);
+    // Feed listings: public questions only, newest last. Directed questions are left out,
+    // since only their recipients can read them.
+    uint32[] private publicQuestions;
+    mapping(uint32 => uint32[]) public categoryQuestions;
+    // A question's answers are awarded once; awarding again would pay out reputation again
+    mapping(uint32 => bool) public questionAwarded;
+    mapping(uint256 => uint32) private eligibilityRequests;
+    mapping(address => mapping(address => bool)) public reputationAccess;
+    mapping(address => address[]) private reputationViewers;
+    mapping(address => euint32) private mergedReputation;
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
+    event QuestionPosted(uint32 indexed questionId, address indexed author, uint32 indexed categoryId);
     event AnswerSubmitted(uint32 indexed answerId, uint32 indexed questionId, address indexed author);
     event AnswerVerified(uint32 indexed answerId, bool isVerified);
     event ReputationUpdated(address indexed user, uint256 timestamp);
     event BestAnswerSelected(uint32 indexed questionId, uint32 indexed answerId);
-    event BountyPaid(uint32 indexed questionId, address indexed recipient, uint256 amount);
+    event BountyPaid(uint32 indexed questionId, address indexed recipient, uint256 amount, address token);
+    event ReputationAccessGranted(address indexed user, address indexed viewer);
+    event AnswerEligibilityResolved(uint32 indexed answerId, uint32 indexed questionId, bool isEligible);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+        require(_msgSender() == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        require(hasRole(_role, _msgSender()), "Not authorized");
         _;
     }
 
@@ -71,203 +135,343 @@ contract PrivacyQA is SepoliaConfig {
         _;
     }
 
-    constructor() {
+    constructor(address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
         owner = msg.sender;
         nextQuestionId = 1;
         nextAnswerId = 1;
     }
 
-    function initializeUser(uint32 _initialReputation) external {
-        require(userProfiles[msg.sender].joinDate == 0, "User already initialized");
+    function initializeUser(externalEuint32 _initialReputation, bytes calldata _inputProof) external {
+        address sender = _msgSender();
+        require(userProfiles[sender].joinDate == 0, "User already initialized");
 
-        euint32 encryptedReputation = FHE.asEuint32(_initialReputation);
+        // The starting value is hidden, so cap it on-chain instead of trusting the client
+        euint32 encryptedReputation = FHE.min(
+            _fromExternal(_initialReputation, _inputProof),
+            FHE.asEuint32(MAX_INITIAL_REPUTATION)
+        );
         euint32 encryptedContributions = FHE.asEuint32(0);
 
-        userProfiles[msg.sender] = UserProfile({
+        userProfiles[sender] = UserProfile({
             encryptedReputation: encryptedReputation,
             encryptedContributions: encryptedContributions,
-            isExpert: false,
             specialties: new string[](0),
             joinDate: block.timestamp
         });
 
         FHE.allowThis(encryptedReputation);
         FHE.allowThis(encryptedContributions);
-        FHE.allow(encryptedReputation, msg.sender);
-        FHE.allow(encryptedContributions, msg.sender);
+        FHE.allow(encryptedReputation, sender);
+        FHE.allow(encryptedContributions, sender);
     }
 
     function postQuestion(
-        string calldata _category,
+        uint32 _categoryId,
         string calldata _encryptedContent,
-        uint8 _reputationRequired
+        externalEuint8 _reputationRequired,
+        bytes calldata _inputProof,
+        uint32 _bountyDuration,
+        address _bountyToken,
+        uint256 _tokenAmount
     ) external payable {
-        require(userProfiles[msg.sender].joinDate != 0, "User not initialized");
-        require(bytes(_encryptedContent).length > 0, "Question content cannot be empty");
-
-        euint8 encryptedReputationRequired = FHE.asEuint8(_reputationRequired);
-
-        questions[nextQuestionId] = Question({
-            id: nextQuestionId,
-            category: _category,
-            encryptedContent: _encryptedContent,
-            author: msg.sender,
-            timestamp: block.timestamp,
-            answerCount: 0,
-            reputationRequired: encryptedReputationRequired,
-            isActive: true,
-            bounty: msg.value
-        });
-
-        userQuestions[msg.sender].push(nextQuestionId);
-        categoryQuestions[_category].push(nextQuestionId);
+        uint32 questionId = _postQuestion(
+            _msgSender(),
+            _categoryId,
+            _encryptedContent,
+            _fromExternal(_reputationRequired, _inputProof),
+            _bountyDuration,
+            _bountyToken,
+            _tokenAmount
+        );
 
-        FHE.allowThis(encryptedReputationRequired);
-        FHE.allow(encryptedReputationRequired, msg.sender);
+        publicQuestions.push(questionId);
+        categoryQuestions[_categoryId].push(questionId);
+    }
 
-        emit QuestionPosted(nextQuestionId, msg.sender, _category);
-        nextQuestionId++;
+    // Called by DirectedQuestions.postDirectedQuestion, which verified the threshold input
+    // for the author and directs the question in the same transaction
+    function postQuestionFor(
+        address _author,
+        uint32 _categoryId,
+        string calldata _encryptedContent,
+        euint8 _reputationRequired,
+        uint32 _bountyDuration,
+        address _bountyToken,
+        uint256 _tokenAmount
+    ) external payable returns (uint32) {
+        require(msg.sender == address(directedQuestions), "Not authorized");
+        return _postQuestion(
+            _author,
+            _categoryId,
+            _encryptedContent,
+            _reputationRequired,
+            _bountyDuration,
+            _bountyToken,
+            _tokenAmount
+        );
     }
 
     function submitAnswer(
         uint32 _questionId,
         string calldata _encryptedContent
     ) external questionExists(_questionId) {
-        require(userProfiles[msg.sender].joinDate != 0, "User not initialized");
+        address sender = _msgSender();
+        require(userProfiles[sender].joinDate != 0, "User not initialized");
         require(questions[_questionId].isActive, "Question is not active");
         require(bytes(_encryptedContent).length > 0, "Answer content cannot be empty");
+        require(directedQuestions.canAccess(_questionId, sender), "Not a recipient of this question");
 
         Question storage question = questions[_questionId];
-        UserProfile storage userProfile = userProfiles[msg.sender];
-
-        // Check if user meets reputation requirement (simplified for demo)
-        // In real implementation, use FHE comparison
+        UserProfile storage userProfile = userProfiles[sender];
 
-        euint32 initialScore = FHE.asEuint32(0);
+        // Compare reputation against the threshold without revealing either value.
+        // The answer is always recorded; the encrypted result is resolved through the
+        // decryption oracle and answers below the threshold stay hidden.
+        ebool meetsReputation = FHE.ge(userProfile.encryptedReputation, question.reputationRequired);
 
         answers[nextAnswerId] = Answer({
             id: nextAnswerId,
             questionId: _questionId,
             encryptedContent: _encryptedContent,
-            author: msg.sender,
+            author: sender,
             timestamp: block.timestamp,
-            encryptedScore: initialScore,
             isVerified: false,
-            isBestAnswer: false
+            isBestAnswer: false,
+            meetsReputation: meetsReputation,
+            eligibilityResolved: false,
+            isEligible: false
         });
 
         questionAnswers[_questionId].push(nextAnswerId);
-        userAnswers[msg.sender].push(nextAnswerId);
+        userAnswers[sender].push(nextAnswerId);
         question.answerCount++;
 
-        FHE.allowThis(initialScore);
-        FHE.allow(initialScore, msg.sender);
+        FHE.allowThis(meetsReputation);
+        FHE.allow(meetsReputation, sender);
 
-        // Update user contributions
-        euint32 newContributions = FHE.add(userProfile.encryptedContributions, FHE.asEuint32(1));
+        // Update user contributions, counting only answers that clear the threshold
+        euint32 contribution = FHE.select(meetsReputation, FHE.asEuint32(1), FHE.asEuint32(0));
+        euint32 newContributions = FHE.add(userProfile.encryptedContributions, contribution);
         userProfile.encryptedContributions = newContributions;
 
         FHE.allowThis(newContributions);
-        FHE.allow(newContributions, msg.sender);
+        FHE.allow(newContributions, sender);
 
-        emit AnswerSubmitted(nextAnswerId, _questionId, msg.sender);
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(meetsReputation);
+        uint256 requestId = FHE.requestDecryption(cts, this.resolveAnswerEligibility.selector);
+        eligibilityRequests[requestId] = nextAnswerId;
+
+        emit AnswerSubmitted(nextAnswerId, _questionId, sender);
         nextAnswerId++;
     }
 
-    function voteOnAnswer(uint32 _answerId, uint32 _score) external answerExists(_answerId) {
-        require(userProfiles[msg.sender].joinDate != 0, "User not initialized");
-        require(_score <= 10, "Score must be between 0-10");
+    function resolveAnswerEligibility(
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) external {
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
 
-        Answer storage answer = answers[_answerId];
-        require(answer.author != msg.sender, "Cannot vote on own answer");
+        uint32 answerId = eligibilityRequests[_requestId];
+        require(answerId != 0, "Unknown eligibility request");
+        delete eligibilityRequests[_requestId];
 
-        euint32 encryptedVote = FHE.asEuint32(_score);
-        euint32 newScore = FHE.add(answer.encryptedScore, encryptedVote);
-        answer.encryptedScore = newScore;
+        // Deleted before the oracle answered; it already counts as hidden
+        Answer storage answer = answers[answerId];
+        if (answer.eligibilityResolved) return;
 
-        FHE.allowThis(newScore);
-        FHE.allow(newScore, answer.author);
+        bool isEligible = abi.decode(_cleartexts, (bool));
+        answer.eligibilityResolved = true;
+        answer.isEligible = isEligible;
 
-        // Update voter's reputation (small increase for participation)
-        UserProfile storage voterProfile = userProfiles[msg.sender];
-        euint32 newVoterReputation = FHE.add(voterProfile.encryptedReputation, FHE.asEuint32(1));
-        voterProfile.encryptedReputation = newVoterReputation;
-
-        FHE.allowThis(newVoterReputation);
-        FHE.allow(newVoterReputation, msg.sender);
+        // Hidden answers do not count towards the question's answers
+        if (!isEligible) {
+            questions[answer.questionId].answerCount--;
+        }
 
-        emit ReputationUpdated(msg.sender, block.timestamp);
+        emit AnswerEligibilityResolved(answerId, answer.questionId, isEligible);
     }
 
-    function verifyAnswer(uint32 _answerId, bool _isVerified) external onlyOwner answerExists(_answerId) {
-        Answer storage answer = answers[_answerId];
-        answer.isVerified = _isVerified;
+    function addReputation(address _user, uint32 _amount) external {
+        require(
+            msg.sender == address(answerScores) || msg.sender == address(answerVerification),
+            "Not authorized"
+        );
+        _addReputation(_user, _amount);
 
-        if (_isVerified) {
-            // Increase author's reputation for verified answer
-            UserProfile storage authorProfile = userProfiles[answer.author];
-            euint32 newReputation = FHE.add(authorProfile.encryptedReputation, FHE.asEuint32(10));
-            authorProfile.encryptedReputation = newReputation;
+        emit ReputationUpdated(_user, block.timestamp);
+    }
 
-            FHE.allowThis(newReputation);
-            FHE.allow(newReputation, answer.author);
+    // Called by PseudonymRegistry once the owner proved the pseudonym is theirs. Only what
+    // the pseudonym earned above the starting allowance moves, since any new profile can
+    // give itself that much. Pseudonyms cost nothing to create and earn reputation by voting,
+    // so the owner's total from merges is capped; anything above the cap stays behind.
+    function mergeReputation(address _from, address _to) external {
+        require(msg.sender == address(pseudonymRegistry), "Not authorized");
+        euint32 reputation = userProfiles[_from].encryptedReputation;
+        euint32 earned = FHE.sub(reputation, FHE.min(reputation, FHE.asEuint32(MAX_INITIAL_REPUTATION)));
+        euint32 merged = FHE.min(earned, FHE.sub(FHE.asEuint32(MAX_MERGED_REPUTATION), mergedReputation[_to]));
 
-            emit ReputationUpdated(answer.author, block.timestamp);
-        }
+        mergedReputation[_to] = FHE.add(mergedReputation[_to], merged);
+        FHE.allowThis(mergedReputation[_to]);
 
-        emit AnswerVerified(_answerId, _isVerified);
-    }
+        _setReputation(_from, FHE.sub(reputation, merged));
+        _setReputation(_to, FHE.add(userProfiles[_to].encryptedReputation, merged));
 
-    function selectBestAnswer(uint32 _questionId, uint32 _answerId) external questionExists(_questionId) answerExists(_answerId) {
-        Question storage question = questions[_questionId];
-        require(msg.sender == question.author, "Only question author can select best answer");
-        require(answers[_answerId].questionId == _questionId, "Answer does not belong to this question");
+        emit ReputationUpdated(_to, block.timestamp);
+    }
 
-        // Clear previous best answer if any
-        uint32[] storage qAnswers = questionAnswers[_questionId];
-        for (uint i = 0; i < qAnswers.length; i++) {
-            answers[qAnswers[i]].isBestAnswer = false;
+    // Called by ContentRevisions after it checked the edit and recorded the revision
+    function setContent(uint32 _id, bool _isAnswer, string calldata _encryptedContent) external {
+        require(msg.sender == address(contentRevisions), "Not authorized");
+        if (_isAnswer) {
+            answers[_id].encryptedContent = _encryptedContent;
+        } else {
+            questions[_id].encryptedContent = _encryptedContent;
         }
+    }
 
-        // Set new best answer
-        Answer storage bestAnswer = answers[_answerId];
-        bestAnswer.isBestAnswer = true;
-
-        // Pay bounty if available
-        if (question.bounty > 0) {
-            uint256 bounty = question.bounty;
-            question.bounty = 0;
-            payable(bestAnswer.author).transfer(bounty);
-            emit BountyPaid(_questionId, bestAnswer.author, bounty);
+    // Called by ContentRevisions when the author deletes a post. A deleted question is
+    // closed; a deleted answer is hidden the same way as one below the reputation threshold.
+    function removeContent(uint32 _id, bool _isAnswer) external {
+        require(msg.sender == address(contentRevisions), "Not authorized");
+        if (_isAnswer) {
+            Answer storage answer = answers[_id];
+            if (!answer.eligibilityResolved || answer.isEligible) {
+                questions[answer.questionId].answerCount--;
+            }
+            answer.eligibilityResolved = true;
+            answer.isEligible = false;
+            answer.encryptedContent = "";
+        } else {
+            questions[_id].isActive = false;
+            questions[_id].encryptedContent = "";
         }
+    }
 
-        // Increase best answer author's reputation significantly
-        UserProfile storage authorProfile = userProfiles[bestAnswer.author];
-        euint32 newReputation = FHE.add(authorProfile.encryptedReputation, FHE.asEuint32(25));
-        authorProfile.encryptedReputation = newReputation;
+    // Called by AnswerVerification when an answer reaches or drops below the expert quorum
+    function setAnswerVerified(uint32 _answerId, bool _isVerified) external answerExists(_answerId) {
+        require(msg.sender == address(answerVerification), "Not authorized");
+        answers[_answerId].isVerified = _isVerified;
 
-        FHE.allowThis(newReputation);
-        FHE.allow(newReputation, bestAnswer.author);
+        emit AnswerVerified(_answerId, _isVerified);
+    }
+
+    function selectBestAnswer(uint32 _questionId, uint32 _answerId) external {
+        uint32[] memory answerIds = new uint32[](1);
+        uint8[] memory shares = new uint8[](1);
+        answerIds[0] = _answerId;
+        shares[0] = 100;
+        _awardAnswers(_questionId, answerIds, shares);
+    }
 
-        emit BestAnswerSelected(_questionId, _answerId);
-        emit ReputationUpdated(bestAnswer.author, block.timestamp);
+    // Splits the bounty across several answers by percentage. The answer with the largest
+    // share becomes the best answer; every recipient earns reputation in proportion.
+    function splitBounty(uint32 _questionId, uint32[] calldata _answerIds, uint8[] calldata _shares) external {
+        _awardAnswers(_questionId, _answerIds, _shares);
     }
 
     function closeQuestion(uint32 _questionId) external questionExists(_questionId) {
         Question storage question = questions[_questionId];
-        require(msg.sender == question.author || msg.sender == owner, "Not authorized to close question");
+        require(
+            _msgSender() == question.author || hasRole(MODERATOR_ROLE, _msgSender()),
+            "Not authorized to close question"
+        );
 
         question.isActive = false;
     }
 
     function addSpecialty(string calldata _specialty) external {
-        require(userProfiles[msg.sender].joinDate != 0, "User not initialized");
-        userProfiles[msg.sender].specialties.push(_specialty);
+        address sender = _msgSender();
+        require(userProfiles[sender].joinDate != 0, "User not initialized");
+        userProfiles[sender].specialties.push(_specialty);
+    }
+
+    // Lets another address decrypt our reputation, now and after every future update
+    function grantReputationAccess(address _viewer) external {
+        address sender = _msgSender();
+        require(userProfiles[sender].joinDate != 0, "User not initialized");
+        require(_viewer != address(0) && _viewer != sender, "Invalid viewer");
+        require(!reputationAccess[sender][_viewer], "Access already granted");
+
+        reputationAccess[sender][_viewer] = true;
+        reputationViewers[sender].push(_viewer);
+        FHE.allow(userProfiles[sender].encryptedReputation, _viewer);
+
+        emit ReputationAccessGranted(sender, _viewer);
+    }
+
+    // Set once after deploying BountyEscrow with this contract's address
+    function setBountyEscrow(address _bountyEscrow) external onlyOwner {
+        require(address(bountyEscrow) == address(0), "Bounty escrow already set");
+        bountyEscrow = BountyEscrow(_bountyEscrow);
+    }
+
+    // Set once after deploying AnswerScores with this contract's address
+    function setAnswerScores(address _answerScores) external onlyOwner {
+        require(address(answerScores) == address(0), "Answer scores already set");
+        answerScores = AnswerScores(_answerScores);
+    }
+
+    // Set once after deploying AnswerVerification with this contract's address
+    function setAnswerVerification(address _answerVerification) external onlyOwner {
+        require(address(answerVerification) == address(0), "Answer verification already set");
+        answerVerification = AnswerVerification(_answerVerification);
+    }
+
+    // Set once after deploying CategoryRegistry with this contract's address
+    function setCategoryRegistry(address _categoryRegistry) external onlyOwner {
+        require(address(categoryRegistry) == address(0), "Category registry already set");
+        categoryRegistry = CategoryRegistry(_categoryRegistry);
+    }
+
+    // Set once after deploying ContentRevisions with this contract's address
+    function setContentRevisions(address _contentRevisions) external onlyOwner {
+        require(address(contentRevisions) == address(0), "Content revisions already set");
+        contentRevisions = ContentRevisions(_contentRevisions);
+    }
+
+    // Set once after deploying CommentThreads with this contract's address
+    function setCommentThreads(address _commentThreads) external onlyOwner {
+        require(address(commentThreads) == address(0), "Comment threads already set");
+        commentThreads = CommentThreads(_commentThreads);
+    }
+
+    // Set once after deploying DirectedQuestions with this contract's address
+    function setDirectedQuestions(address _directedQuestions) external onlyOwner {
+        require(address(directedQuestions) == address(0), "Directed questions already set");
+        directedQuestions = DirectedQuestions(_directedQuestions);
+    }
+
+    // Set once after deploying PseudonymRegistry with this contract's address
+    function setPseudonymRegistry(address _pseudonymRegistry) external onlyOwner {
+        require(address(pseudonymRegistry) == address(0), "Pseudonym registry already set");
+        pseudonymRegistry = PseudonymRegistry(_pseudonymRegistry);
+    }
+
+    // Set once after deploying ExpertRegistry with this contract's address
+    function setExpertRegistry(address _expertRegistry) external onlyOwner {
+        require(address(expertRegistry) == address(0), "Expert registry already set");
+        expertRegistry = ExpertRegistry(_expertRegistry);
+    }
+
+    function grantRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(!roles[_role][_account], "Role already granted");
+        roles[_role][_account] = true;
+
+        emit RoleGranted(_role, _account, _msgSender());
+    }
+
+    function revokeRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        require(roles[_role][_account], "Role not granted");
+        roles[_role][_account] = false;
+
+        emit RoleRevoked(_role, _account, _msgSender());
     }
 
-    function promoteToExpert(address _user) external onlyOwner {
-        require(userProfiles[_user].joinDate != 0, "User not initialized");
-        userProfiles[_user].isExpert = true;
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return _account == owner || roles[_role][_account];
     }
 
     function getQuestionInfo(uint32 _questionId) external view questionExists(_questionId) returns (
@@ -280,15 +484,17 @@ contract PrivacyQA is SepoliaConfig {
         uint256 bounty
     ) {
         Question storage question = questions[_questionId];
-        return (
-            question.category,
-            question.encryptedContent,
-            question.author,
-            question.timestamp,
-            question.answerCount,
-            question.isActive,
-            question.bounty
-        );
+        category = categoryRegistry.getCategoryName(question.categoryId);
+        encryptedContent = question.encryptedContent;
+        author = question.author;
+        timestamp = question.timestamp;
+        answerCount = question.answerCount;
+        isActive = question.isActive;
+        bounty = _bountyOf(_questionId);
+    }
+
+    function isQuestionActive(uint32 _questionId) external view questionExists(_questionId) returns (bool) {
+        return questions[_questionId].isActive;
     }
 
     function getAnswerInfo(uint32 _answerId) external view answerExists(_answerId) returns (
@@ -310,6 +516,21 @@ contract PrivacyQA is SepoliaConfig {
         );
     }
 
+    function getAnswerEligibility(uint32 _answerId) external view answerExists(_answerId) returns (
+        bool eligibilityResolved,
+        bool isEligible,
+        ebool meetsReputation
+    ) {
+        Answer storage answer = answers[_answerId];
+        return (
+            answer.eligibilityResolved,
+            answer.isEligible,
+            answer.meetsReputation
+        );
+    }
+
+    // specialties are the ones the user listed themselves; the specialties an expert was
+    // approved for are kept in ExpertRegistry
     function getUserInfo(address _user) external view returns (
         bool isExpert,
         string[] memory specialties,
@@ -317,14 +538,40 @@ contract PrivacyQA is SepoliaConfig {
     ) {
         UserProfile storage profile = userProfiles[_user];
         return (
-            profile.isExpert,
+            address(expertRegistry) != address(0) && expertRegistry.isExpert(_user),
             profile.specialties,
             profile.joinDate
         );
     }
 
-    function getQuestionsByCategory(string calldata _category) external view returns (uint32[] memory) {
-        return categoryQuestions[_category];
+    function getUserEncryptedStats(address _user) external view returns (
+        euint32 encryptedReputation,
+        euint32 encryptedContributions
+    ) {
+        UserProfile storage profile = userProfiles[_user];
+        return (
+            profile.encryptedReputation,
+            profile.encryptedContributions
+        );
+    }
+
+    function getQuestionsByCategory(uint32 _categoryId) external view returns (uint32[] memory) {
+        return categoryQuestions[_categoryId];
+    }
+
+    // Pages are ordered newest first: offset 0 is the most recent public question
+    function getQuestionsPage(uint32 _offset, uint32 _limit) external view returns (
+        uint32[] memory ids,
+        uint32 total
+    ) {
+        return _page(publicQuestions, _offset, _limit);
+    }
+
+    function getQuestionsByCategoryPage(uint32 _categoryId, uint32 _offset, uint32 _limit) external view returns (
+        uint32[] memory ids,
+        uint32 total
+    ) {
+        return _page(categoryQuestions[_categoryId], _offset, _limit);
     }
 
     function getUserQuestions(address _user) external view returns (uint32[] memory) {
@@ -339,15 +586,158 @@ contract PrivacyQA is SepoliaConfig {
         return questionAnswers[_questionId];
     }
 
+    function _postQuestion(
+        address _author,
+        uint32 _categoryId,
+        string calldata _encryptedContent,
+        euint8 _reputationRequired,
+        uint32 _bountyDuration,
+        address _bountyToken,
+        uint256 _tokenAmount
+    ) private returns (uint32 questionId) {
+        require(userProfiles[_author].joinDate != 0, "User not initialized");
+        require(bytes(_encryptedContent).length > 0, "Question content cannot be empty");
+        require(categoryRegistry.isActive(_categoryId), "Invalid category");
+
+        questionId = nextQuestionId++;
+        questions[questionId] = Question({
+            id: questionId,
+            categoryId: _categoryId,
+            encryptedContent: _encryptedContent,
+            author: _author,
+            timestamp: block.timestamp,
+            answerCount: 0,
+            reputationRequired: _reputationRequired,
+            isActive: true
+        });
+
+        if (msg.value > 0 || _tokenAmount > 0) {
+            bountyEscrow.openBounty{value: msg.value}(questionId, _author, _bountyToken, _tokenAmount, _bountyDuration);
+        }
+
+        userQuestions[_author].push(questionId);
+
+        FHE.allowThis(_reputationRequired);
+        FHE.allow(_reputationRequired, _author);
+
+        emit QuestionPosted(questionId, _author, _categoryId);
+    }
+
+    // Every reputation change produces a new ciphertext, so access is re-granted to the
+    // owner and to everyone they shared it with
+    function _addReputation(address _user, uint32 _amount) private {
+        _setReputation(_user, FHE.add(userProfiles[_user].encryptedReputation, FHE.asEuint32(_amount)));
+    }
+
+    function _setReputation(address _user, euint32 _reputation) private {
+        userProfiles[_user].encryptedReputation = _reputation;
+
+        FHE.allowThis(_reputation);
+        FHE.allow(_reputation, _user);
+
+        address[] storage viewers = reputationViewers[_user];
+        for (uint i = 0; i < viewers.length; i++) {
+            FHE.allow(_reputation, viewers[i]);
+        }
+    }
+
+    function _awardAnswers(
+        uint32 _questionId,
+        uint32[] memory _answerIds,
+        uint8[] memory _shares
+    ) private questionExists(_questionId) {
+        Question storage question = questions[_questionId];
+        require(_msgSender() == question.author, "Only question author can select best answer");
+        require(question.isActive, "Question is not active");
+        require(!questionAwarded[_questionId], "Best answer already selected");
+        require(_answerIds.length > 0 && _answerIds.length <= MAX_BOUNTY_SPLITS, "Invalid number of answers");
+        require(_answerIds.length == _shares.length, "Answers and shares length mismatch");
+
+        uint256 totalShares = 0;
+        uint256 bestIndex = 0;
+        for (uint i = 0; i < _answerIds.length; i++) {
+            require(_answerIds[i] > 0 && _answerIds[i] < nextAnswerId, "Answer does not exist");
+            require(answers[_answerIds[i]].questionId == _questionId, "Answer does not belong to this question");
+            require(answers[_answerIds[i]].isEligible, "Answer does not meet reputation requirement");
+            require(_shares[i] > 0, "Share must be positive");
+            for (uint j = 0; j < i; j++) {
+                require(_answerIds[j] != _answerIds[i], "Duplicate answer");
+            }
+
+            totalShares += _shares[i];
+            if (_shares[i] > _shares[bestIndex]) bestIndex = i;
+        }
+        require(totalShares == 100, "Shares must sum to 100");
+
+        questionAwarded[_questionId] = true;
+        answers[_answerIds[bestIndex]].isBestAnswer = true;
+
+        address[] memory recipients = new address[](_answerIds.length);
+        for (uint i = 0; i < _answerIds.length; i++) {
+            recipients[i] = answers[_answerIds[i]].author;
+
+            uint32 points = uint32(_shares[i]) / 4;
+            if (points > 0) {
+                _addReputation(recipients[i], points);
+                emit ReputationUpdated(recipients[i], block.timestamp);
+            }
+        }
+
+        // Authors pull their share of the bounty from the escrow
+        if (address(bountyEscrow) != address(0)) {
+            (address token, uint256[] memory amounts) = bountyEscrow.payout(_questionId, recipients, _shares);
+            for (uint i = 0; i < amounts.length; i++) {
+                if (amounts[i] > 0) emit BountyPaid(_questionId, recipients[i], amounts[i], token);
+            }
+        }
+
+        emit BestAnswerSelected(_questionId, _answerIds[bestIndex]);
+    }
+
+    function _bountyOf(uint32 _questionId) private view returns (uint256 amount) {
+        if (address(bountyEscrow) != address(0)) {
+            (amount, , ) = bountyEscrow.bounties(_questionId);
+        }
+    }
+
+    function _page(uint32[] storage _ids, uint32 _offset, uint32 _limit) private view returns (
+        uint32[] memory ids,
+        uint32 total
+    ) {
+        total = uint32(_ids.length);
+        uint32 count = _offset >= total ? 0 : total - _offset;
+        if (count > _limit) count = _limit;
+
+        ids = new uint32[](count);
+        for (uint32 i = 0; i < count; i++) {
+            ids[i] = _ids[total - 1 - _offset - i];
+        }
+    }
+
     // Emergency functions
-    function withdrawFunds() external onlyOwner {
-        payable(owner).transfer(address(this).balance);
+    function withdrawFunds(address payable _to) external onlyRole(TREASURER_ROLE) {
+        require(_to != address(0), "Invalid recipient");
+        _to.transfer(address(this).balance);
     }
 
-    function updateOwner(address _newOwner) external onlyOwner {
-        owner = _newOwner;
+    // Starts a transfer that the new owner completes with acceptOwnership; passing
+    // address(0) cancels a pending transfer
+    function transferOwnership(address _newOwner) external onlyOwner {
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    function acceptOwnership() external {
+        address sender = _msgSender();
+        require(sender == pendingOwner, "Not the pending owner");
+
+        emit OwnershipTransferred(owner, sender);
+        owner = sender;
+        pendingOwner = address(0);
     }
 
-    // Allow contract to receive ETH for bounties
+    // Plain transfers are not tied to a question; they count as platform funds and can be
+    // withdrawn by a treasurer. Use BountyEscrow.increaseBounty to fund a specific question.
     receive() external payable {}
 }
\ No newline at end of file
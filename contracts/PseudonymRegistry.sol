@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IPrivacyQA } from "./interfaces/IPrivacyQA.sol";
+import { ERC2771Recipient } from "./ERC2771Recipient.sol";
+import { BountyEscrow } from "./BountyEscrow.sol";
+
+// Pseudonymous identities for anonymous posting. A pseudonym is an ordinary address that
+// posts on its owner's behalf; when it registers it commits to keccak256(owner, secret)
+// without revealing the owner. Revealing the secret from the owner's address later proves
+// authorship, and moves the pseudonym's bounties and earned reputation to the owner.
+contract PseudonymRegistry is ERC2771Recipient {
+
+    IPrivacyQA public immutable privacyQA;
+
+    mapping(address => bytes32) public ownerCommitments;
+    // Set the first time the owner claims; until then nobody knows who is behind a pseudonym
+    mapping(address => address) public revealedOwners;
+    address[] private pseudonyms;
+
+    event PseudonymRegistered(address indexed pseudonym);
+    event PseudonymClaimed(address indexed pseudonym, address indexed owner);
+
+    constructor(address _privacyQA, address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {
+        privacyQA = IPrivacyQA(_privacyQA);
+    }
+
+    // Called by the pseudonym itself, before it joins the platform
+    function registerPseudonym(bytes32 _ownerCommitment) external {
+        require(_ownerCommitment != bytes32(0), "Invalid commitment");
+        require(ownerCommitments[_msgSender()] == bytes32(0), "Already registered");
+        (, , uint256 joinDate) = privacyQA.userProfiles(_msgSender());
+        require(joinDate == 0, "Address already joined");
+
+        ownerCommitments[_msgSender()] = _ownerCommitment;
+        pseudonyms.push(_msgSender());
+
+        emit PseudonymRegistered(_msgSender());
+    }
+
+    // Can be called again as the pseudonym earns more. Reveals the link between the two
+    // addresses, which sending the rewards to the owner would do anyway.
+    function claimRewards(address _pseudonym, bytes32 _secret, address[] calldata _tokens) external {
+        require(
+            ownerCommitments[_pseudonym] != bytes32(0) &&
+            keccak256(abi.encode(_msgSender(), _secret)) == ownerCommitments[_pseudonym],
+            "Not the owner of this pseudonym"
+        );
+        (, , uint256 joinDate) = privacyQA.userProfiles(_msgSender());
+        require(joinDate != 0, "User not initialized");
+
+        if (revealedOwners[_pseudonym] == address(0)) {
+            revealedOwners[_pseudonym] = _msgSender();
+            emit PseudonymClaimed(_pseudonym, _msgSender());
+        }
+
+        (, , joinDate) = privacyQA.userProfiles(_pseudonym);
+        if (joinDate != 0) privacyQA.mergeReputation(_pseudonym, _msgSender());
+
+        BountyEscrow bountyEscrow = BountyEscrow(privacyQA.bountyEscrow());
+        for (uint i = 0; i < _tokens.length; i++) {
+            bountyEscrow.transferClaimable(_pseudonym, _msgSender(), _tokens[i]);
+        }
+    }
+
+    function isPseudonym(address _account) external view returns (bool) {
+        return ownerCommitments[_account] != bytes32(0);
+    }
+
+    // Every registered pseudonym, so the UI can show them by name instead of address
+    function getPseudonyms() external view returns (address[] memory) {
+        return pseudonyms;
+    }
+}
@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Executes EIP-712 signed requests on behalf of their signers, so a relayer can pay the gas
+// for users without ETH. Each request carries the signer's next nonce, which makes it
+// single-use, and a deadline after which it can no longer be submitted. The target sees the
+// signer through ERC2771Recipient._msgSender().
+contract TrustedForwarder {
+
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+    // Secp256k1 order / 2; signatures with a higher s are the malleable twin of a valid one
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    bytes32 public immutable DOMAIN_SEPARATOR;
+
+    mapping(address => uint256) public nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce);
+
+    constructor() {
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes("PrivacyQA Forwarder")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // Whether execute would accept the request right now
+    function verify(ForwardRequest calldata _request, bytes calldata _signature) public view returns (bool) {
+        return _request.deadline >= block.timestamp
+            && nonces[_request.from] == _request.nonce
+            && _isSignedByFrom(_request, _signature);
+    }
+
+    // Reverts with the target's own error when the call fails, so the nonce is only spent
+    // on requests that went through
+    function execute(ForwardRequest calldata _request, bytes calldata _signature) external payable returns (bytes memory) {
+        require(_request.deadline >= block.timestamp, "Request expired");
+        require(nonces[_request.from] == _request.nonce, "Invalid nonce");
+        require(_isSignedByFrom(_request, _signature), "Invalid signature");
+        require(msg.value == _request.value, "Value mismatch");
+
+        nonces[_request.from]++;
+
+        (bool success, bytes memory result) = _request.to.call{gas: _request.gas, value: _request.value}(
+            abi.encodePacked(_request.data, _request.from)
+        );
+        // A relayer could send too little gas for the call to run with the signed limit
+        // (EIP-150 only forwards 63/64 of what is left); refuse rather than fail the request
+        require(gasleft() > _request.gas / 63, "Insufficient gas");
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit RequestExecuted(_request.from, _request.to, _request.nonce);
+        return result;
+    }
+
+    function _isSignedByFrom(ForwardRequest calldata _request, bytes calldata _signature) private view returns (bool) {
+        address signer = _recover(_hashRequest(_request), _signature);
+        return signer != address(0) && signer == _request.from;
+    }
+
+    function _hashRequest(ForwardRequest calldata _request) private view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            REQUEST_TYPEHASH,
+            _request.from,
+            _request.to,
+            _request.value,
+            _request.gas,
+            _request.nonce,
+            _request.deadline,
+            keccak256(_request.data)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    function _recover(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        if (_signature.length != 65) return address(0);
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (uint256(s) > MAX_S) return address(0);
+
+        return ecrecover(_digest, v, r, s);
+    }
+}
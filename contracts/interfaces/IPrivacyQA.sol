@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint8 } from "@fhevm/solidity/lib/FHE.sol";
+
+// The parts of PrivacyQA its companion contracts (BountyEscrow, AnswerScores,
+// AnswerVerification, ExpertRegistry, CategoryRegistry, ContentRevisions, CommentThreads,
+// DirectedQuestions, PseudonymRegistry) rely on
+interface IPrivacyQA {
+    function ADMIN_ROLE() external view returns (bytes32);
+    function VERIFIER_ROLE() external view returns (bytes32);
+    function hasRole(bytes32 _role, address _account) external view returns (bool);
+    function userProfiles(address _user) external view returns (bytes32, bytes32, uint256 joinDate);
+    function bountyEscrow() external view returns (address);
+    function expertRegistry() external view returns (address);
+    function categoryRegistry() external view returns (address);
+    function directedQuestions() external view returns (address);
+    function pseudonymRegistry() external view returns (address);
+    function questions(uint32 _questionId) external view returns (
+        uint32, uint32 categoryId, string memory, address, uint256, uint32, bytes32, bool
+    );
+    function isQuestionActive(uint32 _questionId) external view returns (bool);
+    function getQuestionAnswers(uint32 _questionId) external view returns (uint32[] memory);
+    function getQuestionInfo(uint32 _questionId) external view returns (
+        string memory, string memory, address author, uint256, uint32, bool, uint256
+    );
+    function getAnswerInfo(uint32 _answerId) external view returns (
+        uint32 questionId, string memory, address author, uint256, bool, bool
+    );
+    function getAnswerEligibility(uint32 _answerId) external view returns (bool, bool isEligible, bytes32);
+    function getUserInfo(address _user) external view returns (
+        bool isExpert, string[] memory specialties, uint256 joinDate
+    );
+    function postQuestionFor(
+        address _author,
+        uint32 _categoryId,
+        string calldata _encryptedContent,
+        euint8 _reputationRequired,
+        uint32 _bountyDuration,
+        address _bountyToken,
+        uint256 _tokenAmount
+    ) external payable returns (uint32);
+    function addReputation(address _user, uint32 _amount) external;
+    function mergeReputation(address _from, address _to) external;
+    function setAnswerVerified(uint32 _answerId, bool _isVerified) external;
+    function setContent(uint32 _id, bool _isAnswer, string calldata _encryptedContent) external;
+    function removeContent(uint32 _id, bool _isAnswer) external;
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { MockERC20 } from "./MockERC20.sol";
+
+// MockERC20 that burns a percentage of every transfer, for testing escrow accounting
+// against tokens that deliver less than the amount sent.
+contract FeeOnTransferERC20 is MockERC20 {
+
+    uint8 public immutable feePercent;
+
+    constructor(uint8 _feePercent) MockERC20("Fee Token", "FEE", 18) {
+        feePercent = _feePercent;
+    }
+
+    function _transfer(address _from, address _to, uint256 _amount) internal override {
+        super._transfer(_from, _to, _amount);
+
+        uint256 fee = _amount * feePercent / 100;
+        balanceOf[_to] -= fee;
+        totalSupply -= fee;
+        emit Transfer(_to, address(0), fee);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ERC2771Recipient } from "../ERC2771Recipient.sol";
+
+// Recipient for testing TrustedForwarder. Records the sender it saw, and can use up all the
+// gas it is given the way a call that was forwarded too little gas would fail.
+contract ForwarderTarget is ERC2771Recipient {
+
+    address public lastSender;
+
+    constructor(address _trustedForwarder) ERC2771Recipient(_trustedForwarder) {}
+
+    function recordSender() external {
+        lastSender = _msgSender();
+    }
+
+    function burnGas() external {
+        while (gasleft() > 0) {
+            lastSender = address(uint160(gasleft()));
+        }
+    }
+}
@@ -1,4 +1,6 @@
 require('@nomicfoundation/hardhat-toolbox');
+// Mocks the FHE coprocessor, ACL, KMS and decryption oracle on the Hardhat network and node
+require('@fhevm/hardhat-plugin');
 
 module.exports = {
   solidity: {
@@ -7,7 +9,10 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // PrivacyQA only fits under the 24KB contract size limit with the IR pipeline
+      viaIR: true,
+      evmVersion: "cancun"
     }
   },
   networks: {
@@ -16,7 +21,7 @@ module.exports = {
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
     },
     hardhat: {
-      chainId: 1337
+      chainId: 31337
     }
   },
   paths: {
@@ -2,37 +2,259 @@
 const CONTRACT_ADDRESS = '0xF09C6faDa8879c2f047e21318e41740429cA5D45';
 const CONTRACT_ABI = [
     "function owner() external view returns (address)",
+    "function pendingOwner() external view returns (address)",
+    "function hasRole(bytes32 _role, address _account) external view returns (bool)",
+    "function grantRole(bytes32 _role, address _account) external",
+    "function revokeRole(bytes32 _role, address _account) external",
     "function nextQuestionId() external view returns (uint32)",
+    "function questionAwarded(uint32) external view returns (bool)",
     "function nextAnswerId() external view returns (uint32)",
-    "function questions(uint32) external view returns (tuple(uint32 id, string category, string encryptedContent, address author, uint256 timestamp, uint32 answerCount, uint8 reputationRequired, bool isActive, uint256 bounty))",
-    "function answers(uint32) external view returns (tuple(uint32 id, uint32 questionId, string encryptedContent, address author, uint256 timestamp, uint32 encryptedScore, bool isVerified, bool isBestAnswer))",
-    "function userProfiles(address) external view returns (tuple(uint32 encryptedReputation, uint32 encryptedContributions, bool isExpert, string[] specialties, uint256 joinDate))",
-    "function initializeUser(uint32 _initialReputation) external",
-    "function postQuestion(string calldata _category, string calldata _encryptedContent, uint8 _reputationRequired) external payable",
+    "function questions(uint32) external view returns (uint32 id, uint32 categoryId, string encryptedContent, address author, uint256 timestamp, uint32 answerCount, bytes32 reputationRequired, bool isActive)",
+    "function answers(uint32) external view returns (uint32 id, uint32 questionId, string encryptedContent, address author, uint256 timestamp, bool isVerified, bool isBestAnswer, bytes32 meetsReputation, bool eligibilityResolved, bool isEligible)",
+    "function userProfiles(address) external view returns (bytes32 encryptedReputation, bytes32 encryptedContributions, uint256 joinDate)",
+    "function initializeUser(bytes32 _initialReputation, bytes calldata _inputProof) external",
+    "function postQuestion(uint32 _categoryId, string calldata _encryptedContent, bytes32 _reputationRequired, bytes calldata _inputProof, uint32 _bountyDuration, address _bountyToken, uint256 _tokenAmount) external payable",
     "function submitAnswer(uint32 _questionId, string calldata _encryptedContent) external",
-    "function voteOnAnswer(uint32 _answerId, uint32 _score) external",
-    "function verifyAnswer(uint32 _answerId, bool _isVerified) external",
     "function selectBestAnswer(uint32 _questionId, uint32 _answerId) external",
+    "function splitBounty(uint32 _questionId, uint32[] calldata _answerIds, uint8[] calldata _shares) external",
     "function closeQuestion(uint32 _questionId) external",
+    "function bountyEscrow() external view returns (address)",
+    "function answerScores() external view returns (address)",
+    "function answerVerification() external view returns (address)",
+    "function expertRegistry() external view returns (address)",
+    "function categoryRegistry() external view returns (address)",
+    "function contentRevisions() external view returns (address)",
+    "function commentThreads() external view returns (address)",
+    "function directedQuestions() external view returns (address)",
+    "function pseudonymRegistry() external view returns (address)",
+    "function isTrustedForwarder(address _forwarder) external view returns (bool)",
     "function addSpecialty(string calldata _specialty) external",
-    "function promoteToExpert(address _user) external",
+    "function grantReputationAccess(address _viewer) external",
+    "function reputationAccess(address _user, address _viewer) external view returns (bool)",
     "function getQuestionInfo(uint32 _questionId) external view returns (string memory category, string memory encryptedContent, address author, uint256 timestamp, uint32 answerCount, bool isActive, uint256 bounty)",
     "function getAnswerInfo(uint32 _answerId) external view returns (uint32 questionId, string memory encryptedContent, address author, uint256 timestamp, bool isVerified, bool isBestAnswer)",
+    "function getAnswerEligibility(uint32 _answerId) external view returns (bool eligibilityResolved, bool isEligible, bytes32 meetsReputation)",
     "function getUserInfo(address _user) external view returns (bool isExpert, string[] memory specialties, uint256 joinDate)",
-    "function getQuestionsByCategory(string calldata _category) external view returns (uint32[] memory)",
+    "function getUserEncryptedStats(address _user) external view returns (bytes32 encryptedReputation, bytes32 encryptedContributions)",
+    "function getQuestionsByCategory(uint32 _categoryId) external view returns (uint32[] memory)",
+    "function getQuestionsPage(uint32 _offset, uint32 _limit) external view returns (uint32[] memory ids, uint32 total)",
+    "function getQuestionsByCategoryPage(uint32 _categoryId, uint32 _offset, uint32 _limit) external view returns (uint32[] memory ids, uint32 total)",
     "function getUserQuestions(address _user) external view returns (uint32[] memory)",
     "function getUserAnswers(address _user) external view returns (uint32[] memory)",
     "function getQuestionAnswers(uint32 _questionId) external view returns (uint32[] memory)",
-    "function withdrawFunds() external",
-    "function updateOwner(address _newOwner) external"
+    "function withdrawFunds(address _to) external",
+    "function transferOwnership(address _newOwner) external",
+    "function acceptOwnership() external",
+    "event QuestionPosted(uint32 indexed questionId, address indexed author, uint32 indexed categoryId)",
+    "event AnswerSubmitted(uint32 indexed answerId, uint32 indexed questionId, address indexed author)",
+    "event ReputationUpdated(address indexed user, uint256 timestamp)",
+    "event BestAnswerSelected(uint32 indexed questionId, uint32 indexed answerId)",
+    "event BountyPaid(uint32 indexed questionId, address indexed recipient, uint256 amount, address token)"
 ];
 
+// Bounty funds live in a separate escrow contract; its address is read from PrivacyQA.
+// Token addresses are address(0) for ETH bounties.
+const BOUNTY_ESCROW_ABI = [
+    "function increaseBounty(uint32 _questionId, address _token, uint256 _tokenAmount, uint32 _bountyDuration) external payable",
+    "function reclaimBounty(uint32 _questionId) external",
+    "function claimBounty(address _token) external",
+    "function setBountyToken(address _token, bool _allowed) external",
+    "function bountyContributions(uint32, address) external view returns (uint256)",
+    "function claimableBounties(address, address) external view returns (uint256)",
+    "function getBountyInfo(uint32 _questionId) external view returns (uint256 bounty, uint256 deadline, bool refundable, uint32 funderCount, address token)",
+    "function getBountyFunders(uint32 _questionId) external view returns (address[] funders, uint256[] amounts)",
+    "function getBountyTokens() external view returns (address[] tokens, bool[] allowed)"
+];
+// Votes and answer scores also live in their own contract, read from PrivacyQA
+const ANSWER_SCORES_ABI = [
+    "function voteOnAnswer(uint32 _answerId, bytes32 _score, bytes calldata _inputProof) external",
+    "function revealScores(uint32 _questionId) external",
+    "function refreshAnswerRanking(uint32 _questionId) external",
+    "function getVote(uint32 _answerId, address _voter) external view returns (bool voted, bytes32 encryptedVote)",
+    "function getAnswerScore(uint32 _answerId) external view returns (bytes32)",
+    "function answerStats(uint32) external view returns (uint32 voteCount, bool scoreRevealed, uint32 revealedScore, uint32 rank)",
+    "function scoreRevealRequested(uint32) external view returns (bool)",
+    "function rankingUpdatedAt(uint32) external view returns (uint256)",
+    "function rankingRequestedAt(uint32) external view returns (uint256)",
+    "function RANKING_INTERVAL() external view returns (uint256)",
+    "event AnswerScoresRevealed(uint32 indexed questionId)",
+    "event AnswerRankingUpdated(uint32 indexed questionId)"
+];
+// Expert verifications of answers; isVerified on PrivacyQA flips once the quorum is met
+const ANSWER_VERIFICATION_ABI = [
+    "function verifyAnswer(uint32 _answerId, string calldata _rationale) external",
+    "function retractVerification(uint32 _answerId) external",
+    "function setVerificationQuorum(uint32 _quorum) external",
+    "function verificationQuorum() external view returns (uint32)",
+    "function hasVerified(uint32, address) external view returns (bool)",
+    "function getVerifications(uint32 _answerId) external view returns (tuple(address verifier, uint256 timestamp, string rationale)[])"
+];
+// Expert applications, promotions and terms
+const EXPERT_REGISTRY_ABI = [
+    "function applyForExpert(uint32[] calldata _specialties, uint32[] calldata _evidenceAnswerIds) external",
+    "function reviewApplication(uint32 _applicationId, bool _approve) external",
+    "function promoteToExpert(address _user, uint32[] calldata _specialties) external",
+    "function demoteExpert(address _user) external",
+    "function setExpertTerm(uint256 _term) external",
+    "function expertTerm() external view returns (uint256)",
+    "function latestApplication(address) external view returns (uint32)",
+    "function isExpert(address _user) external view returns (bool)",
+    "function isExpertIn(address _user, uint32 _categoryId) external view returns (bool)",
+    "function getExpert(address _user) external view returns (bool isCurrent, uint32[] specialties, uint256 since, uint256 expiresAt, address promotedBy)",
+    "function getApplication(uint32 _applicationId) external view returns (address applicant, uint32[] specialties, uint32[] evidenceAnswerIds, uint256 submittedAt, uint8 status, address reviewer, uint256 reviewedAt)",
+    "function getPendingApplications() external view returns (uint32[])"
+];
+// Question categories, managed by admins
+const CATEGORY_REGISTRY_ABI = [
+    "function addCategory(string calldata _name, uint32 _parentId) external returns (uint32)",
+    "function renameCategory(uint32 _categoryId, string calldata _name) external",
+    "function setCategoryArchived(uint32 _categoryId, bool _archived) external",
+    "function getCategories() external view returns (string[] names, uint32[] parentIds, bool[] archived)"
+];
+// Edits, deletions and the revision history of questions and answers
+const CONTENT_REVISIONS_ABI = [
+    "function editQuestion(uint32 _questionId, string calldata _encryptedContent) external",
+    "function editAnswer(uint32 _answerId, string calldata _encryptedContent) external",
+    "function deleteQuestion(uint32 _questionId) external",
+    "function deleteAnswer(uint32 _answerId) external",
+    "function questionDeleted(uint32) external view returns (bool)",
+    "function answerDeleted(uint32) external view returns (bool)",
+    "function getQuestionRevisions(uint32 _questionId) external view returns (tuple(string encryptedContent, uint256 timestamp)[])",
+    "function getAnswerRevisions(uint32 _answerId) external view returns (tuple(string encryptedContent, uint256 timestamp)[])"
+];
+// Comments on questions and answers; answerId 0 means the question itself
+const COMMENT_THREADS_ABI = [
+    "function postComment(uint32 _questionId, uint32 _answerId, uint32 _parentId, string calldata _encryptedContent) external returns (uint32)",
+    "function getQuestionComments(uint32 _questionId) external view returns (tuple(uint32 id, uint32 questionId, uint32 answerId, uint32 parentId, uint32 depth, address author, string encryptedContent, uint256 timestamp)[])"
+];
+// Questions addressed to chosen experts; their content key is shared as an FHE ciphertext
+const DIRECTED_QUESTIONS_ABI = [
+    "function postDirectedQuestion(uint32 _categoryId, string calldata _encryptedContent, bytes32 _reputationRequired, uint32 _bountyDuration, address _bountyToken, uint256 _tokenAmount, address[] calldata _recipients, uint32[] calldata _specialties, bytes32 _encryptedContentKey, bytes calldata _inputProof) external payable returns (uint32 questionId)",
+    "function claimAccess(uint32 _questionId) external",
+    "function isDirected(uint32) external view returns (bool)",
+    "function canAccess(uint32 _questionId, address _user) external view returns (bool)",
+    "function hasKeyAccess(uint32 _questionId, address _user) external view returns (bool)",
+    "function getDirection(uint32 _questionId) external view returns (address[] recipients, uint32[] specialties, bytes32 contentKey)",
+    "function getInbox(address _user) external view returns (uint32[])",
+    "function getDirectedQuestions() external view returns (uint32[])",
+    "event QuestionDirected(uint32 indexed questionId, address[] recipients, uint32[] specialties)"
+];
+// Anonymous posting identities and the proof that links them to their owner
+const PSEUDONYM_REGISTRY_ABI = [
+    "function registerPseudonym(bytes32 _ownerCommitment) external",
+    "function claimRewards(address _pseudonym, bytes32 _secret, address[] calldata _tokens) external",
+    "function isPseudonym(address _account) external view returns (bool)",
+    "function revealedOwners(address) external view returns (address)",
+    "function getPseudonyms() external view returns (address[])"
+];
+// Mirrors CommentThreads.MAX_DEPTH
+const MAX_COMMENT_DEPTH = 3;
+// Question thresholds are encrypted as euint8
+const MAX_REPUTATION_REQUIRED = 255;
+// Mirrors ExpertRegistry.ApplicationStatus
+const APPLICATION_STATUS = ['None', 'Pending', 'Approved', 'Rejected'];
+const ERC20_ABI = [
+    "function symbol() external view returns (string)",
+    "function decimals() external view returns (uint8)",
+    "function allowance(address owner, address spender) external view returns (uint256)",
+    "function approve(address spender, uint256 amount) external returns (bool)"
+];
+const ETH_TOKEN = ethers.constants.AddressZero;
+
+// Role ids as hashed by PrivacyQA; the owner implicitly holds all of them
+const ROLES = {
+    admin: ethers.utils.id('ADMIN_ROLE'),
+    moderator: ethers.utils.id('MODERATOR_ROLE'),
+    verifier: ethers.utils.id('VERIFIER_ROLE'),
+    treasurer: ethers.utils.id('TREASURER_ROLE')
+};
+
+// Question Index Configuration
+// Set CONTRACT_DEPLOY_BLOCK to the deployment block so the first sync skips the empty range
+const CONTRACT_DEPLOY_BLOCK = 0;
+const LOG_QUERY_BLOCK_RANGE = 50000;
+const INDEXED_EVENTS = ['QuestionPosted', 'AnswerSubmitted', 'BestAnswerSelected', 'BountyPaid'];
+const QUESTION_INDEX_VERSION = 4;
+const QUESTIONS_PAGE_SIZE = 10;
+const FEED_SORTERS = {
+    newest: (a, b) => b.id - a.id,
+    oldest: (a, b) => a.id - b.id,
+    bounty: (a, b) => compareBigNumbers(b.info.bounty, a.info.bounty) || b.id - a.id,
+    answers: (a, b) => Number(b.info.answerCount) - Number(a.info.answerCount) || b.id - a.id
+};
+const SEARCH_INDEX_MAX_AGE_MS = 5 * 60 * 1000;
+const SEARCH_RESULT_LIMIT = 25;
+const MULTICALL_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL_ABI = [
+    "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+
+// FHE Relayer Configuration
+// Local Hardhat chains have no Zama gateway, so encryption and user decryption go through
+// the mock relayer below, backed by the fhEVM plugin running in the node at LOCAL_NODE_URL
+const LOCAL_CHAIN_IDS = [1337, 31337];
+const LOCAL_NODE_URL = 'http://127.0.0.1:8545';
+const DECRYPTION_DURATION_DAYS = '1';
+
+// Gas Relayer Configuration
+// URL of scripts/relayer.js, which pays the gas for signed requests. Leave empty to send
+// every transaction directly from the wallet.
+const GAS_RELAYER_URL = '';
+const RELAYED_REQUEST_TTL_SECONDS = 10 * 60;
+const FORWARDER_ABI = [
+    "function nonces(address) external view returns (uint256)"
+];
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
 // Global Variables
 let provider = null;
 let signer = null;
 let contract = null;
+let bountyEscrow = null;
+let answerScores = null;
+let answerVerification = null;
+let expertRegistry = null;
+let categoryRegistry = null;
+let contentRevisions = null;
+let commentThreads = null;
+let directedQuestions = null;
+let pseudonymRegistry = null;
+// { url, forwarder, chainId } while the gas relayer is reachable, otherwise null
+let gasRelayer = null;
+// Every registered pseudonym (lowercased), so authors can be shown by pseudonym
+let pseudonyms = new Set();
+let pseudonymSeed = null;
+// Category id -> { id, name, parentId, archived }
+let categories = new Map();
+let bountyTokens = new Map();
+// Roles of the connected account, plus 'owner' and 'pendingOwner' where they apply
+let accountRoles = new Set();
 let currentAccount = null;
 let currentQuestionId = null;
+let currentQuestionKeyId = null;
+let editableContent = new Map();
+// Authors of the question and answers in the open modal, keyed like editableContent
+let postAuthors = new Map();
+let currentComments = [];
+let fheInstance = null;
+let decryptionAuthorization = null;
+let inputEncryptor = fheInputEncryptor;
+let indexDb = null;
+let multicallAvailable = null;
+let questionFeed = { loaded: 0, total: 0, loading: false, records: new Map(), directed: new Set(), options: null, matches: null };
+let questionsScrollPosition = 0;
+let currentRoute = null;
+let profileAddress = null;
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
@@ -40,7 +262,10 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 async function initializeApp() {
+    applyFeedOptionsFromUrl();
     setupEventListeners();
+    updateAdminTab();
+    handleRoute();
     checkWalletConnection();
 }
 
@@ -50,24 +275,60 @@ function setupEventListeners() {
 
     // Tab navigation
     document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => switchTab(e.target.dataset.tab));
+        btn.addEventListener('click', (e) => navigate(`/${e.target.dataset.tab}`));
     });
 
+    // Routing: back/forward and hand-edited URLs
+    window.addEventListener('popstate', () => handleRoute());
+    window.addEventListener('hashchange', () => handleRoute());
+
     // Forms
     document.getElementById('askQuestionForm').addEventListener('submit', handleAskQuestion);
+    document.getElementById('questionAudience').addEventListener('change', updateQuestionAudience);
+    document.getElementById('recoverPseudonyms').addEventListener('click', handleRecoverPseudonyms);
     document.getElementById('submitAnswer').addEventListener('click', handleSubmitAnswer);
 
     // Profile actions
     document.getElementById('initializeUser').addEventListener('click', handleInitializeUser);
     document.getElementById('addSpecialty').addEventListener('click', handleAddSpecialty);
+    document.getElementById('grantReputationAccess').addEventListener('click', handleGrantReputationAccess);
+    document.getElementById('applyForExpert').addEventListener('click', handleApplyForExpert);
 
     // Admin actions
     document.getElementById('promoteToExpert').addEventListener('click', handlePromoteToExpert);
-    document.getElementById('verifyAnswerBtn').addEventListener('click', handleVerifyAnswer);
+    document.getElementById('demoteExpert').addEventListener('click', handleDemoteExpert);
+    document.getElementById('setExpertTerm').addEventListener('click', handleSetExpertTerm);
+    document.getElementById('addCategory').addEventListener('click', handleAddCategory);
+    document.getElementById('renameCategory').addEventListener('click', handleRenameCategory);
+    document.getElementById('archiveCategory').addEventListener('click', handleToggleCategoryArchived);
+    document.getElementById('setBountyToken').addEventListener('click', handleSetBountyToken);
+    document.getElementById('setVerificationQuorum').addEventListener('click', handleSetVerificationQuorum);
+    document.getElementById('grantRole').addEventListener('click', () => handleUpdateRole(true));
+    document.getElementById('revokeRole').addEventListener('click', () => handleUpdateRole(false));
+    document.getElementById('withdrawFunds').addEventListener('click', handleWithdrawFunds);
+    document.getElementById('transferOwnership').addEventListener('click', handleTransferOwnership);
+    document.getElementById('acceptOwnership').addEventListener('click', handleAcceptOwnership);
 
     // Other actions
     document.getElementById('refreshQuestions').addEventListener('click', loadQuestions);
     document.getElementById('categoryFilter').addEventListener('change', loadQuestions);
+    document.getElementById('sortOrder').addEventListener('change', loadQuestions);
+    document.getElementById('statusFilter').addEventListener('change', loadQuestions);
+    document.querySelectorAll('.feed-flag').forEach(flag => {
+        flag.addEventListener('change', loadQuestions);
+    });
+    document.getElementById('loadMoreQuestions').addEventListener('click', () => loadMoreQuestions());
+    document.getElementById('searchForm').addEventListener('submit', handleSearch);
+    document.getElementById('searchQuery').addEventListener('search', (e) => {
+        if (!e.target.value) clearSearch();
+    });
+
+    // Infinite scroll: fetch the next page as the pager comes into view
+    new IntersectionObserver(entries => {
+        if (entries[0].isIntersecting && document.getElementById('questions').classList.contains('active')) {
+            loadMoreQuestions();
+        }
+    }, { rootMargin: '200px' }).observe(document.getElementById('questionsPager'));
 
     // Modal
     document.querySelector('.close').addEventListener('click', closeModal);
@@ -77,6 +338,9 @@ function setupEventListeners() {
 
     // Status message
     document.getElementById('closeStatus').addEventListener('click', hideStatus);
+
+    // Content key buttons are rendered inside clickable cards, so catch them while capturing
+    document.addEventListener('click', handleContentKeyClick, true);
 }
 
 async function checkWalletConnection() {
@@ -108,10 +372,33 @@ async function connectWallet() {
         // Initialize ethers provider and signer
         provider = new ethers.providers.Web3Provider(window.ethereum);
         signer = provider.getSigner();
+        if (contract) contract.removeAllListeners();
         contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+        bountyEscrow = new ethers.Contract(await contract.bountyEscrow(), BOUNTY_ESCROW_ABI, signer);
+        if (answerScores) answerScores.removeAllListeners();
+        answerScores = new ethers.Contract(await contract.answerScores(), ANSWER_SCORES_ABI, signer);
+        answerVerification = new ethers.Contract(await contract.answerVerification(), ANSWER_VERIFICATION_ABI, signer);
+        expertRegistry = new ethers.Contract(await contract.expertRegistry(), EXPERT_REGISTRY_ABI, signer);
+        categoryRegistry = new ethers.Contract(await contract.categoryRegistry(), CATEGORY_REGISTRY_ABI, signer);
+        contentRevisions = new ethers.Contract(await contract.contentRevisions(), CONTENT_REVISIONS_ABI, signer);
+        commentThreads = new ethers.Contract(await contract.commentThreads(), COMMENT_THREADS_ABI, signer);
+        directedQuestions = new ethers.Contract(await contract.directedQuestions(), DIRECTED_QUESTIONS_ABI, signer);
+        pseudonymRegistry = new ethers.Contract(await contract.pseudonymRegistry(), PSEUDONYM_REGISTRY_ABI, signer);
+        pseudonymSeed = null;
+        fheInstance = null;
+        decryptionAuthorization = null;
+        multicallAvailable = null;
+        gasRelayer = await loadGasRelayer();
+
+        // Refresh decrypted stats whenever the contract touches our reputation
+        contract.on(contract.filters.ReputationUpdated(currentAccount), () => loadEncryptedStats());
 
         // Update UI
         updateWalletUI();
+        await loadBountyTokens();
+        await loadCategories();
+        await loadPseudonyms();
+        await loadAccountRoles();
 
         // Load user profile
         await loadUserProfile();
@@ -119,6 +406,9 @@ async function connectWallet() {
         // Load questions
         await loadQuestions();
 
+        // Deep links that needed the contract (question modal, profiles) can open now
+        await handleRoute(true);
+
         hideLoading();
         showStatus('Wallet connected successfully', 'success');
 
@@ -144,36 +434,84 @@ function updateWalletUI() {
     }
 }
 
+// Shows the connected account's profile, or any other address reached through #/users/<address>
 async function loadUserProfile() {
     if (!contract || !currentAccount) return;
 
+    const address = profileAddress || currentAccount;
+    const isOwnProfile = isSameAddress(address, currentAccount);
+
     try {
-        const userInfo = await contract.getUserInfo(currentAccount);
+        const userInfo = await contract.getUserInfo(address);
+        const expert = await expertRegistry.getExpert(address);
         const profileInfo = document.getElementById('profileInfo');
         const initBtn = document.getElementById('initializeUser');
 
+        document.getElementById('profileTitle').textContent = isOwnProfile ? 'User Profile' : `Profile of ${displayName(address)}`;
+        document.getElementById('profileQuestionsTitle').textContent = isOwnProfile ? 'My Questions' : 'Questions';
+        document.getElementById('profileAnswersTitle').textContent = isOwnProfile ? 'My Answers' : 'Answers';
+        document.getElementById('profileActions').classList.toggle('hidden', !isOwnProfile);
+        document.getElementById('inboxSection').classList.toggle('hidden', !isOwnProfile);
+        document.getElementById('pseudonymsSection').classList.toggle('hidden', !isOwnProfile);
+
         if (Number(userInfo.joinDate) === 0) {
-            profileInfo.innerHTML = `
-                <p class="text-muted">Profile not initialized. Click below to create your profile.</p>
-            `;
-            initBtn.classList.remove('hidden');
+            profileInfo.innerHTML = isOwnProfile
+                ? '<p class="text-muted">Profile not initialized. Click below to create your profile.</p>'
+                : '<p class="text-muted">This address has not joined the platform yet.</p>';
+            initBtn.classList.toggle('hidden', !isOwnProfile);
         } else {
             const joinDate = new Date(Number(userInfo.joinDate) * 1000);
-            const specialties = userInfo.specialties.length > 0 ? userInfo.specialties.join(', ') : 'None';
+            const specialties = userInfo.specialties.length > 0 ? escapeHtml(userInfo.specialties.join(', ')) : 'None';
 
             profileInfo.innerHTML = `
                 <div class="profile-info">
-                    <p><strong>Expert Status:</strong> ${userInfo.isExpert ? 'Yes' : 'No'}</p>
+                    ${isOwnProfile ? '' : `<p><strong>Address:</strong> ${address}</p>`}
+                    <p><strong>Expert Status:</strong> ${renderExpertStatus(expert)}</p>
                     <p><strong>Specialties:</strong> ${specialties}</p>
                     <p><strong>Member Since:</strong> ${joinDate.toLocaleDateString()}</p>
+                    <p><strong>Reputation:</strong> <span id="profileReputation">Decrypting...</span></p>
+                    ${isOwnProfile ? '<p><strong>Contributions:</strong> <span id="profileContributions">Decrypting...</span></p>' : ''}
+                    <p><strong>Verified Answers:</strong> <span id="profileVerifiedCount">-</span></p>
+                    <p><strong>Best Answers:</strong> <span id="profileBestCount">-</span></p>
+                    <p><strong>Bounties Earned:</strong> <span id="profileBountiesEarned">-</span></p>
+                    ${isOwnProfile ? '<p><strong>Unclaimed Bounties:</strong> <span id="profileClaimable">-</span></p>' : ''}
                 </div>
             `;
             initBtn.classList.add('hidden');
+
+            if (isOwnProfile) {
+                loadEncryptedStats();
+            } else {
+                loadProfileReputation(address);
+            }
         }
 
-        // Load user's questions and answers
-        await loadUserQuestions();
-        await loadUserAnswers();
+        // Load the user's inbox, questions and answers
+        if (isOwnProfile) {
+            await loadInbox();
+            await loadOwnPseudonyms();
+        }
+        await loadUserQuestions(address);
+        const answerStats = await loadUserAnswers(address);
+
+        if (Number(userInfo.joinDate) !== 0) {
+            document.getElementById('profileVerifiedCount').textContent = answerStats.verified;
+            document.getElementById('profileBestCount').textContent = answerStats.best;
+            document.getElementById('profileBountiesEarned').textContent = formatTokenTotals(await getBountiesEarned(address));
+
+            if (isOwnProfile) {
+                await loadExpertApplication(answerStats.verifiedIds);
+
+                const tokens = [ETH_TOKEN, ...bountyTokens.keys()];
+                const claimable = await batchRead(tokens.map(token => ['claimableBounties', [address, token]]), bountyEscrow);
+                const claimableHTML = tokens
+                    .map((token, i) => ({ token, amount: claimable[i] && claimable[i][0] }))
+                    .filter(entry => entry.amount && !entry.amount.isZero())
+                    .map(entry => `${formatTokenAmount(entry.amount, entry.token)} <button class="btn btn-primary btn-small" onclick="handleClaimBounty('${entry.token}')">Claim</button>`)
+                    .join(' ');
+                document.getElementById('profileClaimable').innerHTML = claimableHTML || 'None';
+            }
+        }
 
     } catch (error) {
         console.error('Error loading user profile:', error);
@@ -181,39 +519,97 @@ async function loadUserProfile() {
     }
 }
 
-async function loadUserQuestions() {
-    if (!contract || !currentAccount) return;
+// Someone else's reputation is only shown if they granted us access with grantReputationAccess
+async function loadProfileReputation(address) {
+    const profileReputation = document.getElementById('profileReputation');
+
+    try {
+        if (!(await contract.reputationAccess(address, currentAccount))) {
+            profileReputation.textContent = 'Private';
+            return;
+        }
+
+        const stats = await contract.getUserEncryptedStats(address);
+        const values = await userDecryptHandles([stats.encryptedReputation]);
+        profileReputation.textContent = Number(values[stats.encryptedReputation]);
+
+    } catch (error) {
+        console.error('Error decrypting profile reputation:', error);
+        profileReputation.textContent = 'Encrypted';
+    }
+}
+
+// Totals per token address, since bounties can be paid in different currencies
+async function getBountiesEarned(address) {
+    await syncQuestionIndex();
+    const questions = await getIndexedQuestions();
+
+    return questions
+        .flatMap(question => question.payouts)
+        .filter(payout => isSameAddress(payout.recipient, address))
+        .reduce((totals, payout) => {
+            const token = payout.token.toLowerCase();
+            totals.set(token, (totals.get(token) || ethers.constants.Zero).add(payout.amount));
+            return totals;
+        }, new Map());
+}
+
+async function loadUserQuestions(address = currentAccount) {
+    if (!contract || !address) return;
 
     try {
-        const questionIds = await contract.getUserQuestions(currentAccount);
+        const isOwnProfile = isSameAddress(address, currentAccount);
         const myQuestions = document.getElementById('myQuestions');
+        let questionIds = (await contract.getUserQuestions(address)).map(id => Number(id));
+
+        // Someone else's directed questions are only listed to the people who can read them
+        if (!isOwnProfile) {
+            const access = await batchRead(questionIds.map(id => ['canAccess', [id, currentAccount]]), directedQuestions);
+            questionIds = questionIds.filter((id, i) => access[i] && access[i][0]);
+        }
 
         if (questionIds.length === 0) {
             myQuestions.innerHTML = '<p class="text-muted">No questions posted yet</p>';
             return;
         }
 
+        const [questionInfos, bountyInfos] = await Promise.all([
+            batchRead(questionIds.map(id => ['getQuestionInfo', [id]])),
+            batchRead(questionIds.map(id => ['getBountyInfo', [id]]), bountyEscrow)
+        ]);
+        const contributions = isOwnProfile
+            ? await batchRead(questionIds.map(id => ['bountyContributions', [id, address]]), bountyEscrow)
+            : [];
+
         let questionsHTML = '';
         for (let i = 0; i < questionIds.length; i++) {
-            const questionInfo = await contract.getQuestionInfo(Number(questionIds[i]));
+            const questionInfo = questionInfos[i];
+            if (!questionInfo) continue;
+
+            const bountyInfo = bountyInfos[i];
+            const canReclaim = bountyInfo && bountyInfo.refundable && contributions[i] && !contributions[i][0].isZero();
             const timestamp = new Date(Number(questionInfo.timestamp) * 1000);
+            const content = await decryptContent(questionInfo.encryptedContent);
 
             questionsHTML += `
-                <div class="question-card" onclick="openQuestionDetail(${Number(questionIds[i])})">
+                <div class="question-card" onclick="navigate('/questions/${questionIds[i]}')">
                     <div class="question-header">
-                        <span class="question-category">${questionInfo.category}</span>
+                        <span class="question-category">${escapeHtml(questionInfo.category)}</span>
                         <div class="question-meta">
-                            <span>ID: ${Number(questionIds[i])}</span>
+                            <span>ID: ${questionIds[i]}</span>
                             <span>${timestamp.toLocaleDateString()}</span>
                         </div>
                     </div>
                     <div class="question-content">
-                        ${questionInfo.encryptedContent.substring(0, 200)}${questionInfo.encryptedContent.length > 200 ? '...' : ''}
+                        ${renderContent(content, 200)}
                     </div>
                     <div class="question-stats">
                         <span>Answers: ${Number(questionInfo.answerCount)}</span>
                         <span>Status: ${questionInfo.isActive ? 'Active' : 'Closed'}</span>
-                        ${Number(questionInfo.bounty) > 0 ? `<span class="bounty">${ethers.utils.formatEther(questionInfo.bounty)} ETH</span>` : ''}
+                        ${bountyInfo ? renderBounty(bountyInfo) : ''}
+                        ${canReclaim ? `
+                            <button class="btn btn-secondary btn-small" onclick="event.stopPropagation(); handleReclaimBounty(${questionIds[i]})">Reclaim bounty</button>
+                        ` : ''}
                     </div>
                 </div>
             `;
@@ -227,35 +623,46 @@ async function loadUserQuestions() {
     }
 }
 
-async function loadUserAnswers() {
-    if (!contract || !currentAccount) return;
+// Returns how many of the listed answers are verified, which ones, and how many were picked as best
+async function loadUserAnswers(address = currentAccount) {
+    const stats = { verified: 0, best: 0, verifiedIds: [] };
+    if (!contract || !address) return stats;
 
     try {
-        const answerIds = await contract.getUserAnswers(currentAccount);
+        const answerIds = await contract.getUserAnswers(address);
         const myAnswers = document.getElementById('myAnswers');
-
-        if (answerIds.length === 0) {
-            myAnswers.innerHTML = '<p class="text-muted">No answers submitted yet</p>';
-            return;
-        }
+        const isOwnProfile = isSameAddress(address, currentAccount);
 
         let answersHTML = '';
         for (let i = 0; i < answerIds.length; i++) {
             const answerInfo = await contract.getAnswerInfo(Number(answerIds[i]));
+            const eligibility = await contract.getAnswerEligibility(Number(answerIds[i]));
+
+            // Other people's answers below a reputation threshold stay hidden here too
+            if (!isOwnProfile && eligibility.eligibilityResolved && !eligibility.isEligible) continue;
+
             const questionInfo = await contract.getQuestionInfo(Number(answerInfo.questionId));
             const timestamp = new Date(Number(answerInfo.timestamp) * 1000);
+            const content = await decryptContent(answerInfo.encryptedContent);
+
+            if (answerInfo.isVerified) {
+                stats.verified++;
+                stats.verifiedIds.push(Number(answerIds[i]));
+            }
+            if (answerInfo.isBestAnswer) stats.best++;
 
             answersHTML += `
-                <div class="answer-card ${answerInfo.isVerified ? 'verified' : ''} ${answerInfo.isBestAnswer ? 'best' : ''}">
+                <div class="answer-card ${answerInfo.isVerified ? 'verified' : ''} ${answerInfo.isBestAnswer ? 'best' : ''}" onclick="navigate('/answers/${Number(answerIds[i])}')">
                     <div class="answer-header">
-                        <span>Question: ${questionInfo.category} (ID: ${Number(answerInfo.questionId)})</span>
+                        <span>Question: ${escapeHtml(questionInfo.category)} (ID: ${Number(answerInfo.questionId)})</span>
                         <div class="answer-badges">
+                            ${renderEligibilityBadge(eligibility)}
                             ${answerInfo.isVerified ? '<span class="badge verified">Verified</span>' : ''}
                             ${answerInfo.isBestAnswer ? '<span class="badge best">Best Answer</span>' : ''}
                         </div>
                     </div>
                     <div class="answer-content">
-                        ${answerInfo.encryptedContent.substring(0, 150)}${answerInfo.encryptedContent.length > 150 ? '...' : ''}
+                        ${renderContent(content, 150)}
                     </div>
                     <div class="answer-meta">
                         <span>Answered: ${timestamp.toLocaleDateString()}</span>
@@ -265,82 +672,284 @@ async function loadUserAnswers() {
             `;
         }
 
-        myAnswers.innerHTML = answersHTML;
+        myAnswers.innerHTML = answersHTML || '<p class="text-muted">No answers submitted yet</p>';
 
     } catch (error) {
         console.error('Error loading user answers:', error);
         document.getElementById('myAnswers').innerHTML = '<p class="text-muted">Error loading answers</p>';
     }
+
+    return stats;
 }
 
 async function loadQuestions() {
+    const options = getFeedOptions();
+    syncFeedOptionsToUrl(options);
+
     if (!contract) return;
 
     try {
         showLoading();
-        const nextId = await contract.nextQuestionId();
-        const categoryFilter = document.getElementById('categoryFilter').value;
-        const questionsList = document.getElementById('questionsList');
 
-        let questionsHTML = '';
-        let questionsFound = 0;
+        // Catch the local index up with new events; it supplies what getQuestionInfo does not
+        await syncQuestionIndex();
+        const indexed = await getIndexedQuestions();
+        // Directed questions only show up in their recipients' inboxes
+        const directed = await directedQuestions.getDirectedQuestions();
+
+        questionFeed = {
+            loaded: 0,
+            total: 0,
+            loading: false,
+            records: new Map(indexed.map(q => [q.id, q])),
+            directed: new Set(directed.map(id => Number(id))),
+            options,
+            matches: null
+        };
+        document.getElementById('questionsList').innerHTML = '';
+
+        await loadMoreQuestions();
+        hideLoading();
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error loading questions:', error);
+        document.getElementById('questionsList').innerHTML = '<p class="text-center text-muted">Error loading questions</p>';
+    }
+}
 
-        // Load recent questions (last 50)
-        const nextIdNum = Number(nextId);
-        const startId = Math.max(1, nextIdNum - 50);
+// Reloads everything already on screen without losing the reader's place
+async function reloadQuestionFeed() {
+    if (!contract) return;
 
-        for (let i = nextIdNum - 1; i >= startId; i--) {
-            try {
-                const questionInfo = await contract.getQuestionInfo(i);
+    const scrollPosition = window.scrollY;
+    const loaded = Math.max(questionFeed.loaded, QUESTIONS_PAGE_SIZE);
 
-                // Apply category filter
-                if (categoryFilter && questionInfo.category !== categoryFilter) {
-                    continue;
-                }
+    questionFeed = { ...questionFeed, loaded: 0, total: 0, loading: false, matches: null };
+    document.getElementById('questionsList').innerHTML = '';
+    await loadMoreQuestions(loaded);
 
-                const timestamp = new Date(Number(questionInfo.timestamp) * 1000);
-                const authorShort = `${questionInfo.author.slice(0, 6)}...${questionInfo.author.slice(-4)}`;
-
-                questionsHTML += `
-                    <div class="question-card" onclick="openQuestionDetail(${i})">
-                        <div class="question-header">
-                            <span class="question-category">${questionInfo.category}</span>
-                            <div class="question-meta">
-                                <span>By: ${authorShort}</span>
-                                <span>${timestamp.toLocaleDateString()}</span>
-                                <span>ID: ${i}</span>
-                            </div>
-                        </div>
-                        <div class="question-content">
-                            ${questionInfo.encryptedContent.substring(0, 200)}${questionInfo.encryptedContent.length > 200 ? '...' : ''}
-                        </div>
-                        <div class="question-stats">
-                            <span>Answers: ${Number(questionInfo.answerCount)}</span>
-                            <span>Status: ${questionInfo.isActive ? 'Active' : 'Closed'}</span>
-                            ${Number(questionInfo.bounty) > 0 ? `<span class="bounty">${ethers.utils.formatEther(questionInfo.bounty)} ETH</span>` : ''}
-                        </div>
-                    </div>
-                `;
+    window.scrollTo(0, scrollPosition);
+}
 
-                questionsFound++;
-            } catch (error) {
-                // Question might not exist, continue
-                continue;
-            }
+async function loadMoreQuestions(limit = QUESTIONS_PAGE_SIZE) {
+    if (!contract || questionFeed.loading) return;
+    if (questionFeed.loaded > 0 && questionFeed.loaded >= questionFeed.total) return;
+
+    const feed = questionFeed;
+    const questionsList = document.getElementById('questionsList');
+    const loadMoreBtn = document.getElementById('loadMoreQuestions');
+
+    try {
+        feed.loading = true;
+        loadMoreBtn.textContent = 'Loading...';
+
+        const page = await fetchQuestionPage(feed, limit);
+        const bountyInfos = await batchRead(page.ids.map(id => ['getBountyInfo', [id]]), bountyEscrow);
+
+        let questionsHTML = '';
+        for (let i = 0; i < page.ids.length; i++) {
+            if (!page.infos[i]) continue;
+            questionsHTML += await renderQuestionCard(page.ids[i], page.infos[i], bountyInfos[i]);
         }
 
-        if (questionsFound === 0) {
+        // The feed was reset (new filter, refresh) while this page was in flight
+        if (feed !== questionFeed) return;
+
+        feed.total = page.total;
+        feed.loaded += page.ids.length;
+
+        if (feed.total === 0) {
             questionsHTML = '<p class="text-center text-muted">No questions found</p>';
         }
 
-        questionsList.innerHTML = questionsHTML;
-        hideLoading();
+        questionsList.insertAdjacentHTML('beforeend', questionsHTML);
 
     } catch (error) {
-        hideLoading();
-        console.error('Error loading questions:', error);
-        document.getElementById('questionsList').innerHTML = '<p class="text-center text-muted">Error loading questions</p>';
+        console.error('Error loading more questions:', error);
+        showStatus('Error loading questions', 'error');
+    } finally {
+        feed.loading = false;
+        loadMoreBtn.textContent = 'Load More';
+        updateQuestionsPager();
+    }
+}
+
+// The default view (newest first, no filters) pages straight from the contract, whose listings
+// leave out directed questions. Any other sort or filter needs every question's state, so the
+// indexed questions are hydrated in one batch, filtered and sorted locally, and then paged
+// from memory.
+async function fetchQuestionPage(feed, limit) {
+    const options = feed.options;
+
+    if (!isRefinedFeed(options)) {
+        const page = options.category
+            ? await contract.getQuestionsByCategoryPage(options.category, feed.loaded, limit)
+            : await contract.getQuestionsPage(feed.loaded, limit);
+        const ids = page.ids.map(id => Number(id));
+
+        return {
+            ids,
+            infos: await batchRead(ids.map(id => ['getQuestionInfo', [id]])),
+            total: Number(page.total)
+        };
+    }
+
+    if (!feed.matches) feed.matches = await findMatchingQuestions(feed.records, feed.directed, options);
+    const matches = feed.matches.slice(feed.loaded, feed.loaded + limit);
+
+    return {
+        ids: matches.map(match => match.id),
+        infos: matches.map(match => match.info),
+        total: feed.matches.length
+    };
+}
+
+async function findMatchingQuestions(records, directed, options) {
+    const candidates = [...records.values()]
+        .filter(record => !directed.has(record.id))
+        .filter(record => !options.category || record.categoryId === Number(options.category));
+    const infos = await batchRead(candidates.map(record => ['getQuestionInfo', [record.id]]));
+
+    let matches = candidates
+        .map((record, i) => ({ id: record.id, record, info: infos[i] }))
+        .filter(match => match.info)
+        .filter(match => {
+            if (options.status === 'active' && !match.info.isActive) return false;
+            if (options.status === 'closed' && match.info.isActive) return false;
+            if (options.flags.includes('bounty') && Number(match.info.bounty) === 0) return false;
+            if (options.flags.includes('unanswered') && Number(match.info.answerCount) > 0) return false;
+            if (options.flags.includes('best') && !match.record.bestAnswerId) return false;
+            return true;
+        });
+
+    // Verification is not in the index, so only look up the answers of questions still in play
+    if (options.flags.includes('verified')) {
+        const answerIds = matches.flatMap(match => match.record.answerIds);
+        const answerInfos = await batchRead(answerIds.map(id => ['getAnswerInfo', [id]]));
+        const verified = new Set(answerInfos
+            .filter(answer => answer && answer.isVerified)
+            .map(answer => Number(answer.questionId)));
+
+        matches = matches.filter(match => verified.has(match.id));
     }
+
+    return matches.sort(FEED_SORTERS[options.sort] || FEED_SORTERS.newest);
+}
+
+function compareBigNumbers(a, b) {
+    const difference = ethers.BigNumber.from(a).sub(b);
+    return difference.isZero() ? 0 : (difference.isNegative() ? -1 : 1);
+}
+
+function getFeedOptions() {
+    return {
+        category: document.getElementById('categoryFilter').value,
+        sort: document.getElementById('sortOrder').value,
+        status: document.getElementById('statusFilter').value,
+        flags: [...document.querySelectorAll('.feed-flag:checked')].map(flag => flag.value)
+    };
+}
+
+function isRefinedFeed(options) {
+    return options.sort !== 'newest' || options.status !== '' || options.flags.length > 0;
+}
+
+// Feed options live in the query string so a filtered view can be shared,
+// e.g. ?category=6&sort=bounty&status=active&filter=bounty,unanswered
+function syncFeedOptionsToUrl(options) {
+    const params = new URLSearchParams();
+    if (options.category) params.set('category', options.category);
+    if (options.sort !== 'newest') params.set('sort', options.sort);
+    if (options.status) params.set('status', options.status);
+    if (options.flags.length > 0) params.set('filter', options.flags.join(','));
+
+    const query = params.toString();
+    history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+}
+
+function applyFeedOptionsFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const flags = (params.get('filter') || '').split(',');
+
+    if (params.has('category')) selectCategory(document.getElementById('categoryFilter'), params.get('category'));
+    if (FEED_SORTERS[params.get('sort')]) document.getElementById('sortOrder').value = params.get('sort');
+    if (params.has('status')) document.getElementById('statusFilter').value = params.get('status');
+    document.querySelectorAll('.feed-flag').forEach(flag => {
+        flag.checked = flags.includes(flag.value);
+    });
+}
+
+function updateQuestionsPager() {
+    const hasMore = questionFeed.loaded < questionFeed.total;
+
+    document.getElementById('loadMoreQuestions').classList.toggle('hidden', !hasMore);
+    document.getElementById('questionsCount').textContent = questionFeed.total > 0
+        ? `Showing ${questionFeed.loaded} of ${questionFeed.total} questions`
+        : '';
+}
+
+async function renderQuestionCard(questionId, questionInfo, bountyInfo) {
+    const indexed = questionFeed.records.get(questionId);
+    const timestamp = new Date(Number(questionInfo.timestamp) * 1000);
+    const content = await decryptContent(questionInfo.encryptedContent);
+
+    return `
+        <div class="question-card" onclick="navigate('/questions/${questionId}')">
+            <div class="question-header">
+                <span class="question-category">${escapeHtml(questionInfo.category)}</span>
+                <div class="question-meta">
+                    <span>By: ${renderAuthorLink(questionInfo.author)}</span>
+                    <span>${timestamp.toLocaleDateString()}</span>
+                    <span>ID: ${questionId}</span>
+                </div>
+            </div>
+            <div class="question-content">
+                ${renderContent(content, 200)}
+            </div>
+            <div class="question-stats">
+                <span>Answers: ${Number(questionInfo.answerCount)}</span>
+                <span>Status: ${questionInfo.isActive ? 'Active' : 'Closed'}</span>
+                ${indexed && indexed.bestAnswerId ? '<span>Best answer selected</span>' : ''}
+                ${bountyInfo ? renderBounty(bountyInfo) : ''}
+            </div>
+        </div>
+    `;
+}
+
+function renderBountyFunders(bountyFunders, token) {
+    const entries = bountyFunders.funders
+        .map((funder, i) => ({ funder, amount: bountyFunders.amounts[i] }))
+        .filter(entry => !entry.amount.isZero());
+    if (entries.length === 0) return '';
+
+    return `
+        <div class="bounty-funders">
+            <strong>Funded by:</strong>
+            ${entries.map(entry => `<span>${renderAuthorLink(entry.funder)} ${formatTokenAmount(entry.amount, token)}</span>`).join('')}
+        </div>
+    `;
+}
+
+// Shows the escrowed amount and how long the asker still has to award it
+function renderBounty(bountyInfo) {
+    if (bountyInfo.bounty.isZero()) return '';
+    const funders = Number(bountyInfo.funderCount);
+    return `<span class="bounty">${formatTokenAmount(bountyInfo.bounty, bountyInfo.token)}</span>
+        <span class="bounty-deadline">${funders} funder${funders === 1 ? '' : 's'} &middot; ${formatTimeRemaining(bountyInfo.deadline)}</span>`;
+}
+
+function formatTimeRemaining(deadline) {
+    const seconds = Number(deadline) - Math.floor(Date.now() / 1000);
+    if (seconds <= 0) return 'Bounty expired';
+
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h left`;
+    if (hours > 0) return `${hours}h ${minutes}m left`;
+    return `${minutes}m left`;
 }
 
 async function openQuestionDetail(questionId) {
@@ -348,47 +957,140 @@ async function openQuestionDetail(questionId) {
 
     try {
         showLoading();
+        if (currentQuestionId === null) questionsScrollPosition = window.scrollY;
         currentQuestionId = questionId;
 
         // Get question details
         const questionInfo = await contract.getQuestionInfo(questionId);
+        const bountyInfo = await bountyEscrow.getBountyInfo(questionId);
+        const bountyFunders = await bountyEscrow.getBountyFunders(questionId);
+        const ownContribution = bountyFunders.funders.reduce((total, funder, i) =>
+            isSameAddress(funder, currentAccount) ? total.add(bountyFunders.amounts[i]) : total, ethers.constants.Zero);
+        // Mirrors BountyEscrow.increaseBounty: a paid out bounty takes no more funds
+        const bountyOpen = questionInfo.isActive && (bountyInfo.deadline.isZero()
+            || (!bountyInfo.bounty.isZero() && bountyInfo.deadline.toNumber() * 1000 > Date.now()));
+        const isQuestionAuthor = isOwnIdentity(questionInfo.author);
+        const bountySplittable = isQuestionAuthor && bountyOpen && !bountyInfo.bounty.isZero();
+        // Only the asker picks the currency and window of a question's first bounty
+        const canFundBounty = bountyOpen && (isQuestionAuthor || !bountyInfo.deadline.isZero());
         const timestamp = new Date(Number(questionInfo.timestamp) * 1000);
-        const authorShort = `${questionInfo.author.slice(0, 6)}...${questionInfo.author.slice(-4)}`;
+        let questionContent = await decryptContent(questionInfo.encryptedContent);
+        const isDirected = await directedQuestions.isDirected(questionId);
+        const direction = isDirected ? await directedQuestions.getDirection(questionId) : null;
+        const canParticipate = !isDirected || await directedQuestions.canAccess(questionId, currentAccount);
+        const hasKeyAccess = isDirected && await directedQuestions.hasKeyAccess(questionId, currentAccount);
+        if (hasKeyAccess && questionContent.locked && await unlockDirectedQuestions([{ questionId, keyId: questionContent.keyId }])) {
+            questionContent = await decryptContent(questionInfo.encryptedContent);
+        }
+        const questionDeleted = await contentRevisions.questionDeleted(questionId);
+        const questionRevisions = await contentRevisions.getQuestionRevisions(questionId);
+        const canEditQuestion = isQuestionAuthor && questionInfo.isActive && !questionContent.locked;
+        currentQuestionKeyId = questionContent.keyId;
+        editableContent = new Map();
+        postAuthors = new Map([[`question-${questionId}`, questionInfo.author]]);
+        if (canEditQuestion) editableContent.set(`question-${questionId}`, questionContent.text);
+        currentComments = await loadComments(questionId);
+        const canComment = Boolean(currentAccount) && questionInfo.isActive && canParticipate;
 
         // Get answers
-        const answerIds = await contract.getQuestionAnswers(questionId);
+        const answerIds = (await contract.getQuestionAnswers(questionId)).map(Number);
+        const answerDetails = await loadAnswerDetails(answerIds);
+        const answerStats = new Map(answerIds.map(id => [id, answerDetails.get(id).stats]));
+        // Mirrors PrivacyQA: a question's answers are awarded once, while it is open
+        const canAward = isQuestionAuthor && questionInfo.isActive && !(await contract.questionAwarded(questionId));
+        const myVotes = [];
+        const readableScores = [];
+        const verificationQuorum = await answerVerification.verificationQuorum();
+        // Mirrors AnswerVerification.canVerify: an expert in this category or a parent category
+        const { categoryId } = await contract.questions(questionId);
+        const isCategoryExpert = currentAccount && await expertRegistry.isExpertIn(currentAccount, categoryId);
         let answersHTML = '';
 
         if (answerIds.length > 0) {
-            answersHTML = '<div class="answers-section"><h3>Answers</h3>';
+            answersHTML = `<div class="answers-section"><h3>Answers</h3>${await renderScoreControls(questionId, questionInfo.isActive, answerIds.length, isQuestionAuthor)}`;
+
+            for (const answerId of sortAnswersByScore(answerIds, answerStats)) {
+                const {
+                    info: answerInfo, eligibility, stats, deleted, revisions: answerRevisions, verifications, vote
+                } = answerDetails.get(answerId);
+                if (deleted || !answerInfo || !eligibility) continue;
+
+                const isOwnAnswer = isOwnIdentity(answerInfo.author);
+                postAuthors.set(`answer-${answerId}`, answerInfo.author);
+
+                // Answers below the reputation threshold are only shown to their author
+                if (eligibility.eligibilityResolved && !eligibility.isEligible && !isOwnAnswer) continue;
 
-            for (let i = 0; i < answerIds.length; i++) {
-                const answerInfo = await contract.getAnswerInfo(Number(answerIds[i]));
                 const answerTimestamp = new Date(Number(answerInfo.timestamp) * 1000);
-                const answerAuthorShort = `${answerInfo.author.slice(0, 6)}...${answerInfo.author.slice(-4)}`;
+                const answerContent = await decryptContent(answerInfo.encryptedContent);
+                // Mirrors ContentRevisions: verified and best answers are locked
+                const canEditAnswer = isOwnAnswer && !answerInfo.isVerified && !answerInfo.isBestAnswer && !answerContent.locked;
+                if (canEditAnswer) editableContent.set(`answer-${answerId}`, answerContent.text);
+                const myVote = currentAccount && !isOwnAnswer ? vote : null;
+                if (myVote && myVote.voted) myVotes.push({ answerId, handle: myVote.encryptedVote });
+                // Mirrors AnswerScores: votes close with the question and skip ineligible answers
+                const canVote = questionInfo.isActive && eligibility.isEligible;
+
+                // Until scores are revealed, only the question and answer authors can read them.
+                // A pseudonym's decryption rights are its own, so anonymous posts are left out.
+                const canReadScore = stats && !stats.scoreRevealed && stats.voteCount > 0 &&
+                    (isSameAddress(questionInfo.author, currentAccount) || isSameAddress(answerInfo.author, currentAccount));
+                if (canReadScore) readableScores.push({ answerId, voteCount: stats.voteCount });
 
                 answersHTML += `
-                    <div class="answer-card ${answerInfo.isVerified ? 'verified' : ''} ${answerInfo.isBestAnswer ? 'best' : ''}">
+                    <div id="answer-${answerId}" class="answer-card ${answerInfo.isVerified ? 'verified' : ''} ${answerInfo.isBestAnswer ? 'best' : ''}">
                         <div class="answer-header">
-                            <span>By: ${answerAuthorShort} on ${answerTimestamp.toLocaleDateString()}</span>
+                            <span>By: ${renderAuthorLink(answerInfo.author)} on ${answerTimestamp.toLocaleDateString()} &middot; <a href="#/answers/${answerId}">#${answerId}</a></span>
                             <div class="answer-badges">
+                                ${renderEligibilityBadge(eligibility)}
                                 ${answerInfo.isVerified ? '<span class="badge verified">Verified</span>' : ''}
                                 ${answerInfo.isBestAnswer ? '<span class="badge best">Best Answer</span>' : ''}
+                                ${renderEditedBadge('answer', answerId, answerRevisions)}
                             </div>
                         </div>
-                        <div class="answer-content">${answerInfo.encryptedContent}</div>
+                        ${renderRevisionHistory('answer', answerId)}
+                        ${renderAnswerScore(answerId, stats)}
+                        ${renderVerifications(verifications, verificationQuorum)}
+                        ${isOwnAnswer && eligibility.eligibilityResolved && !eligibility.isEligible ? `
+                            <p class="text-muted eligibility-note">Your reputation is below this question's requirement, so this answer is hidden from other users.</p>
+                        ` : ''}
+                        <div id="answer-content-${answerId}" class="answer-content">${renderContent(answerContent)}</div>
                         <div class="answer-actions">
-                            ${currentAccount && answerInfo.author !== currentAccount ? `
+                            ${canEditAnswer ? `
+                                <button class="btn btn-secondary btn-small" onclick="startEdit('answer', ${answerId})">Edit</button>
+                                <button class="btn btn-danger btn-small" onclick="handleDeleteContent('answer', ${answerId})">Delete</button>
+                            ` : ''}
+                            ${currentAccount && !isOwnAnswer && (canVote || myVote.voted) ? `
                                 <div class="vote-section">
-                                    <span>Vote (0-10):</span>
-                                    <input type="number" id="vote-${Number(answerIds[i])}" min="0" max="10" value="5">
-                                    <button class="btn btn-secondary" onclick="voteOnAnswer(${Number(answerIds[i])})">Vote</button>
+                                    ${myVote.voted ? `<span class="badge voted">You voted<span id="my-vote-${answerId}"></span></span>` : ''}
+                                    ${canVote ? `
+                                        <span>Vote (0-10):</span>
+                                        <input type="number" id="vote-${answerId}" min="0" max="10" value="5">
+                                        <button class="btn btn-secondary" onclick="voteOnAnswer(${answerId})">${myVote.voted ? 'Change Vote' : 'Vote'}</button>
+                                    ` : ''}
                                 </div>
                             ` : ''}
-                            ${currentAccount === questionInfo.author ? `
-                                <button class="btn btn-primary" onclick="selectBestAnswer(${questionId}, ${Number(answerIds[i])})">Select Best</button>
+                            ${isCategoryExpert && !isOwnAnswer && eligibility.isEligible ? renderVerifyAction(answerId, verifications) : ''}
+                            ${canAward && eligibility.isEligible && !bountySplittable ? `
+                                <button class="btn btn-primary" onclick="selectBestAnswer(${questionId}, ${answerId})">Select Best</button>
+                            ` : ''}
+                            ${bountySplittable && eligibility.isEligible ? `
+                                <label class="bounty-share">
+                                    Bounty share:
+                                    <input type="number" class="bounty-share-input" data-answer-id="${answerId}" min="0" max="100" step="1" placeholder="0" oninput="updateBountySplitTotal()">%
+                                </label>
                             ` : ''}
                         </div>
+                        ${renderCommentThread(answerId, canComment && (!eligibility.eligibilityResolved || eligibility.isEligible))}
+                    </div>
+                `;
+            }
+
+            if (bountySplittable) {
+                answersHTML += `
+                    <div class="bounty-split">
+                        <span>Allocated: <strong id="bountySplitTotal">0</strong>% of ${formatTokenAmount(bountyInfo.bounty, bountyInfo.token)}</span>
+                        <button id="awardBounty" class="btn btn-primary" onclick="handleSplitBounty(${questionId})" disabled>Award Bounty</button>
                     </div>
                 `;
             }
@@ -400,22 +1102,52 @@ async function openQuestionDetail(questionId) {
 
         const questionDetailHTML = `
             <div class="question-detail-header">
-                <h2>${questionInfo.category}</h2>
+                <h2>${escapeHtml(questionInfo.category)}</h2>
                 <div class="question-meta">
-                    <span>By: ${authorShort}</span>
+                    <span>By: ${renderAuthorLink(questionInfo.author)}</span>
                     <span>Posted: ${timestamp.toLocaleDateString()}</span>
                     <span>ID: ${questionId}</span>
-                    ${Number(questionInfo.bounty) > 0 ? `<span class="bounty">${ethers.utils.formatEther(questionInfo.bounty)} ETH Bounty</span>` : ''}
+                    ${renderEditedBadge('question', questionId, questionRevisions)}
+                    ${direction ? renderDirection(direction) : ''}
+                    ${renderBounty(bountyInfo)}
+                    ${questionContent.keyId && !questionContent.locked ? `<button class="btn btn-secondary btn-small" data-key-action="share" data-key-id="${escapeHtml(questionContent.keyId)}">Share Key</button>` : ''}
                 </div>
             </div>
-            <div class="question-detail-content">
-                ${questionInfo.encryptedContent}
+            ${renderRevisionHistory('question', questionId)}
+            <div id="question-content-${questionId}" class="question-detail-content">
+                ${questionDeleted ? '<p class="text-muted">This question was deleted by its author.</p>' : renderContent(questionContent)}
+                ${isDirected && canParticipate && !hasKeyAccess ? `
+                    <button class="btn btn-primary btn-small" onclick="handleClaimDirectedAccess(${questionId})">Unlock as Expert</button>
+                ` : ''}
             </div>
+            ${renderBountyFunders(bountyFunders, bountyInfo.token)}
+            <div class="question-owner-actions">
+                ${canEditQuestion ? `
+                    <button class="btn btn-secondary btn-small" onclick="startEdit('question', ${questionId})">Edit</button>
+                    <button class="btn btn-danger btn-small" onclick="handleDeleteContent('question', ${questionId})">Delete</button>
+                ` : ''}
+                ${(isQuestionAuthor || accountRoles.has('moderator')) && questionInfo.isActive ? `<button class="btn btn-danger btn-small" onclick="handleCloseQuestion(${questionId})">Close Question</button>` : ''}
+                ${bountyInfo.refundable && !ownContribution.isZero() ? `<button class="btn btn-secondary btn-small" onclick="handleReclaimBounty(${questionId})">Reclaim my ${formatTokenAmount(ownContribution, bountyInfo.token)}</button>` : ''}
+                ${currentAccount && canFundBounty ? `
+                    <div class="bounty-topup">
+                        <input type="number" id="bountyIncrease" step="0.001" min="0" placeholder="0.000">
+                        ${bountyInfo.deadline.isZero() ? `
+                            <select id="bountyIncreaseToken">${renderBountyTokenOptions()}</select>
+                            <input type="number" id="bountyIncreaseDuration" min="1" max="90" value="7" title="Bounty duration (days)">
+                        ` : ''}
+                        <button class="btn btn-primary btn-small" onclick="handleIncreaseBounty(${questionId}, '${bountyInfo.token}')">Add to bounty</button>
+                    </div>
+                ` : ''}
+            </div>
+            ${renderCommentThread(0, canComment)}
             ${answersHTML}
         `;
 
         document.getElementById('questionDetail').innerHTML = questionDetailHTML;
+        document.getElementById('answerForm').classList.toggle('hidden', !canParticipate);
         document.getElementById('questionModal').classList.remove('hidden');
+        loadMyVotes(myVotes);
+        loadAnswerScores(readableScores);
 
         hideLoading();
 
@@ -426,290 +1158,2984 @@ async function openQuestionDetail(questionId) {
     }
 }
 
-function closeModal() {
-    document.getElementById('questionModal').classList.add('hidden');
-    currentQuestionId = null;
+// Everything the answer cards show, read with one batch per contract instead of a round of
+// calls per answer. Returns answerId -> { info, eligibility, stats, deleted, revisions,
+// verifications, vote }; a field whose read failed is null. Each verification carries
+// whether its verifier is still an expert, as AnswerVerification only counts those.
+async function loadAnswerDetails(answerIds) {
+    const voter = currentAccount || ethers.constants.AddressZero;
+    const readEach = async (target, methods) => {
+        const results = await batchRead(answerIds.flatMap(id => methods.map(([method, args]) => [method, args(id)])), target);
+        return answerIds.map((id, i) => results.slice(i * methods.length, (i + 1) * methods.length));
+    };
+
+    const [posts, revisions, scores, verifications] = await Promise.all([
+        readEach(contract, [['getAnswerInfo', id => [id]], ['getAnswerEligibility', id => [id]]]),
+        readEach(contentRevisions, [['answerDeleted', id => [id]], ['getAnswerRevisions', id => [id]]]),
+        readEach(answerScores, [['answerStats', id => [id]], ['getVote', id => [id, voter]]]),
+        readEach(answerVerification, [['getVerifications', id => [id]]])
+    ]);
+
+    const answerVerifications = verifications.map(([result]) => result ? result[0] : []);
+    const verifiers = [...new Set(answerVerifications.flat().map(verification => verification.verifier))];
+    const expertStatus = await batchRead(verifiers.map(verifier => ['isExpert', [verifier]]), expertRegistry);
+    const currentExperts = new Set(verifiers.filter((verifier, i) => expertStatus[i] && expertStatus[i][0]));
+
+    return new Map(answerIds.map((id, i) => [id, {
+        info: posts[i][0],
+        eligibility: posts[i][1],
+        stats: scores[i][0],
+        deleted: Boolean(revisions[i][0] && revisions[i][0][0]),
+        revisions: revisions[i][1] ? revisions[i][1][0] : [],
+        verifications: answerVerifications[i].map(({ verifier, timestamp, rationale }) => ({
+            verifier, timestamp, rationale, isCurrent: currentExperts.has(verifier)
+        })),
+        vote: scores[i][1] || { voted: false }
+    }]));
 }
 
-async function handleAskQuestion(e) {
-    e.preventDefault();
+// Edits and Revisions
+// Editable posts keep their decrypted text in editableContent while the modal is open, so
+// the editor starts from what the author sees. type is 'question' or 'answer'.
 
-    if (!contract || !signer) {
-        showStatus('Please connect your wallet first', 'error');
+function renderEditedBadge(type, id, revisions) {
+    if (revisions.length === 0) return '';
+    return `<button class="badge edited" title="Show revision history" onclick="toggleRevisionHistory('${type}', ${id})">Edited</button>`;
+}
+
+function renderRevisionHistory(type, id) {
+    return `<div id="revisions-${type}-${id}" class="revision-history hidden"></div>`;
+}
+
+// The first revision is the original post and the last one is the current content
+async function toggleRevisionHistory(type, id) {
+    const container = document.getElementById(`revisions-${type}-${id}`);
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
         return;
     }
 
     try {
-        showLoading();
+        const revisions = type === 'question'
+            ? await contentRevisions.getQuestionRevisions(id)
+            : await contentRevisions.getAnswerRevisions(id);
+        const contents = await Promise.all(revisions.map(revision => decryptContent(revision.encryptedContent)));
+
+        container.innerHTML = `
+            <h4>Revision History</h4>
+            ${revisions.map((revision, i) => `
+                <div class="revision">
+                    <div class="revision-meta">
+                        ${i === 0 ? 'Original' : `Edit ${i}`} &middot; ${new Date(revision.timestamp.toNumber() * 1000).toLocaleString()}
+                        ${i === revisions.length - 1 ? '<span class="badge">Current</span>' : ''}
+                    </div>
+                    <div class="revision-content">${renderContent(contents[i])}</div>
+                </div>
+            `).reverse().join('')}
+        `;
+        container.classList.remove('hidden');
 
-        const category = document.getElementById('questionCategory').value;
-        const content = document.getElementById('questionContent').value;
-        const reputationRequired = document.getElementById('reputationRequired').value;
-        const bounty = document.getElementById('bounty').value;
+    } catch (error) {
+        console.error('Error loading revision history:', error);
+        showStatus('Error loading revision history', 'error');
+    }
+}
 
-        const bountyWei = bounty ? ethers.utils.parseEther(bounty) : ethers.BigNumber.from(0);
+function startEdit(type, id) {
+    const container = document.getElementById(`${type}-content-${id}`);
+    container.innerHTML = `
+        <div class="form-group">
+            <textarea id="edit-${type}-${id}" rows="4"></textarea>
+        </div>
+        <div class="edit-actions">
+            <button class="btn btn-primary btn-small" onclick="handleSaveEdit('${type}', ${id})">Save</button>
+            <button class="btn btn-secondary btn-small" onclick="openQuestionDetail(${currentQuestionId})">Cancel</button>
+        </div>
+    `;
+    document.getElementById(`edit-${type}-${id}`).value = editableContent.get(`${type}-${id}`) || '';
+}
 
-        const tx = await contract.postQuestion(
-            category,
-            content,
-            parseInt(reputationRequired),
-            { value: bountyWei }
-        );
+async function handleSaveEdit(type, id) {
+    if (!contentRevisions) return;
 
-        await tx.wait();
+    const content = document.getElementById(`edit-${type}-${id}`).value.trim();
+    if (!content) {
+        showStatus('Content cannot be empty', 'error');
+        return;
+    }
+    if (content === editableContent.get(`${type}-${id}`)) {
+        showStatus('Nothing changed', 'error');
+        return;
+    }
 
-        // Reset form
-        document.getElementById('askQuestionForm').reset();
+    try {
+        showLoading();
 
-        // Refresh questions
-        await loadQuestions();
+        // Edits are sealed with the question key, like the original post
+        const encryptedContent = currentQuestionKeyId
+            ? await encryptContent(content, currentQuestionKeyId)
+            : content;
+        const revisions = await asAuthor(contentRevisions, postAuthors.get(`${type}-${id}`));
+        const tx = await sendTransaction(revisions, type === 'question' ? 'editQuestion' : 'editAnswer', [id, encryptedContent]);
+        await tx.wait();
 
-        // Switch to questions tab
-        switchTab('questions');
+        await invalidateSearchIndex();
+        await openQuestionDetail(currentQuestionId);
 
         hideLoading();
-        showStatus('Question posted successfully!', 'success');
+        showStatus(type === 'question' ? 'Question updated!' : 'Answer updated!', 'success');
 
     } catch (error) {
         hideLoading();
-        console.error('Error posting question:', error);
-        showStatus('Error posting question: ' + error.message, 'error');
+        console.error('Error saving edit:', error);
+        showStatus('Error saving edit: ' + error.message, 'error');
     }
 }
 
-async function handleSubmitAnswer() {
-    if (!contract || !currentQuestionId) return;
+async function handleDeleteContent(type, id) {
+    if (!contentRevisions) return;
 
-    const content = document.getElementById('answerContent').value.trim();
-    if (!content) {
-        showStatus('Please enter your answer', 'error');
-        return;
-    }
+    const warning = type === 'question'
+        ? 'Delete this question? It will be closed and its content removed.'
+        : 'Delete this answer? It will be hidden from the question.';
+    if (!confirm(warning)) return;
 
     try {
         showLoading();
 
-        const tx = await contract.submitAnswer(currentQuestionId, content);
+        const revisions = await asAuthor(contentRevisions, postAuthors.get(`${type}-${id}`));
+        const tx = await sendTransaction(revisions, type === 'question' ? 'deleteQuestion' : 'deleteAnswer', [id]);
         await tx.wait();
 
-        document.getElementById('answerContent').value = '';
-
-        // Refresh question details
+        await invalidateSearchIndex();
         await openQuestionDetail(currentQuestionId);
 
         hideLoading();
-        showStatus('Answer submitted successfully!', 'success');
+        showStatus(type === 'question' ? 'Question deleted' : 'Answer deleted', 'success');
 
     } catch (error) {
         hideLoading();
-        console.error('Error submitting answer:', error);
-        showStatus('Error submitting answer: ' + error.message, 'error');
+        console.error('Error deleting:', error);
+        showStatus('Error deleting: ' + error.message, 'error');
     }
 }
 
-async function voteOnAnswer(answerId) {
-    if (!contract) return;
-
-    const voteInput = document.getElementById(`vote-${answerId}`);
-    const score = parseInt(voteInput.value);
+// Directed Questions
+// A directed question's content key is stored on DirectedQuestions as an FHE ciphertext.
+// Recipients with ACL access decrypt it through the relayer and keep it with their other
+// content keys; experts matching one of its specialties claim access first.
+
+function renderDirection(direction) {
+    const audience = [
+        ...direction.recipients.map(renderAuthorLink),
+        ...direction.specialties.map(specialty => `${escapeHtml(getCategoryLabel(Number(specialty)))} experts`)
+    ];
+    return `<span class="badge directed" title="Only these recipients can read and answer">Private</span> <span>To: ${audience.join(', ')}</span>`;
+}
 
-    if (score < 0 || score > 10) {
-        showStatus('Vote must be between 0 and 10', 'error');
-        return;
-    }
+// entries are { questionId, keyId } the account holds key access for. All keys are
+// decrypted in one relayer request; returns whether any key was saved.
+async function unlockDirectedQuestions(entries) {
+    const pending = entries.filter(entry => entry.keyId && !hasContentKey(entry.keyId));
+    if (pending.length === 0) return false;
 
     try {
-        showLoading();
-
-        const tx = await contract.voteOnAnswer(answerId, score);
-        await tx.wait();
+        const directions = await Promise.all(pending.map(entry => directedQuestions.getDirection(entry.questionId)));
+        const handles = directions.map(direction => direction.contentKey);
+        const values = await userDecryptHandles(handles, directedQuestions.address);
 
-        hideLoading();
-        showStatus('Vote submitted successfully!', 'success');
+        pending.forEach((entry, i) => saveContentKey(entry.keyId, contentKeyFromBigInt(values[handles[i]])));
+        return true;
 
     } catch (error) {
-        hideLoading();
-        console.error('Error voting on answer:', error);
-        showStatus('Error voting: ' + error.message, 'error');
+        console.error('Error decrypting question keys:', error);
+        showStatus('Could not decrypt the question key', 'error');
+        return false;
     }
 }
 
-async function selectBestAnswer(questionId, answerId) {
-    if (!contract) return;
+async function handleClaimDirectedAccess(questionId) {
+    if (!directedQuestions) return;
 
     try {
         showLoading();
 
-        const tx = await contract.selectBestAnswer(questionId, answerId);
+        const tx = await sendTransaction(directedQuestions, 'claimAccess', [questionId]);
         await tx.wait();
 
-        // Refresh question details
+        // Reopening decrypts the key we now have access to
         await openQuestionDetail(questionId);
 
         hideLoading();
-        showStatus('Best answer selected successfully!', 'success');
+        showStatus('Question unlocked', 'success');
 
     } catch (error) {
         hideLoading();
-        console.error('Error selecting best answer:', error);
-        showStatus('Error selecting best answer: ' + error.message, 'error');
+        console.error('Error claiming access:', error);
+        showStatus('Error unlocking question: ' + error.message, 'error');
     }
 }
 
-async function handleInitializeUser() {
-    if (!contract) return;
+// Questions addressed to the connected account, by address or through its expert specialties
+async function loadInbox() {
+    const inbox = document.getElementById('inboxQuestions');
 
     try {
-        showLoading();
+        const inboxIds = await directedQuestions.getInbox(currentAccount);
+        const questionIds = inboxIds.map(id => Number(id)).sort((a, b) => b - a);
 
-        const tx = await contract.initializeUser(10); // Initial reputation of 10
-        await tx.wait();
+        if (questionIds.length === 0) {
+            inbox.innerHTML = '<p class="text-muted">No questions addressed to you</p>';
+            return;
+        }
 
-        await loadUserProfile();
+        const infos = await batchRead(questionIds.map(id => ['getQuestionInfo', [id]]));
+        const keyAccess = await Promise.all(questionIds.map(id => directedQuestions.hasKeyAccess(id, currentAccount)));
+        await unlockDirectedQuestions(questionIds
+            .map((questionId, i) => ({ questionId, envelope: infos[i] && keyAccess[i] && parseContentEnvelope(infos[i].encryptedContent) }))
+            .filter(entry => entry.envelope)
+            .map(entry => ({ questionId: entry.questionId, keyId: entry.envelope.kid })));
 
-        hideLoading();
-        showStatus('Profile initialized successfully!', 'success');
+        let inboxHTML = '';
+        for (let i = 0; i < questionIds.length; i++) {
+            if (!infos[i]) continue;
+            inboxHTML += await renderQuestionCard(questionIds[i], infos[i], null);
+        }
+        inbox.innerHTML = inboxHTML;
 
     } catch (error) {
-        hideLoading();
-        console.error('Error initializing user:', error);
-        showStatus('Error initializing profile: ' + error.message, 'error');
+        console.error('Error loading inbox:', error);
+        inbox.innerHTML = '<p class="text-muted">Error loading inbox</p>';
     }
 }
 
-async function handleAddSpecialty() {
-    if (!contract) return;
-
-    const specialty = document.getElementById('specialty').value.trim();
-    if (!specialty) {
-        showStatus('Please enter a specialty', 'error');
-        return;
-    }
-
-    try {
-        showLoading();
+// Pseudonyms
+// Anonymous posts come from a pseudonym: a wallet derived from one signature of the
+// connected account and the post's scope, so it can be rederived on any device. Answers use
+// question-<id>; questions use ask-<n>, the first n whose pseudonym is not registered yet,
+// since the question id is only known once the pseudonym has posted. The asker answers in
+// their own thread as the pseudonym that asked. Pseudonyms pay their own gas, and only stay
+// unlinked when funded from an address not tied to the owner.
+// Registering commits to keccak256(owner, secret); revealing the secret later claims the
+// pseudonym's bounties and reputation. Addresses of our own pseudonyms are kept per account
+// in localStorage; their keys never are.
+// A pseudonym starts with the most reputation any new account may claim, so its answers stay
+// hidden on questions that require more.
+const PSEUDONYM_REPUTATION = 10;
+const PSEUDONYM_SEED_MESSAGE = 'PrivacyQA pseudonym seed\n\nSigning this derives your anonymous identities. Only sign it on this site.';
+const PSEUDONYM_STORAGE = 'privacyqa.pseudonyms';
+const PSEUDONYM_ADJECTIVES = ['Amber', 'Brisk', 'Calm', 'Dusky', 'Eager', 'Fabled', 'Gentle', 'Hidden', 'Ivory', 'Jade', 'Keen', 'Lunar', 'Misty', 'Noble', 'Quiet', 'Silent'];
+const PSEUDONYM_ANIMALS = ['Badger', 'Crane', 'Dolphin', 'Falcon', 'Fox', 'Heron', 'Ibex', 'Lynx', 'Marten', 'Otter', 'Owl', 'Panda', 'Raven', 'Stoat', 'Wolf', 'Wren'];
+
+async function loadPseudonyms() {
+    const registered = await pseudonymRegistry.getPseudonyms();
+    pseudonyms = new Set(registered.map(address => address.toLowerCase()));
+}
 
-        const tx = await contract.addSpecialty(specialty);
-        await tx.wait();
+function isPseudonym(address) {
+    return Boolean(address) && pseudonyms.has(address.toLowerCase());
+}
 
-        document.getElementById('specialty').value = '';
-        await loadUserProfile();
+// Stable, readable name for a pseudonym, e.g. "Quiet Heron 3f9a"
+function pseudonymName(address) {
+    const bytes = ethers.utils.arrayify(address);
+    return `${PSEUDONYM_ADJECTIVES[bytes[0] % 16]} ${PSEUDONYM_ANIMALS[bytes[1] % 16]} ${address.slice(-4).toLowerCase()}`;
+}
 
-        hideLoading();
-        showStatus('Specialty added successfully!', 'success');
+function displayName(address) {
+    return isPseudonym(address) ? pseudonymName(address) : shortAddress(address);
+}
 
+// scope -> pseudonym address for the connected account
+function loadOwnPseudonymMap() {
+    try {
+        return (JSON.parse(localStorage.getItem(PSEUDONYM_STORAGE)) || {})[currentAccount.toLowerCase()] || {};
     } catch (error) {
-        hideLoading();
-        console.error('Error adding specialty:', error);
-        showStatus('Error adding specialty: ' + error.message, 'error');
+        return {};
     }
 }
 
-async function handlePromoteToExpert() {
-    if (!contract) return;
+function saveOwnPseudonym(scope, address) {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(PSEUDONYM_STORAGE)) || {};
+    } catch (error) {
+        stored = {};
+    }
+    const account = currentAccount.toLowerCase();
+    stored[account] = { ...stored[account], [scope]: address };
+    localStorage.setItem(PSEUDONYM_STORAGE, JSON.stringify(stored));
+}
+
+function getOwnPseudonymScope(address) {
+    if (!address || !currentAccount) return null;
+    const entry = Object.entries(loadOwnPseudonymMap()).find(([, pseudonym]) => isSameAddress(pseudonym, address));
+    return entry ? entry[0] : null;
+}
+
+// The connected account, or one of its pseudonyms
+function isOwnIdentity(address) {
+    return isSameAddress(address, currentAccount) || getOwnPseudonymScope(address) !== null;
+}
+
+async function derivePseudonym(scope) {
+    if (!pseudonymSeed || pseudonymSeed.account !== currentAccount) {
+        const signature = await signer.signMessage(PSEUDONYM_SEED_MESSAGE);
+        pseudonymSeed = { account: currentAccount, seed: ethers.utils.keccak256(signature) };
+    }
+
+    const privateKey = ethers.utils.solidityKeccak256(['bytes32', 'string'], [pseudonymSeed.seed, scope]);
+    const secret = ethers.utils.solidityKeccak256(['bytes32', 'string'], [pseudonymSeed.seed, `secret:${scope}`]);
+    return { wallet: new ethers.Wallet(privateKey, provider), secret };
+}
+
+async function nextAskScope() {
+    for (let n = 0; ; n++) {
+        const scope = `ask-${n}`;
+        const { wallet } = await derivePseudonym(scope);
+        if (!(await pseudonymRegistry.isPseudonym(wallet.address))) return scope;
+    }
+}
+
+// Returns a signer for the scope's pseudonym, registered and initialized. Both setup
+// transactions are signed locally, and paid by the pseudonym unless the gas relayer
+// submits them.
+async function preparePseudonym(scope) {
+    const { wallet, secret } = await derivePseudonym(scope);
+    saveOwnPseudonym(scope, wallet.address);
+
+    if (!isRelayed() && (await provider.getBalance(wallet.address)).isZero()) {
+        throw new Error(`Your pseudonym ${wallet.address} needs ETH for gas. Fund it from an address that is not linked to you, then try again.`);
+    }
+
+    if (!(await pseudonymRegistry.isPseudonym(wallet.address))) {
+        const commitment = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'bytes32'], [currentAccount, secret]));
+        await (await sendTransaction(pseudonymRegistry.connect(wallet), 'registerPseudonym', [commitment])).wait();
+        pseudonyms.add(wallet.address.toLowerCase());
+    }
+
+    const userInfo = await contract.getUserInfo(wallet.address);
+    if (Number(userInfo.joinDate) === 0) {
+        // Start at the allowance, which is exactly what a claim does not carry over
+        const encryptedReputation = await encryptInputs([{ bits: 32, value: PSEUDONYM_REPUTATION }], CONTRACT_ADDRESS, wallet.address);
+        await (await sendTransaction(contract.connect(wallet), 'initializeUser', [encryptedReputation.handles[0], encryptedReputation.inputProof])).wait();
+    }
+
+    return wallet;
+}
+
+// Author-only calls on an anonymous post have to come from its pseudonym
+async function asAuthor(target, author) {
+    const scope = getOwnPseudonymScope(author);
+    if (!scope) return target;
+
+    const { wallet } = await derivePseudonym(scope);
+    return target.connect(wallet);
+}
+
+async function loadOwnPseudonyms() {
+    const list = document.getElementById('pseudonymsList');
+
+    try {
+        const entries = Object.entries(loadOwnPseudonymMap());
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="text-muted">You have not posted anonymously yet</p>';
+            return;
+        }
+
+        const tokens = [ETH_TOKEN, ...bountyTokens.keys()];
+        let pseudonymsHTML = '';
+        for (const [scope, address] of entries) {
+            const claimable = await batchRead(tokens.map(token => ['claimableBounties', [address, token]]), bountyEscrow);
+            const owner = await pseudonymRegistry.revealedOwners(address);
+            const totals = tokens
+                .map((token, i) => ({ token, amount: claimable[i] && claimable[i][0] }))
+                .filter(entry => entry.amount && !entry.amount.isZero())
+                .map(entry => formatTokenAmount(entry.amount, entry.token));
+
+            pseudonymsHTML += `
+                <div class="pseudonym-entry">
+                    <div>
+                        <strong>${renderAuthorLink(address)}</strong>
+                        <span class="text-muted">${address} &middot; ${escapeHtml(scope)}</span>
+                        ${owner !== ethers.constants.AddressZero ? '<span class="badge">Linked to you</span>' : ''}
+                    </div>
+                    <div>
+                        Unclaimed bounties: ${totals.join(', ') || 'None'}
+                        <button class="btn btn-secondary btn-small" onclick="handleClaimPseudonymRewards('${address}')">Claim Rewards</button>
+                    </div>
+                </div>
+            `;
+        }
+        list.innerHTML = pseudonymsHTML;
+
+    } catch (error) {
+        console.error('Error loading pseudonyms:', error);
+        list.innerHTML = '<p class="text-muted">Error loading pseudonyms</p>';
+    }
+}
+
+// Proves ownership on-chain, which publicly links the pseudonym to this account
+async function handleClaimPseudonymRewards(address) {
+    if (!pseudonymRegistry) return;
+
+    if (!confirm('Claiming publicly links this pseudonym to your address. Continue?')) return;
+
+    try {
+        showLoading();
+
+        const { secret } = await derivePseudonym(getOwnPseudonymScope(address));
+        const tokens = [ETH_TOKEN, ...bountyTokens.keys()];
+        const claimable = await batchRead(tokens.map(token => ['claimableBounties', [address, token]]), bountyEscrow);
+
+        const tx = await sendTransaction(pseudonymRegistry, 'claimRewards', [
+            address,
+            secret,
+            tokens.filter((token, i) => claimable[i] && !claimable[i][0].isZero())
+        ]);
+        await tx.wait();
+
+        await loadUserProfile();
+
+        hideLoading();
+        showStatus('Rewards moved to your account. Claim the bounties from your profile.', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error claiming pseudonym rewards:', error);
+        showStatus('Error claiming rewards: ' + error.message, 'error');
+    }
+}
+
+// Rederives the pseudonym of every question scope and keeps the registered ones, for
+// anonymous posts made on another device
+async function handleRecoverPseudonyms() {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const nextQuestionId = Number(await contract.nextQuestionId());
+        let recovered = 0;
+        const recover = async scope => {
+            const { wallet } = await derivePseudonym(scope);
+            if (!isPseudonym(wallet.address)) return false;
+            if (!getOwnPseudonymScope(wallet.address)) {
+                saveOwnPseudonym(scope, wallet.address);
+                recovered++;
+            }
+            return true;
+        };
+
+        for (let questionId = 1; questionId < nextQuestionId; questionId++) {
+            await recover(`question-${questionId}`);
+        }
+        // Asking pseudonyms are numbered without gaps, so the first unregistered one ends the search
+        let n = 0;
+        while (await recover(`ask-${n}`)) n++;
+
+        await loadOwnPseudonyms();
+
+        hideLoading();
+        showStatus(recovered ? `Recovered ${recovered} pseudonym${recovered === 1 ? '' : 's'}` : 'No other pseudonyms found', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error recovering pseudonyms:', error);
+        showStatus('Error recovering pseudonyms: ' + error.message, 'error');
+    }
+}
+
+// Comments
+// openQuestionDetail loads every comment on the question and its answers into
+// currentComments at once; each card then renders the threads with its own answerId
+// (0 for the question), nested by parentId.
+
+async function loadComments(questionId) {
+    const comments = await commentThreads.getQuestionComments(questionId);
+    return Promise.all(comments.map(async comment => ({
+        id: comment.id,
+        answerId: comment.answerId,
+        parentId: comment.parentId,
+        depth: comment.depth,
+        author: comment.author,
+        timestamp: comment.timestamp.toNumber(),
+        content: await decryptContent(comment.encryptedContent)
+    })));
+}
+
+function renderCommentThread(answerId, canComment) {
+    const comments = currentComments.filter(comment => comment.answerId === answerId);
+    if (comments.length === 0 && !canComment) return '';
+
+    return `
+        <div class="comments">
+            ${renderComments(comments, 0, canComment)}
+            ${canComment ? `
+                <button class="btn btn-secondary btn-small" onclick="toggleCommentForm(${answerId}, 0)">Add a comment</button>
+                ${renderCommentForm(answerId, 0)}
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderComments(comments, parentId, canComment) {
+    const replies = comments.filter(comment => comment.parentId === parentId);
+    if (replies.length === 0) return '';
+
+    return `
+        <ul class="comment-thread">
+            ${replies.map(comment => `
+                <li class="comment">
+                    <div class="comment-meta">
+                        ${renderAuthorLink(comment.author)} on ${new Date(comment.timestamp * 1000).toLocaleDateString()}
+                        ${canComment && comment.depth < MAX_COMMENT_DEPTH ? `<button class="comment-reply" onclick="toggleCommentForm(${comment.answerId}, ${comment.id})">Reply</button>` : ''}
+                    </div>
+                    <div class="comment-content">${renderContent(comment.content)}</div>
+                    ${canComment ? renderCommentForm(comment.answerId, comment.id) : ''}
+                    ${renderComments(comments, comment.id, canComment)}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function renderCommentForm(answerId, parentId) {
+    return `
+        <div id="comment-form-${answerId}-${parentId}" class="comment-form hidden">
+            <input type="text" id="comment-input-${answerId}-${parentId}" placeholder="${parentId ? 'Write a reply' : 'Ask for a clarification or add context'}">
+            <button class="btn btn-primary btn-small" onclick="handlePostComment(${answerId}, ${parentId})">Post</button>
+        </div>
+    `;
+}
+
+function toggleCommentForm(answerId, parentId) {
+    const form = document.getElementById(`comment-form-${answerId}-${parentId}`);
+    form.classList.toggle('hidden');
+    if (!form.classList.contains('hidden')) document.getElementById(`comment-input-${answerId}-${parentId}`).focus();
+}
+
+async function handlePostComment(answerId, parentId) {
+    if (!commentThreads || !currentQuestionId) return;
+
+    const content = document.getElementById(`comment-input-${answerId}-${parentId}`).value.trim();
+    if (!content) {
+        showStatus('Please enter a comment', 'error');
+        return;
+    }
+
+    if (currentQuestionKeyId && !hasContentKey(currentQuestionKeyId)) {
+        showStatus('You need the question key before you can comment', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        // Comments are sealed with the question key, like answers
+        const encryptedContent = currentQuestionKeyId
+            ? await encryptContent(content, currentQuestionKeyId)
+            : content;
+
+        const tx = await sendTransaction(commentThreads, 'postComment', [currentQuestionId, answerId, parentId, encryptedContent]);
+        await tx.wait();
+
+        await openQuestionDetail(currentQuestionId);
+
+        hideLoading();
+        showStatus('Comment posted!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error posting comment:', error);
+        showStatus('Error posting comment: ' + error.message, 'error');
+    }
+}
+
+// Closing goes through history so the back button and the close button agree
+function closeModal() {
+    if (history.state && history.state.fromApp) {
+        history.back();
+    } else {
+        navigate('/questions', { replace: true });
+    }
+}
+
+function hideQuestionModal() {
+    document.getElementById('questionModal').classList.add('hidden');
+    currentQuestionId = null;
+    currentQuestionKeyId = null;
+    window.scrollTo(0, questionsScrollPosition);
+}
+
+async function handleAskQuestion(e) {
+    e.preventDefault();
+
+    if (!contract || !signer) {
+        showStatus('Please connect your wallet first', 'error');
+        return;
+    }
+
+    const reputationRequired = Number(document.getElementById('reputationRequired').value);
+    if (!Number.isInteger(reputationRequired) || reputationRequired < 0 || reputationRequired > MAX_REPUTATION_REQUIRED) {
+        showStatus(`Minimum reputation must be a whole number from 0 to ${MAX_REPUTATION_REQUIRED}`, 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const category = document.getElementById('questionCategory').value;
+        const content = document.getElementById('questionContent').value;
+        const bounty = document.getElementById('bounty').value;
+        const bountyDays = parseInt(document.getElementById('bountyDuration').value) || 7;
+        const bountyToken = document.getElementById('bountyToken').value;
+        const audience = getQuestionAudience();
+        if (audience && audience.recipients.length + audience.specialties.length === 0) {
+            throw new Error('Add at least one recipient address or specialty');
+        }
+
+        // Anonymous questions are posted, funded and directed by a fresh pseudonym
+        const author = document.getElementById('postAnonymously').checked
+            ? await preparePseudonym(await nextAskScope())
+            : signer;
+        const authorAddress = await author.getAddress();
+
+        const bountyAmount = bounty ? parseTokenAmount(bounty, bountyToken) : ethers.constants.Zero;
+        const isEthBounty = bountyToken === ETH_TOKEN;
+        if (!isEthBounty && !bountyAmount.isZero()) await approveBountyToken(bountyToken, bountyAmount, author);
+
+        const keyId = await createContentKey();
+        const encryptedContent = await encryptContent(content, keyId);
+        const overrides = { value: isEthBounty ? bountyAmount : 0 };
+        const threshold = { bits: 8, value: reputationRequired };
+        let questionId;
+
+        if (audience) {
+            // Posted and directed in one call, so the content key goes only to the recipients
+            const encrypted = await encryptInputs([
+                threshold,
+                { bits: 256, value: contentKeyToBigInt(keyId) }
+            ], directedQuestions.address, authorAddress);
+
+            const tx = await sendTransaction(directedQuestions.connect(author), 'postDirectedQuestion', [
+                Number(category),
+                encryptedContent,
+                encrypted.handles[0],
+                bountyDays * 86400,
+                bountyToken,
+                isEthBounty ? 0 : bountyAmount,
+                audience.recipients,
+                audience.specialties,
+                encrypted.handles[1],
+                encrypted.inputProof
+            ], overrides);
+
+            const receipt = await tx.wait();
+            questionId = Number(receipt.events.find(event => event.event === 'QuestionDirected').args.questionId);
+        } else {
+            const encryptedThreshold = await encryptInputs([threshold], CONTRACT_ADDRESS, authorAddress);
+
+            const tx = await sendTransaction(contract.connect(author), 'postQuestion', [
+                Number(category),
+                encryptedContent,
+                encryptedThreshold.handles[0],
+                encryptedThreshold.inputProof,
+                bountyDays * 86400,
+                bountyToken,
+                isEthBounty ? 0 : bountyAmount
+            ], overrides);
+
+            const receipt = await tx.wait();
+            questionId = Number(receipt.events.find(event => event.event === 'QuestionPosted').args.questionId);
+        }
+
+        // Reset form
+        document.getElementById('askQuestionForm').reset();
+        updateQuestionAudience();
+
+        // Public questions go to the feed; directed ones open straight away, as the feed hides them
+        navigate(audience ? `/questions/${questionId}` : '/questions');
+
+        hideLoading();
+        showStatus(audience ? 'Question sent to its recipients!' : 'Question posted successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error posting question:', error);
+        showStatus('Error posting question: ' + error.message, 'error');
+    }
+}
+
+// Returns null for public questions, or the recipients of a directed one
+function getQuestionAudience() {
+    if (document.getElementById('questionAudience').value !== 'directed') return null;
+
+    const recipients = document.getElementById('recipientAddresses').value
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const invalid = recipients.find(address => !ethers.utils.isAddress(address));
+    if (invalid) throw new Error(`Invalid recipient address: ${invalid}`);
+
+    return {
+        recipients,
+        specialties: parseSpecialties(document.getElementById('recipientSpecialties').value)
+    };
+}
+
+function updateQuestionAudience() {
+    const directed = document.getElementById('questionAudience').value === 'directed';
+    document.getElementById('directedRecipients').classList.toggle('hidden', !directed);
+}
+
+async function handleSubmitAnswer() {
+    if (!contract || !currentQuestionId) return;
+
+    const content = document.getElementById('answerContent').value.trim();
+    if (!content) {
+        showStatus('Please enter your answer', 'error');
+        return;
+    }
+
+    if (currentQuestionKeyId && !hasContentKey(currentQuestionKeyId)) {
+        showStatus('You need the question key before you can answer', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        // Questions posted before content encryption have no key; keep their answers readable too
+        const encryptedContent = currentQuestionKeyId
+            ? await encryptContent(content, currentQuestionKeyId)
+            : content;
+
+        // Anonymous answers come from the pseudonym for this question, or the one that asked it
+        const anonymous = document.getElementById('answerAnonymously').checked;
+        const scope = getOwnPseudonymScope(postAuthors.get(`question-${currentQuestionId}`)) || `question-${currentQuestionId}`;
+        const author = anonymous ? await preparePseudonym(scope) : signer;
+
+        const tx = await sendTransaction(contract.connect(author), 'submitAnswer', [currentQuestionId, encryptedContent]);
+        const receipt = await tx.wait();
+        const submitted = receipt.events.find(event => event.event === 'AnswerSubmitted');
+
+        document.getElementById('answerContent').value = '';
+        document.getElementById('answerAnonymously').checked = false;
+
+        // Refresh question details and our contribution count
+        await openQuestionDetail(currentQuestionId);
+        loadEncryptedStats();
+
+        hideLoading();
+        showStatus(anonymous
+            ? `Answer submitted anonymously. Pseudonyms start with ${PSEUDONYM_REPUTATION} reputation, so it stays hidden if the question requires more.`
+            : 'Answer submitted. Checking it against the reputation requirement...', 'success');
+
+        // Only the pseudonym could decrypt the eligibility of an anonymous answer
+        if (submitted && !anonymous) await reportAnswerEligibility(Number(submitted.args.answerId));
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error submitting answer:', error);
+        showStatus('Error submitting answer: ' + error.message, 'error');
+    }
+}
+
+function renderEligibilityBadge(eligibility) {
+    if (!eligibility.eligibilityResolved) {
+        return '<span class="badge pending">Reputation check pending</span>';
+    }
+    return eligibility.isEligible ? '' : '<span class="badge below-threshold">Below required reputation</span>';
+}
+
+// The answerer can decrypt their own comparison result right away, before the oracle resolves it
+async function reportAnswerEligibility(answerId) {
+    try {
+        const eligibility = await contract.getAnswerEligibility(answerId);
+        const values = await userDecryptHandles([eligibility.meetsReputation]);
+
+        if (values[eligibility.meetsReputation]) {
+            showStatus('Your answer meets the reputation requirement and is visible to everyone.', 'success');
+        } else {
+            showStatus('Your reputation is below this question\'s requirement. The answer was recorded but will be hidden from other users.', 'warning');
+        }
+    } catch (error) {
+        console.error('Error checking answer eligibility:', error);
+    }
+}
+
+async function voteOnAnswer(answerId) {
+    if (!contract) return;
+
+    const voteInput = document.getElementById(`vote-${answerId}`);
+    const score = parseInt(voteInput.value);
+
+    if (score < 0 || score > 10) {
+        showStatus('Vote must be between 0 and 10', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const previousVote = await answerScores.getVote(answerId, currentAccount);
+        const encryptedScore = await encryptInputs([{ bits: 32, value: score }], answerScores.address);
+        const tx = await sendTransaction(answerScores, 'voteOnAnswer', [answerId, encryptedScore.handles[0], encryptedScore.inputProof]);
+        await tx.wait();
+
+        if (currentQuestionId !== null) await openQuestionDetail(currentQuestionId);
+
+        hideLoading();
+        showStatus(previousVote.voted ? 'Vote changed successfully!' : 'Vote submitted successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error voting on answer:', error);
+        showStatus('Error voting: ' + error.message, 'error');
+    }
+}
+
+function renderVerifications(verifications, quorum) {
+    if (verifications.length === 0) return '';
+
+    const current = verifications.filter(verification => verification.isCurrent).length;
+    return `
+        <div class="answer-verifications">
+            <span>Verified by ${current} of ${quorum} required expert${quorum === 1 ? '' : 's'}</span>
+            <ul>
+                ${verifications.map(verification => `
+                    <li>
+                        ${renderAuthorLink(verification.verifier)} on ${new Date(verification.timestamp.toNumber() * 1000).toLocaleDateString()}
+                        ${verification.isCurrent ? '' : '<span class="text-muted">(no longer an expert, not counted)</span>'}
+                        ${verification.rationale ? `&mdash; ${escapeHtml(verification.rationale)}` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function renderVerifyAction(answerId, verifications) {
+    if (verifications.some(verification => isSameAddress(verification.verifier, currentAccount))) {
+        return `<button class="btn btn-secondary" onclick="handleRetractVerification(${answerId})">Retract Verification</button>`;
+    }
+
+    return `
+        <div class="verify-section">
+            <input type="text" id="verify-rationale-${answerId}" placeholder="Why is this answer correct? (optional)">
+            <button class="btn btn-primary" onclick="handleVerifyAnswer(${answerId})">Verify</button>
+        </div>
+    `;
+}
+
+async function handleVerifyAnswer(answerId) {
+    if (!answerVerification) return;
+
+    const rationale = document.getElementById(`verify-rationale-${answerId}`).value.trim();
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(answerVerification, 'verifyAnswer', [answerId, rationale]);
+        await tx.wait();
+
+        if (currentQuestionId !== null) await openQuestionDetail(currentQuestionId);
+
+        hideLoading();
+        showStatus('Answer verified!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error verifying answer:', error);
+        showStatus('Error verifying answer: ' + error.message, 'error');
+    }
+}
+
+async function handleRetractVerification(answerId) {
+    if (!answerVerification) return;
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(answerVerification, 'retractVerification', [answerId]);
+        await tx.wait();
+
+        if (currentQuestionId !== null) await openQuestionDetail(currentQuestionId);
+
+        hideLoading();
+        showStatus('Verification retracted', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error retracting verification:', error);
+        showStatus('Error retracting verification: ' + error.message, 'error');
+    }
+}
+
+// Revealed scores order answers outright; otherwise the last FHE ranking pass gives
+// ordering hints, with unranked answers kept in submission order after the ranked ones
+function sortAnswersByScore(answerIds, answerStats) {
+    const revealed = id => answerStats.get(id) && answerStats.get(id).scoreRevealed;
+    const rank = id => (answerStats.get(id) && answerStats.get(id).rank) || Infinity;
+
+    return [...answerIds].sort((a, b) => {
+        if (revealed(a) || revealed(b)) {
+            const scoreA = revealed(a) ? answerStats.get(a).revealedScore : -1;
+            const scoreB = revealed(b) ? answerStats.get(b).revealedScore : -1;
+            return scoreB - scoreA || a - b;
+        }
+        return rank(a) - rank(b) || a - b;
+    });
+}
+
+function renderAnswerScore(answerId, stats) {
+    if (!stats) return '';
+
+    const votes = `${stats.voteCount} vote${stats.voteCount === 1 ? '' : 's'}`;
+    if (stats.scoreRevealed) {
+        const average = stats.voteCount > 0 ? (stats.revealedScore / stats.voteCount).toFixed(1) : '-';
+        return `<div class="answer-score">Score ${stats.revealedScore} &middot; ${votes} &middot; Average ${average}</div>`;
+    }
+
+    return `
+        <div class="answer-score">
+            ${votes}${stats.rank > 0 ? ` &middot; Ranked #${stats.rank}` : ''}
+            <span id="answer-score-${answerId}"></span>
+        </div>
+    `;
+}
+
+// Mirrors AnswerScores.refreshAnswerRanking: the question author ranks, once per interval
+async function renderScoreControls(questionId, isActive, answerCount, isQuestionAuthor) {
+    if (!currentAccount) return '';
+
+    if (isActive) {
+        if (answerCount < 2) return '';
+        const [updatedAt, requestedAt, interval] = (await Promise.all([
+            answerScores.rankingUpdatedAt(questionId),
+            answerScores.rankingRequestedAt(questionId),
+            answerScores.RANKING_INTERVAL()
+        ])).map(Number);
+        const nextRanking = requestedAt ? requestedAt + interval : 0;
+
+        return `
+            <div class="score-controls">
+                <span class="text-muted">${updatedAt ? `Ranked ${new Date(updatedAt * 1000).toLocaleString()}` : 'Not ranked yet'}</span>
+                ${isQuestionAuthor ? (nextRanking * 1000 > Date.now()
+                    ? `<span class="text-muted">Next ranking from ${new Date(nextRanking * 1000).toLocaleString()}</span>`
+                    : `<button class="btn btn-secondary btn-small" onclick="handleRefreshRanking(${questionId})">Refresh Ranking</button>`) : ''}
+            </div>
+        `;
+    }
+
+    if (await answerScores.scoreRevealRequested(questionId)) return '';
+    return `
+        <div class="score-controls">
+            <button class="btn btn-secondary btn-small" onclick="handleRevealScores(${questionId})">Reveal Scores</button>
+        </div>
+    `;
+}
+
+// Decrypts the scores the connected account may read and adds them next to the vote count
+async function loadAnswerScores(entries) {
+    if (entries.length === 0) return;
+
+    try {
+        const handles = await Promise.all(entries.map(entry => answerScores.getAnswerScore(entry.answerId)));
+        const values = await userDecryptHandles(handles, answerScores.address);
+
+        entries.forEach((entry, i) => {
+            const element = document.getElementById(`answer-score-${entry.answerId}`);
+            if (!element) return;
+
+            const score = Number(values[handles[i]]);
+            element.textContent = ` \u00b7 Score ${score} \u00b7 Average ${(score / entry.voteCount).toFixed(1)}`;
+        });
+    } catch (error) {
+        console.error('Error decrypting answer scores:', error);
+    }
+}
+
+// Both requests finish when the decryption oracle calls back, so the modal refreshes on
+// the contract event rather than on the transaction receipt
+async function handleRefreshRanking(questionId) {
+    if (!answerScores) return;
+
+    try {
+        showLoading();
+
+        const author = await asAuthor(answerScores, postAuthors.get(`question-${questionId}`));
+        const tx = await sendTransaction(author, 'refreshAnswerRanking', [questionId]);
+        await tx.wait();
+
+        answerScores.once(answerScores.filters.AnswerRankingUpdated(questionId), () => {
+            if (currentQuestionId === questionId) openQuestionDetail(questionId);
+        });
+
+        hideLoading();
+        showStatus('Ranking requested. Answers will reorder once it is decrypted.', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error refreshing ranking:', error);
+        showStatus('Error refreshing ranking: ' + error.message, 'error');
+    }
+}
+
+async function handleRevealScores(questionId) {
+    if (!answerScores) return;
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(answerScores, 'revealScores', [questionId]);
+        await tx.wait();
+
+        answerScores.once(answerScores.filters.AnswerScoresRevealed(questionId), () => {
+            if (currentQuestionId === questionId) openQuestionDetail(questionId);
+        });
+        await openQuestionDetail(questionId);
+
+        hideLoading();
+        showStatus('Score reveal requested. Scores will appear once they are decrypted.', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error revealing scores:', error);
+        showStatus('Error revealing scores: ' + error.message, 'error');
+    }
+}
+
+// Fills in the scores behind the "You voted" badges; only the voter can decrypt them
+async function loadMyVotes(votes) {
+    if (votes.length === 0) return;
+
+    try {
+        const values = await userDecryptHandles(votes.map(vote => vote.handle), answerScores.address);
+
+        votes.forEach(vote => {
+            const badge = document.getElementById(`my-vote-${vote.answerId}`);
+            const input = document.getElementById(`vote-${vote.answerId}`);
+            if (!badge) return;
+
+            badge.textContent = `: ${Number(values[vote.handle])}`;
+            if (input) input.value = Number(values[vote.handle]);
+        });
+    } catch (error) {
+        console.error('Error decrypting votes:', error);
+    }
+}
+
+async function selectBestAnswer(questionId, answerId) {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const author = await asAuthor(contract, postAuthors.get(`question-${questionId}`));
+        const tx = await sendTransaction(author, 'selectBestAnswer', [questionId, answerId]);
+        await tx.wait();
+
+        // Refresh question details
+        await openQuestionDetail(questionId);
+
+        hideLoading();
+        showStatus('Best answer selected successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error selecting best answer:', error);
+        showStatus('Error selecting best answer: ' + error.message, 'error');
+    }
+}
+
+function getBountySplit() {
+    return Array.from(document.querySelectorAll('.bounty-share-input'))
+        .map(input => ({ answerId: Number(input.dataset.answerId), share: parseInt(input.value) || 0 }))
+        .filter(allocation => allocation.share > 0);
+}
+
+function updateBountySplitTotal() {
+    const total = getBountySplit().reduce((sum, allocation) => sum + allocation.share, 0);
+    document.getElementById('bountySplitTotal').textContent = total;
+    document.getElementById('awardBounty').disabled = total !== 100;
+}
+
+// The answer with the largest share becomes the best answer
+async function handleSplitBounty(questionId) {
+    if (!contract) return;
+
+    const allocations = getBountySplit();
+    if (allocations.reduce((sum, allocation) => sum + allocation.share, 0) !== 100) {
+        showStatus('Bounty shares must add up to 100%', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const author = await asAuthor(contract, postAuthors.get(`question-${questionId}`));
+        const tx = await sendTransaction(author, 'splitBounty', [
+            questionId,
+            allocations.map(allocation => allocation.answerId),
+            allocations.map(allocation => allocation.share)
+        ]);
+        await tx.wait();
+
+        await openQuestionDetail(questionId);
+
+        hideLoading();
+        showStatus(`Bounty awarded to ${allocations.length} answer${allocations.length === 1 ? '' : 's'}!`, 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error awarding bounty:', error);
+        showStatus('Error awarding bounty: ' + error.message, 'error');
+    }
+}
+
+async function handleCloseQuestion(questionId) {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const author = await asAuthor(contract, postAuthors.get(`question-${questionId}`));
+        const tx = await sendTransaction(author, 'closeQuestion', [questionId]);
+        await tx.wait();
+
+        await openQuestionDetail(questionId);
+
+        hideLoading();
+        showStatus('Question closed. Any unawarded bounty can now be reclaimed.', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error closing question:', error);
+        showStatus('Error closing question: ' + error.message, 'error');
+    }
+}
+
+// token is the question's bounty currency, or the chosen one when it has no bounty yet
+async function handleIncreaseBounty(questionId, token) {
+    if (!contract) return;
+
+    const amount = document.getElementById('bountyIncrease').value;
+    if (!amount || Number(amount) <= 0) {
+        showStatus('Please enter a bounty amount', 'error');
+        return;
+    }
+
+    const durationInput = document.getElementById('bountyIncreaseDuration');
+    const bountyDays = durationInput ? parseInt(durationInput.value) || 7 : 0;
+    const tokenInput = document.getElementById('bountyIncreaseToken');
+    if (tokenInput) token = tokenInput.value;
+
+    try {
+        showLoading();
+
+        // Opening the first bounty is author-only, so an anonymous asker funds it from the pseudonym
+        const funder = tokenInput ? await asAuthor(bountyEscrow, postAuthors.get(`question-${questionId}`)) : bountyEscrow;
+        const bountyAmount = parseTokenAmount(amount, token);
+        const isEthBounty = token === ETH_TOKEN;
+        if (!isEthBounty) await approveBountyToken(token, bountyAmount, funder.signer);
+
+        const tx = await sendTransaction(funder, 'increaseBounty', [
+            questionId,
+            token,
+            isEthBounty ? 0 : bountyAmount,
+            bountyDays * 86400
+        ], { value: isEthBounty ? bountyAmount : 0 });
+        await tx.wait();
+
+        await openQuestionDetail(questionId);
+
+        hideLoading();
+        showStatus('Bounty increased successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error increasing bounty:', error);
+        showStatus('Error increasing bounty: ' + error.message, 'error');
+    }
+}
+
+async function handleReclaimBounty(questionId) {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(bountyEscrow, 'reclaimBounty', [questionId]);
+        await tx.wait();
+
+        if (currentQuestionId === questionId) await openQuestionDetail(questionId);
+        await loadUserProfile();
+
+        hideLoading();
+        showStatus('Bounty refunded to your wallet!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error reclaiming bounty:', error);
+        showStatus('Error reclaiming bounty: ' + error.message, 'error');
+    }
+}
+
+async function handleClaimBounty(token) {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(bountyEscrow, 'claimBounty', [token]);
+        await tx.wait();
+
+        await loadUserProfile();
+
+        hideLoading();
+        showStatus('Bounty claimed successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error claiming bounty:', error);
+        showStatus('Error claiming bounty: ' + error.message, 'error');
+    }
+}
+
+async function handleInitializeUser() {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const encryptedReputation = await encryptInputs([{ bits: 32, value: 10 }]); // Initial reputation of 10
+        const tx = await sendTransaction(contract, 'initializeUser', [encryptedReputation.handles[0], encryptedReputation.inputProof]);
+        await tx.wait();
+
+        await loadUserProfile();
+
+        hideLoading();
+        showStatus('Profile initialized successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error initializing user:', error);
+        showStatus('Error initializing profile: ' + error.message, 'error');
+    }
+}
+
+async function handleAddSpecialty() {
+    if (!contract) return;
+
+    const specialty = document.getElementById('specialty').value.trim();
+    if (!specialty) {
+        showStatus('Please enter a specialty', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(contract, 'addSpecialty', [specialty]);
+        await tx.wait();
+
+        document.getElementById('specialty').value = '';
+        await loadUserProfile();
+
+        hideLoading();
+        showStatus('Specialty added successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error adding specialty:', error);
+        showStatus('Error adding specialty: ' + error.message, 'error');
+    }
+}
+
+async function handleGrantReputationAccess() {
+    if (!contract) return;
+
+    const viewer = document.getElementById('reputationViewer').value.trim();
+    if (!viewer || !ethers.utils.isAddress(viewer)) {
+        showStatus('Please enter a valid address', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await sendTransaction(contract, 'grantReputationAccess', [viewer]);
+        await tx.wait();
+
+        document.getElementById('reputationViewer').value = '';
+
+        hideLoading();
+        showStatus('Reputation shared successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error sharing reputation:', error);
+        showStatus('Error sharing reputation: ' + error.message, 'error');
+    }
+}
+
+async function handlePromoteToExpert() {
+    if (!expertRegistry) return;
+
+    const userAddress = document.getElementById('promoteUser').value.trim();
+    if (!userAddress || !ethers.utils.isAddress(userAddress)) {
+        showStatus('Please enter a valid address', 'error');
+        return;
+    }
+    try {
+        showLoading();
+
+        const specialties = parseSpecialties(document.getElementById('promoteSpecialties').value);
+        if (specialties.length === 0) throw new Error('Enter at least one specialty');
+
+        const tx = await expertRegistry.promoteToExpert(userAddress, specialties);
+        await tx.wait();
+
+        document.getElementById('promoteUser').value = '';
+        document.getElementById('promoteSpecialties').value = '';
+
+        hideLoading();
+        showStatus('User promoted to expert successfully!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error promoting user:', error);
+        showStatus('Error promoting user: ' + error.message, 'error');
+    }
+}
+
+async function handleDemoteExpert() {
+    if (!expertRegistry) return;
+
+    const userAddress = document.getElementById('demoteUser').value.trim();
+    if (!userAddress || !ethers.utils.isAddress(userAddress)) {
+        showStatus('Please enter a valid address', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await expertRegistry.demoteExpert(userAddress);
+        await tx.wait();
+
+        document.getElementById('demoteUser').value = '';
+
+        hideLoading();
+        showStatus('Expert demoted', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error demoting expert:', error);
+        showStatus('Error demoting expert: ' + error.message, 'error');
+    }
+}
+
+async function handleSetExpertTerm() {
+    if (!expertRegistry) return;
+
+    const days = parseInt(document.getElementById('expertTerm').value);
+    if (isNaN(days) || days < 0) {
+        showStatus('Please enter a number of days', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await expertRegistry.setExpertTerm(days * 24 * 60 * 60);
+        await tx.wait();
+
+        document.getElementById('expertTerm').value = '';
+
+        hideLoading();
+        showStatus(days > 0 ? `New experts are promoted for ${days} days` : 'New experts no longer expire', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating expert term:', error);
+        showStatus('Error updating expert term: ' + error.message, 'error');
+    }
+}
+
+async function handleSetBountyToken() {
+    if (!bountyEscrow) return;
+
+    const tokenAddress = document.getElementById('bountyTokenAddress').value.trim();
+    if (!tokenAddress || !ethers.utils.isAddress(tokenAddress)) {
+        showStatus('Please enter a valid token address', 'error');
+        return;
+    }
+    const allowed = document.getElementById('bountyTokenAllowed').value === 'true';
+
+    try {
+        showLoading();
+
+        const tx = await bountyEscrow.setBountyToken(tokenAddress, allowed);
+        await tx.wait();
+
+        document.getElementById('bountyTokenAddress').value = '';
+        await loadBountyTokens();
+
+        hideLoading();
+        showStatus(allowed ? 'Token allowed for bounties!' : 'Token removed from bounties', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating bounty token:', error);
+        showStatus('Error updating bounty token: ' + error.message, 'error');
+    }
+}
+
+async function handleSetVerificationQuorum() {
+    if (!answerVerification) return;
+
+    const quorum = parseInt(document.getElementById('verificationQuorum').value);
+    if (!quorum || quorum < 1) {
+        showStatus('Quorum must be at least 1', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await answerVerification.setVerificationQuorum(quorum);
+        await tx.wait();
+
+        document.getElementById('verificationQuorum').value = '';
+
+        hideLoading();
+        showStatus(`Answers now need ${quorum} expert verification${quorum === 1 ? '' : 's'}`, 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating verification quorum:', error);
+        showStatus('Error updating verification quorum: ' + error.message, 'error');
+    }
+}
+
+async function handleUpdateRole(grant) {
+    if (!contract) return;
+
+    const account = document.getElementById('roleAccount').value.trim();
+    if (!account || !ethers.utils.isAddress(account)) {
+        showStatus('Please enter a valid address', 'error');
+        return;
+    }
+    const roleName = document.getElementById('roleName').value;
+
+    try {
+        showLoading();
+
+        const tx = grant
+            ? await contract.grantRole(ROLES[roleName], account)
+            : await contract.revokeRole(ROLES[roleName], account);
+        await tx.wait();
+
+        document.getElementById('roleAccount').value = '';
+        if (isSameAddress(account, currentAccount)) await loadAccountRoles();
+
+        hideLoading();
+        showStatus(grant ? `Granted ${roleName} role to ${shortAddress(account)}` : `Revoked ${roleName} role from ${shortAddress(account)}`, 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating role:', error);
+        showStatus('Error updating role: ' + error.message, 'error');
+    }
+}
+
+async function handleWithdrawFunds() {
+    if (!contract) return;
+
+    const recipient = document.getElementById('withdrawRecipient').value.trim();
+    if (!recipient || !ethers.utils.isAddress(recipient)) {
+        showStatus('Please enter a valid recipient address', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await contract.withdrawFunds(recipient);
+        await tx.wait();
+
+        document.getElementById('withdrawRecipient').value = '';
+
+        hideLoading();
+        showStatus('Platform funds withdrawn!', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error withdrawing funds:', error);
+        showStatus('Error withdrawing funds: ' + error.message, 'error');
+    }
+}
+
+async function handleTransferOwnership() {
+    if (!contract) return;
+
+    const newOwner = document.getElementById('newOwner').value.trim();
+    if (!newOwner || !ethers.utils.isAddress(newOwner)) {
+        showStatus('Please enter a valid address', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await contract.transferOwnership(newOwner);
+        await tx.wait();
+
+        document.getElementById('newOwner').value = '';
+        await loadAccountRoles();
+
+        hideLoading();
+        showStatus('Ownership transfer started. The new owner has to accept it.', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error transferring ownership:', error);
+        showStatus('Error transferring ownership: ' + error.message, 'error');
+    }
+}
+
+async function handleAcceptOwnership() {
+    if (!contract) return;
+
+    try {
+        showLoading();
+
+        const tx = await contract.acceptOwnership();
+        await tx.wait();
+
+        await loadAccountRoles();
+
+        hideLoading();
+        showStatus('You are now the platform owner', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error accepting ownership:', error);
+        showStatus('Error accepting ownership: ' + error.message, 'error');
+    }
+}
+
+function switchTab(tabName) {
+    // Hide all tab contents
+    document.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.remove('active');
+    });
+
+    // Remove active class from all tab buttons
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+
+    // Show selected tab content
+    document.getElementById(tabName).classList.add('active');
+
+    // Add active class to selected tab button
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+
+    // Load data for specific tabs
+    if (tabName === 'questions') {
+        loadQuestions();
+    } else if (tabName === 'profile' && currentAccount) {
+        loadUserProfile();
+    }
+}
+
+// Routing
+// Hash routes: #/questions, #/questions/42, #/answers/17, #/users/0xabc..., #/ask?category=6,
+// #/profile and #/admin. navigate() pushes a history entry and applies the route; back/forward
+// and hand-edited URLs come in through popstate/hashchange.
+function navigate(path, { replace = false } = {}) {
+    const url = `${location.pathname}${location.search}#${path}`;
+
+    if (replace) {
+        history.replaceState({ fromApp: history.state && history.state.fromApp }, '', url);
+    } else {
+        history.pushState({ fromApp: true }, '', url);
+    }
+    handleRoute();
+}
+
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    return { segments: path.split('/').filter(Boolean), query: new URLSearchParams(query) };
+}
+
+async function handleRoute(force = false) {
+    const route = location.hash || '#/questions';
+    if (route === currentRoute && !force) return;
+    currentRoute = route;
+
+    const { segments, query } = parseRoute(route);
+    const [section, id] = segments;
+    const modalOpen = !document.getElementById('questionModal').classList.contains('hidden');
+
+    if (modalOpen && !(section === 'questions' && id) && section !== 'answers') {
+        hideQuestionModal();
+    }
+
+    switch (section) {
+        case 'questions':
+            if (!isTabActive('questions')) switchTab('questions');
+            if (id) await openQuestionDetail(Number(id));
+            break;
+
+        case 'answers':
+            if (!isTabActive('questions')) switchTab('questions');
+            if (id) await openAnswer(Number(id));
+            break;
+
+        case 'users':
+            openUserProfile(id);
+            break;
+
+        case 'profile':
+            profileAddress = null;
+            switchTab('profile');
+            break;
+
+        case 'ask':
+            switchTab('ask');
+            if (query.has('category')) selectCategory(document.getElementById('questionCategory'), query.get('category'));
+            break;
+
+        case 'admin':
+            switchTab('admin');
+            loadExpertApplications();
+            break;
+
+        default:
+            if (!isTabActive('questions')) switchTab('questions');
+    }
+}
+
+function isTabActive(tabName) {
+    return document.getElementById(tabName).classList.contains('active');
+}
+
+async function openAnswer(answerId) {
+    if (!contract) return;
+
+    try {
+        const answerInfo = await contract.getAnswerInfo(answerId);
+        await openQuestionDetail(Number(answerInfo.questionId));
+
+        const answerCard = document.getElementById(`answer-${answerId}`);
+        if (answerCard) {
+            answerCard.classList.add('highlighted');
+            answerCard.scrollIntoView({ block: 'center' });
+        }
+    } catch (error) {
+        console.error('Error opening answer:', error);
+        showStatus('Answer not found', 'error');
+    }
+}
+
+function openUserProfile(address) {
+    if (!address || !ethers.utils.isAddress(address)) {
+        showStatus('Invalid profile address', 'error');
+        return;
+    }
+
+    profileAddress = ethers.utils.getAddress(address);
+    switchTab('profile');
+}
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function isSameAddress(a, b) {
+    return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Cards are clickable themselves, so the author link must not bubble up to them
+function renderAuthorLink(address) {
+    const pseudonym = isPseudonym(address);
+    return `<a href="#/users/${address}" class="author-link ${pseudonym ? 'pseudonym' : ''}" onclick="event.stopPropagation()"${pseudonym ? ' title="Anonymous author"' : ''}>${displayName(address)}</a>`;
+}
+
+function showLoading() {
+    document.getElementById('loading').classList.remove('hidden');
+}
+
+function hideLoading() {
+    document.getElementById('loading').classList.add('hidden');
+}
+
+function showStatus(message, type = 'success') {
+    const statusDiv = document.getElementById('statusMessage');
+    const statusText = document.getElementById('statusText');
+
+    statusText.textContent = message;
+    statusDiv.className = `status-message ${type}`;
+    statusDiv.classList.remove('hidden');
+
+    // Auto hide after 5 seconds
+    setTimeout(() => {
+        hideStatus();
+    }, 5000);
+}
+
+function hideStatus() {
+    document.getElementById('statusMessage').classList.add('hidden');
+}
+
+// Content Encryption
+// Question and answer text is sealed client-side with a per-question AES-GCM key
+// before it is sent to the contract. Answers reuse their question's key, so anyone
+// holding the question key can read the whole thread.
+const CONTENT_ENVELOPE_PREFIX = 'pqa:';
+const CONTENT_ENVELOPE_VERSION = 1;
+const CONTENT_ALGORITHM = 'AES-GCM';
+const CONTENT_KEY_STORAGE = 'privacyqa.contentKeys';
+const CONTENT_KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function loadContentKeys() {
+    try {
+        return JSON.parse(localStorage.getItem(CONTENT_KEY_STORAGE)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveContentKey(keyId, rawKey) {
+    const keys = loadContentKeys();
+    keys[keyId] = rawKey;
+    localStorage.setItem(CONTENT_KEY_STORAGE, JSON.stringify(keys));
+}
+
+function hasContentKey(keyId) {
+    return Boolean(keyId && loadContentKeys()[keyId]);
+}
+
+async function createContentKey() {
+    const key = await crypto.subtle.generateKey({ name: CONTENT_ALGORITHM, length: 256 }, true, ['encrypt', 'decrypt']);
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    const keyId = bytesToBase64(crypto.getRandomValues(new Uint8Array(9))).replace(/[+/=]/g, '');
+
+    saveContentKey(keyId, bytesToBase64(rawKey));
+    return keyId;
+}
+
+async function importContentKey(keyId) {
+    const rawKey = loadContentKeys()[keyId];
+    if (!rawKey) return null;
+    return crypto.subtle.importKey('raw', base64ToBytes(rawKey), CONTENT_ALGORITHM, false, ['encrypt', 'decrypt']);
+}
+
+function parseContentEnvelope(content) {
+    if (typeof content !== 'string' || !content.startsWith(CONTENT_ENVELOPE_PREFIX)) return null;
+
+    try {
+        const envelope = JSON.parse(content.slice(CONTENT_ENVELOPE_PREFIX.length));
+        if (envelope.v !== CONTENT_ENVELOPE_VERSION || envelope.alg !== CONTENT_ALGORITHM) return null;
+        // The key id ends up in the page, so anything but a plain token is treated as foreign content
+        if (typeof envelope.kid !== 'string' || !CONTENT_KEY_ID_PATTERN.test(envelope.kid)) return null;
+        return envelope;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function encryptContent(plaintext, keyId) {
+    const key = await importContentKey(keyId);
+    if (!key) throw new Error('Missing content key for this question');
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: CONTENT_ALGORITHM, iv }, key, new TextEncoder().encode(plaintext));
+
+    return CONTENT_ENVELOPE_PREFIX + JSON.stringify({
+        v: CONTENT_ENVELOPE_VERSION,
+        alg: CONTENT_ALGORITHM,
+        kid: keyId,
+        iv: bytesToBase64(iv),
+        ct: bytesToBase64(new Uint8Array(ciphertext))
+    });
+}
+
+// Returns { text, keyId, locked }. Content posted before encryption existed is
+// returned as-is; envelopes we hold no key for come back locked.
+async function decryptContent(content) {
+    const envelope = parseContentEnvelope(content);
+    if (!envelope) return { text: content, keyId: null, locked: false };
+
+    try {
+        const key = await importContentKey(envelope.kid);
+        if (!key) return { text: null, keyId: envelope.kid, locked: true };
+
+        const plaintext = await crypto.subtle.decrypt(
+            { name: CONTENT_ALGORITHM, iv: base64ToBytes(envelope.iv) },
+            key,
+            base64ToBytes(envelope.ct)
+        );
+        return { text: new TextDecoder().decode(plaintext), keyId: envelope.kid, locked: false };
+    } catch (error) {
+        console.error('Error decrypting content:', error);
+        return { text: null, keyId: envelope.kid, locked: true };
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderContent(decrypted, maxLength) {
+    if (decrypted.locked) {
+        return `
+            <span class="encrypted-placeholder">
+                Encrypted &ndash; request access
+                <button class="btn btn-secondary btn-small" data-key-action="enter" data-key-id="${escapeHtml(decrypted.keyId)}">Enter Key</button>
+            </span>
+        `;
+    }
+
+    const text = maxLength && decrypted.text.length > maxLength
+        ? decrypted.text.substring(0, maxLength) + '...'
+        : decrypted.text;
+    return escapeHtml(text);
+}
+
+// Directed questions hand their key to DirectedQuestions as one 256-bit FHE integer
+function contentKeyToBigInt(keyId) {
+    return BigInt(ethers.utils.hexlify(base64ToBytes(loadContentKeys()[keyId])));
+}
+
+function contentKeyFromBigInt(value) {
+    return bytesToBase64(ethers.utils.arrayify('0x' + BigInt(value).toString(16).padStart(64, '0')));
+}
+
+// Keys are shared out of band as "<keyId>.<base64 key>"
+function exportContentKey(keyId) {
+    return `${keyId}.${loadContentKeys()[keyId]}`;
+}
+
+function handleContentKeyClick(e) {
+    const button = e.target.closest('[data-key-action]');
+    if (!button) return;
+
+    e.stopPropagation();
+    if (button.dataset.keyAction === 'share') {
+        copyContentKey(button.dataset.keyId);
+    } else {
+        promptContentKey(button.dataset.keyId);
+    }
+}
+
+async function copyContentKey(keyId) {
+    try {
+        await navigator.clipboard.writeText(exportContentKey(keyId));
+        showStatus('Question key copied. Share it only with people who should read this thread.', 'success');
+    } catch (error) {
+        console.error('Error copying content key:', error);
+        showStatus('Could not copy key: ' + error.message, 'error');
+    }
+}
+
+async function promptContentKey(keyId) {
+    const value = prompt('Paste the question key you received from the author:');
+    if (!value) return;
+
+    const [sharedKeyId, rawKey] = value.trim().split('.');
+    if (sharedKeyId !== keyId || !rawKey) {
+        showStatus('That key does not belong to this question', 'error');
+        return;
+    }
+
+    saveContentKey(keyId, rawKey);
+    showStatus('Key saved. Encrypted content unlocked.', 'success');
+
+    if (currentQuestionId) await openQuestionDetail(currentQuestionId);
+    await reloadQuestionFeed();
+}
+
+// FHE Relayer
+// User decryption follows the Zama relayer flow: generate a throwaway keypair, sign an
+// EIP-712 UserDecryptRequestVerification with the wallet, and let the relayer re-encrypt
+// the requested handles for that keypair. The signature is reused until it expires.
+async function getFheInstance() {
+    if (fheInstance) return fheInstance;
+
+    const { chainId } = await provider.getNetwork();
+
+    if (LOCAL_CHAIN_IDS.includes(chainId)) {
+        fheInstance = await createMockFheInstance(chainId);
+    } else {
+        if (typeof window.relayerSDK === 'undefined') {
+            throw new Error('FHE relayer SDK is not loaded');
+        }
+        await window.relayerSDK.initSDK();
+        fheInstance = await window.relayerSDK.createInstance({
+            ...window.relayerSDK.SepoliaConfig,
+            network: window.ethereum
+        });
+    }
+
+    return fheInstance;
+}
+
+async function getDecryptionAuthorization(instance) {
+    const now = Math.floor(Date.now() / 1000);
+
+    const contractAddresses = getDecryptionContracts();
+
+    if (decryptionAuthorization &&
+        decryptionAuthorization.account === currentAccount &&
+        decryptionAuthorization.contractAddresses.join() === contractAddresses.join() &&
+        now < Number(decryptionAuthorization.startTimestamp) + Number(DECRYPTION_DURATION_DAYS) * 86400) {
+        return decryptionAuthorization;
+    }
+
+    const keypair = instance.generateKeypair();
+    const startTimestamp = now.toString();
+    const eip712 = instance.createEIP712(keypair.publicKey, contractAddresses, startTimestamp, DECRYPTION_DURATION_DAYS);
+    const signature = await signer._signTypedData(
+        eip712.domain,
+        { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+        eip712.message
+    );
+
+    decryptionAuthorization = { account: currentAccount, contractAddresses, keypair, signature, startTimestamp };
+    return decryptionAuthorization;
+}
+
+// One signature covers every contract that hands out ciphertexts
+function getDecryptionContracts() {
+    return [CONTRACT_ADDRESS, ...[answerScores, directedQuestions].filter(Boolean).map(target => target.address)];
+}
+
+// Decrypts handles the connected account has ACL access to; returns { [handle]: bigint }.
+// contractAddress is the contract that owns the handles.
+async function userDecryptHandles(handles, contractAddress = CONTRACT_ADDRESS) {
+    const instance = await getFheInstance();
+    const authorization = await getDecryptionAuthorization(instance);
+
+    return instance.userDecrypt(
+        handles.map(handle => ({ handle, contractAddress })),
+        authorization.keypair.privateKey,
+        authorization.keypair.publicKey,
+        authorization.signature.replace('0x', ''),
+        authorization.contractAddresses,
+        currentAccount,
+        authorization.startTimestamp,
+        DECRYPTION_DURATION_DAYS
+    );
+}
+
+async function loadEncryptedStats() {
+    if (!contract || !currentAccount) return;
+
+    try {
+        const stats = await contract.getUserEncryptedStats(currentAccount);
+
+        // Uninitialized profiles have no ciphertexts yet
+        if (stats.encryptedReputation === ethers.constants.HashZero) {
+            renderEncryptedStats(null, null);
+            return;
+        }
+
+        const values = await userDecryptHandles([stats.encryptedReputation, stats.encryptedContributions]);
+        renderEncryptedStats(Number(values[stats.encryptedReputation]), Number(values[stats.encryptedContributions]));
+
+    } catch (error) {
+        console.error('Error decrypting user stats:', error);
+        renderEncryptedStats('Encrypted', 'Encrypted');
+    }
+}
+
+function renderEncryptedStats(reputation, contributions) {
+    document.getElementById('userReputation').textContent = reputation === null ? '' : `Reputation: ${reputation}`;
+
+    const profileReputation = document.getElementById('profileReputation');
+    const profileContributions = document.getElementById('profileContributions');
+    if (profileReputation) profileReputation.textContent = reputation === null ? '-' : reputation;
+    if (profileContributions) profileContributions.textContent = contributions === null ? '-' : contributions;
+}
+
+// Encrypted Inputs
+// All encrypted calldata is built through encryptInputs(), so tests can swap the encryptor
+// with setInputEncryptor() without touching the call sites. An encryptor takes a list of
+// { bits, value } plus the contract that will consume them and the address that will send
+// them, and resolves to { handles, inputProof }.
+async function fheInputEncryptor(values, contractAddress, userAddress) {
+    const instance = await getFheInstance();
+    const input = instance.createEncryptedInput(contractAddress, userAddress);
+    values.forEach(({ bits, value }) => input[`add${bits}`](value));
+    return input.encrypt();
+}
+
+function setInputEncryptor(encryptor) {
+    inputEncryptor = encryptor || fheInputEncryptor;
+}
+
+// userAddress differs from the connected account when a pseudonym sends the transaction.
+// Relayed calls still bind inputs to the signer, which the contracts check via _msgSender().
+async function encryptInputs(values, contractAddress = CONTRACT_ADDRESS, userAddress = currentAccount) {
+    const { handles, inputProof } = await inputEncryptor(values, contractAddress, userAddress);
+    return {
+        handles: handles.map(handle => ethers.utils.hexlify(handle)),
+        inputProof: ethers.utils.hexlify(inputProof)
+    };
+}
+
+// Gasless Transactions
+// With a gas relayer configured, participation calls are signed as EIP-712 ForwardRequests
+// and submitted by scripts/relayer.js through the TrustedForwarder, which every contract
+// trusts to tell it the real sender. Calls that carry ETH, and every call when no relayer
+// is reachable, are sent directly from the wallet as before.
+async function loadGasRelayer() {
+    if (!GAS_RELAYER_URL) return null;
+
+    try {
+        const response = await fetch(`${GAS_RELAYER_URL}/status`);
+        const status = await response.json();
+        // Only sign for the forwarder our contracts actually trust
+        if (!(await contract.isTrustedForwarder(status.forwarder))) {
+            throw new Error(`Relayer forwarder ${status.forwarder} is not trusted by PrivacyQA`);
+        }
+        return { url: GAS_RELAYER_URL, forwarder: status.forwarder, chainId: status.chainId };
+    } catch (error) {
+        console.warn('Gas relayer unavailable, sending transactions directly:', error);
+        return null;
+    }
+}
+
+function isRelayed(overrides = {}) {
+    return gasRelayer !== null && ethers.BigNumber.from(overrides.value || 0).isZero();
+}
+
+// Sends target[method](...args) through the relayer when possible. Resolves to an object
+// with wait(), like a transaction response, whose receipt has the target's events parsed.
+async function sendTransaction(target, method, args, overrides = {}) {
+    if (!isRelayed(overrides)) {
+        return target[method](...args, overrides);
+    }
 
-    const userAddress = document.getElementById('promoteUser').value.trim();
-    if (!userAddress || !ethers.utils.isAddress(userAddress)) {
-        showStatus('Please enter a valid address', 'error');
+    const from = await target.signer.getAddress();
+    const data = target.interface.encodeFunctionData(method, args);
+    const forwarder = new ethers.Contract(gasRelayer.forwarder, FORWARDER_ABI, provider);
+
+    // Estimating as the forwarder with the sender appended runs the call exactly as it
+    // will be relayed, so a call the contract rejects fails here with its own error
+    const estimate = await provider.estimateGas({
+        from: gasRelayer.forwarder,
+        to: target.address,
+        data: ethers.utils.hexConcat([data, from])
+    });
+
+    const request = {
+        from,
+        to: target.address,
+        value: '0',
+        gas: estimate.mul(12).div(10).toString(),
+        nonce: (await forwarder.nonces(from)).toString(),
+        deadline: String(Math.floor(Date.now() / 1000) + RELAYED_REQUEST_TTL_SECONDS),
+        data
+    };
+    const domain = {
+        name: 'PrivacyQA Forwarder',
+        version: '1',
+        chainId: gasRelayer.chainId,
+        verifyingContract: gasRelayer.forwarder
+    };
+    const signature = await target.signer._signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+    const response = await fetch(`${gasRelayer.url}/relay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ request, signature })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Relayer rejected the request');
+
+    return {
+        hash: result.txHash,
+        wait: async () => {
+            const receipt = await provider.waitForTransaction(result.txHash);
+            if (receipt.status === 0) throw new Error('Relayed transaction failed');
+            receipt.events = receipt.logs.map(log => {
+                if (!isSameAddress(log.address, target.address)) return log;
+                try {
+                    const parsed = target.interface.parseLog(log);
+                    return { ...log, event: parsed.name, args: parsed.args };
+                } catch (error) {
+                    return log;
+                }
+            });
+            return receipt;
+        }
+    };
+}
+
+// Mock Relayer
+// Stand-in for the Zama relayer on a local Hardhat node started with the fhEVM plugin
+// (npx hardhat node). Inputs are registered with the node's mock coprocessor, which signs
+// them like the real one, so the contracts accept them. User decryption checks the EIP-712
+// request and the ACL grants the same way the gateway does, then reads the cleartexts from
+// the node instead of the KMS. Public decryption requests are fulfilled by scripts/oracle.js.
+const MOCK_FHE_TYPES = { 8: 2, 32: 4, 256: 8 };
+const MOCK_ACL_ABI = [
+    "function persistAllowed(bytes32 handle, address account) view returns (bool)"
+];
+
+async function createMockFheInstance(chainId) {
+    const node = new ethers.providers.JsonRpcProvider(LOCAL_NODE_URL);
+    const metadata = await node.send('fhevm_relayer_metadata', []).catch(() => {
+        throw new Error(`No fhEVM Hardhat node at ${LOCAL_NODE_URL}; start one with npx hardhat node`);
+    });
+    const acl = new ethers.Contract(metadata.ACLAddress, MOCK_ACL_ABI, node);
+
+    return {
+        createEncryptedInput(contractAddress, userAddress) {
+            const values = [];
+            const input = {
+                add8(value) { values.push({ bits: 8, value }); return input; },
+                add32(value) { values.push({ bits: 32, value }); return input; },
+                add256(value) { values.push({ bits: 256, value }); return input; },
+                async encrypt() {
+                    const random32List = values.map(() => ethers.utils.hexlify(ethers.utils.randomBytes(32)));
+                    const fheTypes = values.map(({ bits }) => MOCK_FHE_TYPES[bits]);
+                    const ciphertext = ethers.utils.keccak256(ethers.utils.hexConcat(values.map(({ bits, value }, i) => [
+                        ethers.utils.hexlify(fheTypes[i]),
+                        ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), bits / 8),
+                        random32List[i]
+                    ]).flat()));
+
+                    const { handles, signatures } = await node.send('fhevm_relayer_v1_input_proof', [{
+                        contractAddress,
+                        userAddress,
+                        ciphertextWithInputVerification: ciphertext,
+                        contractChainId: ethers.utils.hexValue(chainId),
+                        extraData: '0x00',
+                        mockData: {
+                            clearTextValuesBigIntHex: values.map(({ value }) => ethers.BigNumber.from(value).toHexString()),
+                            metadatas: values.map(() => ({ blockNumber: 0, index: 0, transactionHash: ethers.constants.HashZero })),
+                            fheTypes,
+                            fhevmTypes: fheTypes,
+                            aclContractAddress: metadata.ACLAddress,
+                            random32List
+                        }
+                    }]);
+
+                    // Same layout as the relayer SDK: handle count, signer count, handles, signatures, extra data
+                    const prefixed = handles.map(handle => handle.startsWith('0x') ? handle : '0x' + handle);
+                    const inputProof = ethers.utils.hexConcat([
+                        ethers.utils.hexlify(prefixed.length),
+                        ethers.utils.hexlify(signatures.length),
+                        ...prefixed,
+                        ...signatures.map(signature => signature.startsWith('0x') ? signature : '0x' + signature),
+                        '0x00'
+                    ]);
+                    return { handles: prefixed, inputProof };
+                }
+            };
+            return input;
+        },
+
+        generateKeypair() {
+            return {
+                publicKey: ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+                privateKey: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+            };
+        },
+
+        createEIP712(publicKey, contractAddresses, startTimestamp, durationDays) {
+            return {
+                domain: {
+                    name: 'Decryption',
+                    version: '1',
+                    chainId,
+                    verifyingContract: ethers.constants.AddressZero
+                },
+                types: {
+                    UserDecryptRequestVerification: [
+                        { name: 'publicKey', type: 'bytes' },
+                        { name: 'contractAddresses', type: 'address[]' },
+                        { name: 'contractsChainId', type: 'uint256' },
+                        { name: 'startTimestamp', type: 'uint256' },
+                        { name: 'durationDays', type: 'uint256' }
+                    ]
+                },
+                message: {
+                    publicKey,
+                    contractAddresses,
+                    contractsChainId: chainId,
+                    startTimestamp,
+                    durationDays
+                }
+            };
+        },
+
+        async userDecrypt(handleContractPairs, privateKey, publicKey, signature, contractAddresses, userAddress, startTimestamp, durationDays) {
+            const eip712 = this.createEIP712(publicKey, contractAddresses, startTimestamp, durationDays);
+            const recovered = ethers.utils.verifyTypedData(eip712.domain, eip712.types, eip712.message, '0x' + signature);
+
+            if (recovered.toLowerCase() !== userAddress.toLowerCase()) {
+                throw new Error('Mock relayer: signature does not match user');
+            }
+            if (Date.now() / 1000 > Number(startTimestamp) + Number(durationDays) * 86400) {
+                throw new Error('Mock relayer: decryption request expired');
+            }
+
+            // Like the gateway, only decrypt handles the ACL has granted to both the user and the contract
+            const listed = contractAddresses.map(address => address.toLowerCase());
+            await Promise.all(handleContractPairs.map(async ({ handle, contractAddress }) => {
+                if (!listed.includes(contractAddress.toLowerCase())) {
+                    throw new Error(`Mock relayer: ${contractAddress} is not in the signed contract list`);
+                }
+                if (contractAddress.toLowerCase() === userAddress.toLowerCase()) {
+                    throw new Error('Mock relayer: user and contract must differ');
+                }
+                const [userAllowed, contractAllowed] = await Promise.all([
+                    acl.persistAllowed(handle, userAddress),
+                    acl.persistAllowed(handle, contractAddress)
+                ]);
+                if (!userAllowed || !contractAllowed) {
+                    throw new Error(`Mock relayer: ${userAddress} is not allowed to decrypt ${handle}`);
+                }
+            }));
+
+            const handles = handleContractPairs.map(({ handle }) => handle);
+            const cleartexts = await node.send('fhevm_getClearText', [handles]);
+            const result = {};
+            handles.forEach((handle, i) => {
+                result[handle] = BigInt(cleartexts[i] === '0x' ? 0 : cleartexts[i]);
+            });
+            return result;
+        }
+    };
+}
+
+// Question Index
+// The feed is built from contract events and cached in IndexedDB, one database per
+// chain and contract. Each sync resumes from the last indexed block, so only new logs
+// are fetched. Records hold what the events tell us: { id, categoryId, author,
+// blockNumber, answerIds, bestAnswerId, payouts }. The same database holds
+// the search index (see Search below). Bump QUESTION_INDEX_VERSION when the record shape
+// changes; older caches are then dropped and rebuilt from the deploy block.
+async function openIndexDb() {
+    if (indexDb) return indexDb;
+
+    const { chainId } = await provider.getNetwork();
+    const name = `privacyqa-${chainId}-${CONTRACT_ADDRESS.toLowerCase()}`;
+
+    indexDb = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 2);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+            if (!db.objectStoreNames.contains('questions')) db.createObjectStore('questions', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('search')) {
+                db.createObjectStore('search', { keyPath: 'key' }).createIndex('tokens', 'tokens', { multiEntry: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return indexDb;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function getIndexedQuestions() {
+    const db = await openIndexDb();
+    return idbRequest(db.transaction('questions').objectStore('questions').getAll());
+}
+
+function applyIndexedEvent(records, event) {
+    const questionId = Number(event.args.questionId);
+    const record = records.get(questionId);
+
+    if (event.event === 'QuestionPosted') {
+        records.set(questionId, {
+            id: questionId,
+            categoryId: Number(event.args.categoryId),
+            author: event.args.author,
+            blockNumber: event.blockNumber,
+            answerIds: [],
+            bestAnswerId: null,
+            payouts: []
+        });
+        return;
+    }
+
+    if (!record) return;
+
+    if (event.event === 'AnswerSubmitted') {
+        record.answerIds.push(Number(event.args.answerId));
+    } else if (event.event === 'BestAnswerSelected') {
+        record.bestAnswerId = Number(event.args.answerId);
+    } else if (event.event === 'BountyPaid') {
+        record.payouts.push({ recipient: event.args.recipient, amount: event.args.amount.toString(), token: event.args.token });
+    }
+}
+
+async function resetQuestionIndex(db) {
+    const tx = db.transaction(['questions', 'search', 'meta'], 'readwrite');
+    tx.objectStore('questions').clear();
+    tx.objectStore('search').clear();
+    tx.objectStore('meta').clear();
+    tx.objectStore('meta').put(QUESTION_INDEX_VERSION, 'indexVersion');
+    await idbTransactionDone(tx);
+}
+
+async function syncQuestionIndex() {
+    const db = await openIndexDb();
+    if ((await idbRequest(db.transaction('meta').objectStore('meta').get('indexVersion'))) !== QUESTION_INDEX_VERSION) {
+        await resetQuestionIndex(db);
+    }
+    const lastIndexedBlock = await idbRequest(db.transaction('meta').objectStore('meta').get('lastIndexedBlock'));
+    let indexedEventCount = (await idbRequest(db.transaction('meta').objectStore('meta').get('indexedEventCount'))) || 0;
+    const latestBlock = await provider.getBlockNumber();
+    let fromBlock = lastIndexedBlock === undefined ? CONTRACT_DEPLOY_BLOCK : lastIndexedBlock + 1;
+
+    while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + LOG_QUERY_BLOCK_RANGE - 1, latestBlock);
+        const logs = await Promise.all(INDEXED_EVENTS.map(name =>
+            contract.queryFilter(contract.filters[name](), fromBlock, toBlock)
+        ));
+        const events = logs.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        // Start from the stored records the events touch, then write everything back with the cursor
+        const records = new Map();
+        const questionStore = db.transaction('questions').objectStore('questions');
+        for (const questionId of new Set(events.map(event => Number(event.args.questionId)))) {
+            const record = await idbRequest(questionStore.get(questionId));
+            if (record) records.set(questionId, record);
+        }
+        events.forEach(event => applyIndexedEvent(records, event));
+
+        const tx = db.transaction(['questions', 'meta'], 'readwrite');
+        records.forEach(record => tx.objectStore('questions').put(record));
+        indexedEventCount += events.length;
+        tx.objectStore('meta').put(toBlock, 'lastIndexedBlock');
+        tx.objectStore('meta').put(indexedEventCount, 'indexedEventCount');
+        await idbTransactionDone(tx);
+
+        fromBlock = toBlock + 1;
+    }
+}
+
+// Search
+// Full-text search runs entirely in the browser over content this account can decrypt;
+// nothing is sent anywhere. Documents live in the 'search' store with a multiEntry
+// 'tokens' index acting as the inverted index. The index is rebuilt when new events
+// were indexed, a content key was added, or it is older than SEARCH_INDEX_MAX_AGE_MS
+// (verification does not show up in the indexed events).
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1);
+}
+
+// Edits and deletions are not indexed events, so they force the next search to rebuild
+async function invalidateSearchIndex() {
+    const db = await openIndexDb();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').delete('searchIndexState');
+    await idbTransactionDone(tx);
+}
+
+async function refreshSearchIndex() {
+    const db = await openIndexDb();
+    await syncQuestionIndex();
+
+    const meta = db.transaction('meta').objectStore('meta');
+    const indexedEventCount = (await idbRequest(meta.get('indexedEventCount'))) || 0;
+    const searchState = await idbRequest(meta.get('searchIndexState'));
+    const keyCount = Object.keys(loadContentKeys()).length;
+
+    if (searchState &&
+        searchState.indexedEventCount === indexedEventCount &&
+        searchState.keyCount === keyCount &&
+        Date.now() - searchState.builtAt < SEARCH_INDEX_MAX_AGE_MS) {
+        return;
+    }
+
+    const questions = await getIndexedQuestions();
+    const answerIds = questions.flatMap(question => question.answerIds);
+    const questionInfos = await batchRead(questions.map(question => ['getQuestionInfo', [question.id]]));
+    const answerInfos = await batchRead(answerIds.map(id => ['getAnswerInfo', [id]]));
+    const eligibilities = await batchRead(answerIds.map(id => ['getAnswerEligibility', [id]]));
+
+    const authors = [...new Set([...questionInfos, ...answerInfos].filter(Boolean).map(info => info.author))];
+    const userInfos = await batchRead(authors.map(author => ['getUserInfo', [author]]));
+    const specialties = new Map(authors.map((author, i) => [author, userInfos[i] ? userInfos[i].specialties.join(' ') : '']));
+
+    const entries = [];
+    const addEntry = async (entry, info) => {
+        const content = await decryptContent(info.encryptedContent);
+        if (content.locked) return;
+
+        entry.text = content.text;
+        entry.specialties = specialties.get(info.author) || '';
+        entry.tokens = [...new Set(tokenize(`${entry.text} ${entry.category} ${entry.specialties}`))];
+        entries.push(entry);
+    };
+
+    for (let i = 0; i < questions.length; i++) {
+        if (!questionInfos[i]) continue;
+        await addEntry({
+            key: `q:${questions[i].id}`,
+            type: 'question',
+            questionId: questions[i].id,
+            category: questionInfos[i].category,
+            isVerified: false,
+            isBestAnswer: false
+        }, questionInfos[i]);
+    }
+
+    const questionCategories = new Map(questions.map((question, i) => [question.id, questionInfos[i] ? questionInfos[i].category : getCategoryName(question.categoryId)]));
+    for (let i = 0; i < answerIds.length; i++) {
+        const answerInfo = answerInfos[i];
+        if (!answerInfo) continue;
+        if (eligibilities[i] && eligibilities[i].eligibilityResolved && !eligibilities[i].isEligible) continue;
+
+        await addEntry({
+            key: `a:${answerIds[i]}`,
+            type: 'answer',
+            questionId: Number(answerInfo.questionId),
+            answerId: answerIds[i],
+            category: questionCategories.get(Number(answerInfo.questionId)),
+            isVerified: answerInfo.isVerified,
+            isBestAnswer: answerInfo.isBestAnswer
+        }, answerInfo);
+    }
+
+    const tx = db.transaction(['search', 'meta'], 'readwrite');
+    tx.objectStore('search').clear();
+    entries.forEach(entry => tx.objectStore('search').put(entry));
+    tx.objectStore('meta').put({ indexedEventCount, keyCount, builtAt: Date.now() }, 'searchIndexState');
+    await idbTransactionDone(tx);
+}
+
+// Every query term must match a token prefix. Scores count matching tokens, with
+// verified and best answers ranked above everything else.
+function rankSearchMatches(entries, terms) {
+    return entries
+        .map(entry => {
+            const tokens = tokenize(entry.text);
+            let score = 0;
+            terms.forEach(term => {
+                score += tokens.filter(token => token.startsWith(term)).length;
+                if (entry.category && entry.category.toLowerCase().startsWith(term)) score += 1;
+            });
+            if (entry.isVerified) score *= 1.5;
+            if (entry.isBestAnswer) score *= 2;
+            return { ...entry, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+async function searchContent(query) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const db = await openIndexDb();
+    const tokenIndex = db.transaction('search').objectStore('search').index('tokens');
+    let matches = null;
+
+    for (const term of terms) {
+        const termEntries = await idbRequest(tokenIndex.getAll(IDBKeyRange.bound(term, term + '\uffff')));
+        const termMatches = new Map(termEntries.map(entry => [entry.key, entry]));
+        matches = matches === null
+            ? termMatches
+            : new Map([...matches].filter(([key]) => termMatches.has(key)));
+    }
+
+    return rankSearchMatches([...matches.values()], terms);
+}
+
+function highlightMatches(text, terms) {
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+    return escapeHtml(text).replace(pattern, '<mark>$1</mark>');
+}
+
+function searchSnippet(text, terms, length = 200) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - 40) : 0;
+
+    return `${start > 0 ? '...' : ''}${text.substring(start, start + length)}${start + length < text.length ? '...' : ''}`;
+}
+
+async function handleSearch(e) {
+    e.preventDefault();
+
+    const query = document.getElementById('searchQuery').value.trim();
+    if (!query) {
+        clearSearch();
+        return;
+    }
+
+    if (!contract) {
+        showStatus('Please connect your wallet first', 'error');
         return;
     }
 
     try {
         showLoading();
 
-        const tx = await contract.promoteToExpert(userAddress);
+        await refreshSearchIndex();
+        const results = await searchContent(query);
+        const terms = tokenize(query);
+
+        const resultsHTML = results.map(result => `
+            <div class="answer-card search-result ${result.isVerified ? 'verified' : ''} ${result.isBestAnswer ? 'best' : ''}" onclick="navigate('/${result.type === 'answer' ? `answers/${result.answerId}` : `questions/${result.questionId}`}')">
+                <div class="answer-header">
+                    <span>${result.type === 'question' ? 'Question' : 'Answer'} &middot; ${escapeHtml(result.category || '')} (Question ID: ${result.questionId})</span>
+                    <div class="answer-badges">
+                        ${result.isVerified ? '<span class="badge verified">Verified</span>' : ''}
+                        ${result.isBestAnswer ? '<span class="badge best">Best Answer</span>' : ''}
+                    </div>
+                </div>
+                <div class="answer-content">${highlightMatches(searchSnippet(result.text, terms), terms)}</div>
+            </div>
+        `).join('');
+
+        document.getElementById('searchResults').innerHTML = `
+            <div class="search-results-header">
+                <span>${results.length} result${results.length === 1 ? '' : 's'} for "${escapeHtml(query)}"</span>
+                <button class="btn btn-secondary btn-small" onclick="clearSearch()">Clear</button>
+            </div>
+            ${resultsHTML || '<p class="text-muted">No matches in the content you can read</p>'}
+        `;
+        toggleSearchResults(true);
+
+        hideLoading();
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error searching:', error);
+        showStatus('Error searching: ' + error.message, 'error');
+    }
+}
+
+function clearSearch() {
+    document.getElementById('searchQuery').value = '';
+    document.getElementById('searchResults').innerHTML = '';
+    toggleSearchResults(false);
+}
+
+function toggleSearchResults(show) {
+    document.getElementById('searchResults').classList.toggle('hidden', !show);
+    document.getElementById('questionsList').classList.toggle('hidden', show);
+    document.getElementById('questionsPager').classList.toggle('hidden', show);
+}
+
+// Roles
+
+async function loadAccountRoles() {
+    const roleNames = Object.keys(ROLES);
+    const [results, owner, pendingOwner] = await Promise.all([
+        Promise.all(roleNames.map(name => contract.hasRole(ROLES[name], currentAccount))),
+        contract.owner(),
+        contract.pendingOwner()
+    ]);
+
+    accountRoles = new Set(roleNames.filter((name, i) => results[i]));
+    if (isSameAddress(owner, currentAccount)) accountRoles.add('owner');
+    if (isSameAddress(pendingOwner, currentAccount)) accountRoles.add('pendingOwner');
+
+    const pendingOwnerNote = document.getElementById('pendingOwnerNote');
+    pendingOwnerNote.textContent = `Waiting for ${pendingOwner} to accept ownership.`;
+    pendingOwnerNote.classList.toggle('hidden', pendingOwner === ethers.constants.AddressZero);
+
+    updateAdminTab();
+    loadExpertApplications();
+}
+
+// The Admin tab only offers actions the contract would accept from the connected account
+function updateAdminTab() {
+    let visible = 0;
+    document.querySelectorAll('.admin-action').forEach(action => {
+        const allowed = accountRoles.has(action.dataset.role);
+        action.classList.toggle('hidden', !allowed);
+        if (allowed) visible++;
+    });
+
+    document.getElementById('adminNoAccess').classList.toggle('hidden', visible > 0);
+    document.querySelector('.tab-btn[data-tab="admin"]').classList.toggle('hidden', visible === 0);
+}
+
+// Experts
+
+// Specialties are category ids on-chain. They are typed as category names, or as
+// "Parent / Child" for a subcategory, in any case.
+function parseSpecialties(value) {
+    const activeCategories = [...categories.values()].filter(category => !category.archived);
+    const ids = value.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+        const category = activeCategories.find(category => [category.name, getCategoryLabel(category.id)]
+            .some(label => label.toLowerCase() === name.toLowerCase()));
+        if (!category) throw new Error(`Unknown category: ${name}`);
+        return category.id;
+    });
+    return [...new Set(ids)];
+}
+
+function getSpecialtyLabels(specialties) {
+    return specialties.map(specialty => getCategoryLabel(Number(specialty))).join(', ');
+}
+
+function renderExpertStatus(expert) {
+    const specialties = escapeHtml(getSpecialtyLabels(expert.specialties));
+    const expiresAt = expert.expiresAt.toNumber();
+
+    if (expert.isCurrent) {
+        return `Yes (${specialties})${expiresAt ? `, until ${new Date(expiresAt * 1000).toLocaleDateString()}` : ''}`;
+    }
+    if (expiresAt) {
+        return `Expired on ${new Date(expiresAt * 1000).toLocaleDateString()}`;
+    }
+    return 'No';
+}
+
+// Shows the state of our latest application and offers our verified answers as evidence
+async function loadExpertApplication(verifiedIds) {
+    const applicationId = await expertRegistry.latestApplication(currentAccount);
+    const application = applicationId > 0 ? await expertRegistry.getApplication(applicationId) : null;
+    const pending = application && APPLICATION_STATUS[application.status] === 'Pending';
+
+    document.getElementById('expertApplicationStatus').textContent = application
+        ? `Your application for ${getSpecialtyLabels(application.specialties)} is ${APPLICATION_STATUS[application.status].toLowerCase()}` +
+          ` (submitted ${new Date(application.submittedAt.toNumber() * 1000).toLocaleDateString()}).`
+        : 'Cite your verified answers to show your expertise.';
+
+    document.getElementById('expertSpecialties').classList.toggle('hidden', pending);
+    document.getElementById('applyForExpert').classList.toggle('hidden', pending);
+    document.getElementById('expertEvidence').innerHTML = pending ? '' : verifiedIds.map(answerId => `
+        <label><input type="checkbox" class="expert-evidence-answer" value="${answerId}"> <a href="#/answers/${answerId}">Answer #${answerId}</a></label>
+    `).join('') || '<span class="text-muted">No verified answers yet</span>';
+}
+
+async function handleApplyForExpert() {
+    if (!expertRegistry) return;
+
+    const evidence = [...document.querySelectorAll('.expert-evidence-answer:checked')].map(input => Number(input.value));
+
+    try {
+        showLoading();
+
+        const specialties = parseSpecialties(document.getElementById('expertSpecialties').value);
+        if (specialties.length === 0) throw new Error('Enter at least one specialty');
+
+        const tx = await sendTransaction(expertRegistry, 'applyForExpert', [specialties, evidence]);
         await tx.wait();
 
-        document.getElementById('promoteUser').value = '';
+        document.getElementById('expertSpecialties').value = '';
+        await loadUserProfile();
 
         hideLoading();
-        showStatus('User promoted to expert successfully!', 'success');
+        showStatus('Application submitted! An admin will review it.', 'success');
 
     } catch (error) {
         hideLoading();
-        console.error('Error promoting user:', error);
-        showStatus('Error promoting user: ' + error.message, 'error');
+        console.error('Error applying for expert status:', error);
+        showStatus('Error applying: ' + error.message, 'error');
     }
 }
 
-async function handleVerifyAnswer() {
-    if (!contract) return;
+// The review queue on the Admin tab, for accounts with the admin role
+async function loadExpertApplications() {
+    const container = document.getElementById('expertApplications');
+    if (!expertRegistry || !accountRoles.has('admin')) return;
+
+    try {
+        const applicationIds = await expertRegistry.getPendingApplications();
+        const applications = await Promise.all(applicationIds.map(id => expertRegistry.getApplication(id)));
+
+        container.innerHTML = applications.map((application, i) => `
+            <div class="expert-application-card">
+                <div>
+                    ${renderAuthorLink(application.applicant)} for <strong>${escapeHtml(getSpecialtyLabels(application.specialties))}</strong>
+                    <span class="text-muted">on ${new Date(application.submittedAt.toNumber() * 1000).toLocaleDateString()}</span>
+                </div>
+                <div class="text-muted">
+                    Evidence: ${application.evidenceAnswerIds.map(answerId => `<a href="#/answers/${answerId}">#${answerId}</a>`).join(', ') || 'none'}
+                </div>
+                <button class="btn btn-primary btn-small" onclick="handleReviewApplication(${applicationIds[i]}, true)">Approve</button>
+                <button class="btn btn-danger btn-small" onclick="handleReviewApplication(${applicationIds[i]}, false)">Reject</button>
+            </div>
+        `).join('') || '<p class="text-muted">No pending applications</p>';
+
+    } catch (error) {
+        console.error('Error loading expert applications:', error);
+        container.innerHTML = '<p class="text-muted">Error loading applications</p>';
+    }
+}
+
+async function handleReviewApplication(applicationId, approve) {
+    if (!expertRegistry) return;
+
+    try {
+        showLoading();
+
+        const tx = await expertRegistry.reviewApplication(applicationId, approve);
+        await tx.wait();
+
+        await loadExpertApplications();
+
+        hideLoading();
+        showStatus(approve ? 'Application approved' : 'Application rejected', 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error reviewing application:', error);
+        showStatus('Error reviewing application: ' + error.message, 'error');
+    }
+}
+
+// Categories
+
+async function loadCategories() {
+    const { names, parentIds, archived } = await categoryRegistry.getCategories();
+    categories = new Map(names.map((name, i) => [i + 1, { id: i + 1, name, parentId: parentIds[i], archived: archived[i] }]));
+
+    // Filtering works on any category, including archived ones; new questions need an active one
+    renderCategoryOptions(document.getElementById('categoryFilter'), 'All Categories', true);
+    renderCategoryOptions(document.getElementById('questionCategory'), 'Select Category', false);
+    renderCategoryOptions(document.getElementById('categoryParent'), 'No parent', false);
+    renderCategoryOptions(document.getElementById('categoryToEdit'), 'Select Category', true);
+}
+
+// Subcategories are listed under their parent as "Parent / Child"
+function getCategoryLabel(categoryId) {
+    const category = categories.get(categoryId);
+    if (!category) return `Category #${categoryId}`;
+
+    const parent = category.parentId ? categories.get(category.parentId) : null;
+    return parent ? `${parent.name} / ${category.name}` : category.name;
+}
+
+function getCategoryName(categoryId) {
+    const category = categories.get(categoryId);
+    return category ? category.name : '';
+}
+
+function renderCategoryOptions(select, placeholder, includeArchived) {
+    const selected = select.value || select.dataset.selected || '';
+    const options = [...categories.values()]
+        .filter(category => includeArchived || !category.archived)
+        .map(category => ({ id: category.id, label: getCategoryLabel(category.id), archived: category.archived }))
+        .sort((a, b) => a.label.localeCompare(b.label))
+        .map(option => `<option value="${option.id}">${escapeHtml(option.label)}${option.archived ? ' (archived)' : ''}</option>`);
+
+    select.innerHTML = [`<option value="">${placeholder}</option>`, ...options].join('');
+    select.value = selected;
+}
 
-    const answerId = document.getElementById('verifyAnswerId').value;
-    const isVerified = document.getElementById('verifyStatus').value === 'true';
+// Categories load after the wallet connects, so a category picked from the URL before then
+// is remembered and applied once the options exist
+function selectCategory(select, categoryId) {
+    select.dataset.selected = categoryId;
+    select.value = categoryId;
+}
+
+async function handleAddCategory() {
+    if (!categoryRegistry) return;
 
-    if (!answerId || isNaN(answerId)) {
-        showStatus('Please enter a valid answer ID', 'error');
+    const name = document.getElementById('categoryName').value.trim();
+    if (!name) {
+        showStatus('Please enter a category name', 'error');
         return;
     }
+    const parentId = Number(document.getElementById('categoryParent').value) || 0;
 
     try {
         showLoading();
 
-        const tx = await contract.verifyAnswer(parseInt(answerId), isVerified);
+        const tx = await categoryRegistry.addCategory(name, parentId);
         await tx.wait();
 
-        document.getElementById('verifyAnswerId').value = '';
+        document.getElementById('categoryName').value = '';
+        await loadCategories();
 
         hideLoading();
-        showStatus('Answer verification updated successfully!', 'success');
+        showStatus(`Category "${name}" added`, 'success');
 
     } catch (error) {
         hideLoading();
-        console.error('Error verifying answer:', error);
-        showStatus('Error verifying answer: ' + error.message, 'error');
+        console.error('Error adding category:', error);
+        showStatus('Error adding category: ' + error.message, 'error');
     }
 }
 
-function switchTab(tabName) {
-    // Hide all tab contents
-    document.querySelectorAll('.tab-content').forEach(content => {
-        content.classList.remove('active');
-    });
+async function handleRenameCategory() {
+    if (!categoryRegistry) return;
 
-    // Remove active class from all tab buttons
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
+    const categoryId = Number(document.getElementById('categoryToEdit').value);
+    const name = document.getElementById('categoryNewName').value.trim();
+    if (!categoryId || !name) {
+        showStatus('Please select a category and enter its new name', 'error');
+        return;
+    }
 
-    // Show selected tab content
-    document.getElementById(tabName).classList.add('active');
+    try {
+        showLoading();
 
-    // Add active class to selected tab button
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+        const tx = await categoryRegistry.renameCategory(categoryId, name);
+        await tx.wait();
 
-    // Load data for specific tabs
-    if (tabName === 'questions') {
-        loadQuestions();
-    } else if (tabName === 'profile' && currentAccount) {
-        loadUserProfile();
+        document.getElementById('categoryNewName').value = '';
+        await loadCategories();
+
+        hideLoading();
+        showStatus(`Category renamed to "${name}"`, 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error renaming category:', error);
+        showStatus('Error renaming category: ' + error.message, 'error');
     }
 }
 
-function showLoading() {
-    document.getElementById('loading').classList.remove('hidden');
+// Archives an active category or restores an archived one
+async function handleToggleCategoryArchived() {
+    if (!categoryRegistry) return;
+
+    const category = categories.get(Number(document.getElementById('categoryToEdit').value));
+    if (!category) {
+        showStatus('Please select a category', 'error');
+        return;
+    }
+
+    try {
+        showLoading();
+
+        const tx = await categoryRegistry.setCategoryArchived(category.id, !category.archived);
+        await tx.wait();
+
+        await loadCategories();
+
+        hideLoading();
+        showStatus(category.archived ? `Category "${category.name}" restored` : `Category "${category.name}" archived`, 'success');
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error updating category:', error);
+        showStatus('Error updating category: ' + error.message, 'error');
+    }
 }
 
-function hideLoading() {
-    document.getElementById('loading').classList.add('hidden');
+// Bounty Tokens
+// Every token the escrow has ever listed is loaded, so bounties in since-removed tokens
+// still display; only currently allowed ones are offered in the forms.
+async function loadBountyTokens() {
+    const { tokens, allowed } = await bountyEscrow.getBountyTokens();
+    bountyTokens = new Map();
+
+    await Promise.all(tokens.map(async (address, i) => {
+        const token = new ethers.Contract(address, ERC20_ABI, provider);
+        const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+        bountyTokens.set(address.toLowerCase(), { address, symbol, decimals, allowed: allowed[i] });
+    }));
+
+    document.getElementById('bountyToken').innerHTML = renderBountyTokenOptions();
 }
 
-function showStatus(message, type = 'success') {
-    const statusDiv = document.getElementById('statusMessage');
-    const statusText = document.getElementById('statusText');
+function renderBountyTokenOptions() {
+    const options = [...bountyTokens.values()]
+        .filter(token => token.allowed)
+        .map(token => `<option value="${token.address}">${escapeHtml(token.symbol)}</option>`);
+    return [`<option value="${ETH_TOKEN}">ETH</option>`, ...options].join('');
+}
 
-    statusText.textContent = message;
-    statusDiv.className = `status-message ${type}`;
-    statusDiv.classList.remove('hidden');
+function getBountyToken(address) {
+    if (address === ETH_TOKEN) return { address, symbol: 'ETH', decimals: 18 };
+    return bountyTokens.get(address.toLowerCase()) || { address, symbol: shortAddress(address), decimals: 18 };
+}
 
-    // Auto hide after 5 seconds
-    setTimeout(() => {
-        hideStatus();
-    }, 5000);
+function formatTokenAmount(amount, address) {
+    const token = getBountyToken(address);
+    return `${ethers.utils.formatUnits(amount, token.decimals)} ${escapeHtml(token.symbol)}`;
 }
 
-function hideStatus() {
-    document.getElementById('statusMessage').classList.add('hidden');
+function formatTokenTotals(totals) {
+    if (totals.size === 0) return '0 ETH';
+    return [...totals].map(([address, amount]) => formatTokenAmount(amount, address)).join(', ');
+}
+
+function parseTokenAmount(value, address) {
+    return ethers.utils.parseUnits(value, getBountyToken(address).decimals);
+}
+
+// The escrow pulls token bounties with transferFrom, so it needs an allowance first
+// owner is the signer funding the bounty: the wallet, or a pseudonym for anonymous questions
+async function approveBountyToken(address, amount, owner = signer) {
+    const token = new ethers.Contract(address, ERC20_ABI, owner);
+    const allowance = await token.allowance(await owner.getAddress(), bountyEscrow.address);
+    if (allowance.gte(amount)) return;
+
+    const tx = await token.approve(bountyEscrow.address, amount);
+    await tx.wait();
+}
+
+// Batched Reads
+// Reads many view calls in a single eth_call through Multicall3. Networks without the
+// Multicall3 deployment (a fresh Hardhat node) fall back to parallel calls.
+// calls is a list of [method, args] on target; failed calls resolve to null.
+async function batchRead(calls, target = contract) {
+    if (calls.length === 0) return [];
+
+    if (multicallAvailable === null) {
+        multicallAvailable = (await provider.getCode(MULTICALL_ADDRESS)) !== '0x';
+    }
+
+    if (!multicallAvailable) {
+        return Promise.all(calls.map(([method, args]) => target[method](...args).catch(() => null)));
+    }
+
+    const multicall = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI, provider);
+    const results = await multicall.callStatic.aggregate3(calls.map(([method, args]) => ({
+        target: target.address,
+        allowFailure: true,
+        callData: target.interface.encodeFunctionData(method, args)
+    })));
+
+    return results.map((result, i) => result.success
+        ? target.interface.decodeFunctionResult(calls[i][0], result.returnData)
+        : null);
 }
 
 // Handle account changes
@@ -717,11 +4143,29 @@ if (typeof window.ethereum !== 'undefined') {
     window.ethereum.on('accountsChanged', function (accounts) {
         if (accounts.length === 0) {
             // User disconnected wallet
+            if (contract) contract.removeAllListeners();
             currentAccount = null;
             provider = null;
             signer = null;
             contract = null;
+            bountyEscrow = null;
+            if (answerScores) answerScores.removeAllListeners();
+            answerScores = null;
+            answerVerification = null;
+            expertRegistry = null;
+            categoryRegistry = null;
+            contentRevisions = null;
+            commentThreads = null;
+            directedQuestions = null;
+            pseudonymRegistry = null;
+            gasRelayer = null;
+            pseudonymSeed = null;
+            fheInstance = null;
+            decryptionAuthorization = null;
+            accountRoles = new Set();
             updateWalletUI();
+            updateAdminTab();
+            renderEncryptedStats(null, null);
         } else {
             // User switched accounts
             connectWallet();
@@ -1,5 +1,7 @@
 const hre = require("hardhat");
 
+const DEFAULT_CATEGORIES = ["Technology", "Science", "Business", "Health", "Education", "Privacy", "Security"];
+
 async function main() {
   console.log("Deploying Privacy Q&A Platform with FHE...");
 
@@ -9,9 +11,18 @@ async function main() {
   const balance = await deployer.provider.getBalance(deployer.address);
   console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
 
+  // Deploy the forwarder for gasless meta-transactions; every contract trusts it
+  const TrustedForwarder = await hre.ethers.getContractFactory("TrustedForwarder");
+  const forwarder = await TrustedForwarder.deploy();
+
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+
+  console.log("TrustedForwarder deployed to:", forwarderAddress);
+
   // Deploy the PrivacyQA contract
   const PrivacyQA = await hre.ethers.getContractFactory("PrivacyQA");
-  const privacyQA = await PrivacyQA.deploy();
+  const privacyQA = await PrivacyQA.deploy(forwarderAddress);
 
   await privacyQA.waitForDeployment();
   const contractAddress = await privacyQA.getAddress();
@@ -19,6 +30,113 @@ async function main() {
   console.log("PrivacyQA contract deployed to:", contractAddress);
   console.log("Contract owner:", await privacyQA.owner());
 
+  // Deploy the bounty escrow and link it to PrivacyQA
+  const BountyEscrow = await hre.ethers.getContractFactory("BountyEscrow");
+  const bountyEscrow = await BountyEscrow.deploy(contractAddress, forwarderAddress);
+
+  await bountyEscrow.waitForDeployment();
+  const escrowAddress = await bountyEscrow.getAddress();
+
+  await (await privacyQA.setBountyEscrow(escrowAddress)).wait();
+  console.log("BountyEscrow deployed to:", escrowAddress);
+
+  // Deploy the vote and score contract and link it to PrivacyQA
+  const AnswerScores = await hre.ethers.getContractFactory("AnswerScores");
+  const answerScores = await AnswerScores.deploy(contractAddress, forwarderAddress);
+
+  await answerScores.waitForDeployment();
+  const scoresAddress = await answerScores.getAddress();
+
+  await (await privacyQA.setAnswerScores(scoresAddress)).wait();
+  console.log("AnswerScores deployed to:", scoresAddress);
+
+  // Deploy expert answer verification and link it to PrivacyQA
+  const AnswerVerification = await hre.ethers.getContractFactory("AnswerVerification");
+  const answerVerification = await AnswerVerification.deploy(contractAddress, forwarderAddress);
+
+  await answerVerification.waitForDeployment();
+  const verificationAddress = await answerVerification.getAddress();
+
+  await (await privacyQA.setAnswerVerification(verificationAddress)).wait();
+  console.log("AnswerVerification deployed to:", verificationAddress);
+
+  // Deploy the expert registry and link it to PrivacyQA
+  const ExpertRegistry = await hre.ethers.getContractFactory("ExpertRegistry");
+  const expertRegistry = await ExpertRegistry.deploy(contractAddress, forwarderAddress);
+
+  await expertRegistry.waitForDeployment();
+  const registryAddress = await expertRegistry.getAddress();
+
+  await (await privacyQA.setExpertRegistry(registryAddress)).wait();
+  console.log("ExpertRegistry deployed to:", registryAddress);
+
+  // Deploy the category registry, link it and add the starting categories
+  const CategoryRegistry = await hre.ethers.getContractFactory("CategoryRegistry");
+  const categoryRegistry = await CategoryRegistry.deploy(contractAddress, forwarderAddress);
+
+  await categoryRegistry.waitForDeployment();
+  const categoriesAddress = await categoryRegistry.getAddress();
+
+  await (await privacyQA.setCategoryRegistry(categoriesAddress)).wait();
+  for (const name of DEFAULT_CATEGORIES) {
+    await (await categoryRegistry.addCategory(name, 0)).wait();
+  }
+  console.log("CategoryRegistry deployed to:", categoriesAddress, `(${DEFAULT_CATEGORIES.length} categories)`);
+
+  // Deploy the revision history for edits and deletions and link it to PrivacyQA
+  const ContentRevisions = await hre.ethers.getContractFactory("ContentRevisions");
+  const contentRevisions = await ContentRevisions.deploy(contractAddress, forwarderAddress);
+
+  await contentRevisions.waitForDeployment();
+  const revisionsAddress = await contentRevisions.getAddress();
+
+  await (await privacyQA.setContentRevisions(revisionsAddress)).wait();
+  console.log("ContentRevisions deployed to:", revisionsAddress);
+
+  // Deploy the comment threads and link them to PrivacyQA
+  const CommentThreads = await hre.ethers.getContractFactory("CommentThreads");
+  const commentThreads = await CommentThreads.deploy(contractAddress, forwarderAddress);
+
+  await commentThreads.waitForDeployment();
+  const commentsAddress = await commentThreads.getAddress();
+
+  await (await privacyQA.setCommentThreads(commentsAddress)).wait();
+  console.log("CommentThreads deployed to:", commentsAddress);
+
+  // Deploy the directed questions and link them to PrivacyQA
+  const DirectedQuestions = await hre.ethers.getContractFactory("DirectedQuestions");
+  const directedQuestions = await DirectedQuestions.deploy(contractAddress, forwarderAddress);
+
+  await directedQuestions.waitForDeployment();
+  const directedAddress = await directedQuestions.getAddress();
+
+  await (await privacyQA.setDirectedQuestions(directedAddress)).wait();
+  console.log("DirectedQuestions deployed to:", directedAddress);
+
+  // Deploy the pseudonym registry for anonymous posting and link it to PrivacyQA
+  const PseudonymRegistry = await hre.ethers.getContractFactory("PseudonymRegistry");
+  const pseudonymRegistry = await PseudonymRegistry.deploy(contractAddress, forwarderAddress);
+
+  await pseudonymRegistry.waitForDeployment();
+  const pseudonymsAddress = await pseudonymRegistry.getAddress();
+
+  await (await privacyQA.setPseudonymRegistry(pseudonymsAddress)).wait();
+  console.log("PseudonymRegistry deployed to:", pseudonymsAddress);
+
+  // Local chains get a mock stablecoin so token bounties can be tried out
+  let tokenAddress = null;
+  if (["hardhat", "localhost"].includes(hre.network.name)) {
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+
+    await token.waitForDeployment();
+    tokenAddress = await token.getAddress();
+
+    await (await token.mint(deployer.address, hre.ethers.parseUnits("1000000", 6))).wait();
+    await (await bountyEscrow.setBountyToken(tokenAddress, true)).wait();
+    console.log("MockERC20 (mUSD) deployed and allow-listed at:", tokenAddress);
+  }
+
   // Verify deployment
   const nextQuestionId = await privacyQA.nextQuestionId();
   const nextAnswerId = await privacyQA.nextAnswerId();
@@ -29,6 +147,17 @@ async function main() {
   console.log("Deployment completed successfully!");
   console.log(`
     Contract Address: ${contractAddress}
+    Trusted Forwarder: ${forwarderAddress}
+    Bounty Escrow: ${escrowAddress}
+    Answer Scores: ${scoresAddress}
+    Answer Verification: ${verificationAddress}
+    Expert Registry: ${registryAddress}
+    Category Registry: ${categoriesAddress}
+    Content Revisions: ${revisionsAddress}
+    Comment Threads: ${commentsAddress}
+    Directed Questions: ${directedAddress}
+    Pseudonym Registry: ${pseudonymsAddress}${tokenAddress ? `
+    Mock Token: ${tokenAddress}` : ""}
     Network: ${hre.network.name}
     Deployer: ${deployer.address}
   `);
@@ -0,0 +1,41 @@
+const hre = require("hardhat");
+
+// Fulfils decryption requests on a local fhEVM Hardhat node, which has no decryption
+// oracle of its own. Run it next to the node while using the frontend:
+//
+//   npx hardhat run scripts/oracle.js --network localhost
+//
+// Every new block is checked for pending requests, such as the reputation checks behind
+// answer eligibility and revealed answer scores.
+
+const POLL_INTERVAL_MS = Number(process.env.ORACLE_POLL_MS || 1000);
+
+async function main() {
+  await hre.fhevm.initializeCLIApi();
+
+  let lastBlock = -1;
+  let running = false;
+
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const block = await hre.ethers.provider.getBlockNumber();
+      if (block !== lastBlock) {
+        lastBlock = block;
+        await hre.network.provider.send("fhevm_awaitDecryptionOracle", []);
+      }
+    } catch (error) {
+      console.error("Decryption oracle failed:", error.message);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  console.log(`Decryption oracle watching ${hre.network.name} every ${POLL_INTERVAL_MS}ms`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+const http = require("http");
+const hre = require("hardhat");
+
+// Submits EIP-712 signed requests to the TrustedForwarder and pays their gas, so users
+// without ETH can post, answer and vote. Run it next to a local node:
+//
+//   FORWARDER_ADDRESS=0x... npx hardhat run scripts/relayer.js --network localhost
+//
+// and set GAS_RELAYER_URL in js/app.js to the address it listens on.
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+// Upper bound on the gas a single request may ask for, so one request cannot drain the relayer
+const MAX_REQUEST_GAS = 10_000_000n;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const FORWARDER_ABI = [
+  "function verify((address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data) request, bytes signature) view returns (bool)",
+  "function execute((address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data) request, bytes signature) payable returns (bytes)",
+  "function nonces(address) view returns (uint256)"
+];
+const RECIPIENT_ABI = ["function isTrustedForwarder(address forwarder) view returns (bool)"];
+
+class RelayError extends Error {}
+
+async function main() {
+  const forwarderAddress = process.env.FORWARDER_ADDRESS;
+  if (!forwarderAddress || !hre.ethers.isAddress(forwarderAddress)) {
+    throw new Error("Set FORWARDER_ADDRESS to the TrustedForwarder printed by scripts/deploy.js");
+  }
+
+  const [relayer] = await hre.ethers.getSigners();
+  const forwarder = new hre.ethers.Contract(forwarderAddress, FORWARDER_ABI, relayer);
+  const { chainId } = await relayer.provider.getNetwork();
+
+  // Requests are submitted one at a time so the relayer's own nonces never collide
+  let queue = Promise.resolve();
+  function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function relay({ request, signature }) {
+    if (!request || typeof signature !== "string") {
+      throw new RelayError("Expected a request and its signature");
+    }
+    if (BigInt(request.value) !== 0n) {
+      throw new RelayError("The relayer does not forward ETH; send value-carrying transactions directly");
+    }
+    if (BigInt(request.gas) > MAX_REQUEST_GAS) {
+      throw new RelayError("Request gas is above the relayer's limit");
+    }
+
+    const target = new hre.ethers.Contract(request.to, RECIPIENT_ABI, relayer);
+    const trusted = await target.isTrustedForwarder(forwarderAddress).catch(() => false);
+    if (!trusted) {
+      throw new RelayError("Target contract does not accept relayed requests");
+    }
+    if (!(await forwarder.verify(request, signature))) {
+      throw new RelayError("Invalid signature, nonce or deadline");
+    }
+
+    // Gas estimation runs the call, so a request the target would reject fails here
+    // with the target's error instead of costing the relayer a reverted transaction
+    const tx = await forwarder.execute(request, signature);
+    console.log(`Relayed ${request.from} -> ${request.to} (nonce ${request.nonce}): ${tx.hash}`);
+    return { txHash: tx.hash };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === "GET" && req.url === "/status") {
+      return send(200, { forwarder: forwarderAddress, chainId: Number(chainId), relayer: relayer.address });
+    }
+    if (req.method !== "POST" || req.url !== "/relay") {
+      return send(404, { error: "Not found" });
+    }
+
+    try {
+      const body = await readBody(req);
+      send(200, await enqueue(() => relay(JSON.parse(body))));
+    } catch (error) {
+      const message = error.shortMessage || error.reason || error.message;
+      console.error("Rejected request:", message);
+      send(error instanceof RelayError || error instanceof SyntaxError ? 400 : 500, { error: message });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer ${relayer.address} listening on http://localhost:${PORT}`);
+    console.log("Trusted forwarder:", forwarderAddress);
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RelayError("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
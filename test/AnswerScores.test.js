@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployPlatform, initializeUser, postQuestion, postDirectedQuestion, submitAnswer } = require("./fixtures");
+
+describe("AnswerScores", function () {
+  async function answeredQuestionFixture() {
+    const platform = await deployPlatform();
+    const [author, answerer, voter] = platform.users;
+    for (const user of [author, answerer, voter]) {
+      await initializeUser(platform.privacyQA, user);
+    }
+
+    const questionId = await postQuestion(platform.privacyQA, author);
+    const answerId = await submitAnswer(platform.privacyQA, answerer, questionId);
+    return { ...platform, author, answerer, voter, questionId, answerId };
+  }
+
+  async function vote(answerScores, voter, answerId, score) {
+    const input = await fhevm
+      .createEncryptedInput(await answerScores.getAddress(), voter.address)
+      .add32(score)
+      .encrypt();
+    return answerScores.connect(voter).voteOnAnswer(answerId, input.handles[0], input.inputProof);
+  }
+
+  it("accepts votes on eligible answers to open questions", async function () {
+    const { answerScores, voter, answerId } = await answeredQuestionFixture();
+
+    await expect(vote(answerScores, voter, answerId, 7)).to.emit(answerScores, "AnswerVoted");
+  });
+
+  describe("one vote per user", function () {
+    async function decryptScore(answerScores, answerId, reader) {
+      return fhevm.userDecryptEuint(
+        FhevmType.euint32, await answerScores.getAnswerScore(answerId), await answerScores.getAddress(), reader
+      );
+    }
+
+    it("replaces a voter's earlier score instead of adding to it", async function () {
+      const { answerScores, answerer, voter, answerId } = await answeredQuestionFixture();
+      await (await vote(answerScores, voter, answerId, 3)).wait();
+
+      await expect(vote(answerScores, voter, answerId, 8))
+        .to.emit(answerScores, "AnswerVoted").withArgs(answerId, voter.address, true);
+      expect((await answerScores.answerStats(answerId)).voteCount).to.equal(1n);
+      expect(await decryptScore(answerScores, answerId, answerer)).to.equal(8n);
+    });
+
+    it("adds up the votes of different users, clamped to the maximum score", async function () {
+      const { answerScores, author, answerer, voter, answerId } = await answeredQuestionFixture();
+      await (await vote(answerScores, voter, answerId, 4)).wait();
+      await (await vote(answerScores, author, answerId, 50)).wait();
+
+      expect((await answerScores.answerStats(answerId)).voteCount).to.equal(2n);
+      expect(await decryptScore(answerScores, answerId, answerer)).to.equal(14n);
+    });
+
+    it("rewards a voter once per answer", async function () {
+      const { privacyQA, answerScores, voter, answerId } = await answeredQuestionFixture();
+      await (await vote(answerScores, voter, answerId, 3)).wait();
+      await (await vote(answerScores, voter, answerId, 5)).wait();
+
+      const [reputation] = await privacyQA.userProfiles(voter.address);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint32, reputation, await privacyQA.getAddress(), voter))
+        .to.equal(11n);
+    });
+
+    it("does not let authors vote on their own answers", async function () {
+      const { answerScores, answerer, answerId } = await answeredQuestionFixture();
+
+      await expect(vote(answerScores, answerer, answerId, 10)).to.be.revertedWith("Cannot vote on own answer");
+    });
+  });
+
+  it("rejects votes once the question is closed", async function () {
+    const { privacyQA, answerScores, author, voter, questionId, answerId } = await answeredQuestionFixture();
+    await (await privacyQA.connect(author).closeQuestion(questionId)).wait();
+
+    await expect(vote(answerScores, voter, answerId, 7)).to.be.revertedWith("Voting has closed");
+  });
+
+  it("rejects votes on answers below the reputation threshold", async function () {
+    const { privacyQA, answerScores, author, answerer, voter } = await answeredQuestionFixture();
+    const gatedId = await postQuestion(privacyQA, author, { reputationRequired: 200 });
+    const hiddenId = await submitAnswer(privacyQA, answerer, gatedId);
+
+    await expect(vote(answerScores, voter, hiddenId, 7)).to.be.revertedWith("Answer is not eligible");
+  });
+
+  it("only lets recipients vote on answers to directed questions", async function () {
+    const { privacyQA, directedQuestions, answerScores, author, answerer, voter } = await answeredQuestionFixture();
+    const questionId = await postDirectedQuestion(directedQuestions, author, { recipients: [answerer.address] });
+    const answerId = await submitAnswer(privacyQA, answerer, questionId);
+
+    await expect(vote(answerScores, voter, answerId, 7)).to.be.revertedWith("Not a recipient of this question");
+    await expect(vote(answerScores, author, answerId, 7)).to.emit(answerScores, "AnswerVoted");
+  });
+
+  it("lets only the question author refresh the ranking, once per interval", async function () {
+    const { privacyQA, answerScores, author, voter, questionId } = await answeredQuestionFixture();
+    await submitAnswer(privacyQA, voter, questionId);
+
+    await expect(answerScores.connect(voter).refreshAnswerRanking(questionId))
+      .to.be.revertedWith("Only the author can rank answers");
+    await (await answerScores.connect(author).refreshAnswerRanking(questionId)).wait();
+    await fhevm.awaitDecryptionOracle();
+    expect(await answerScores.rankingUpdatedAt(questionId)).to.not.equal(0n);
+
+    await expect(answerScores.connect(author).refreshAnswerRanking(questionId))
+      .to.be.revertedWith("Ranking was refreshed recently");
+    await time.increase(24 * 60 * 60);
+    await expect(answerScores.connect(author).refreshAnswerRanking(questionId)).to.not.be.reverted;
+  });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployPlatform, initializeUser, postQuestion, submitAnswer } = require("./fixtures");
+
+const TECHNOLOGY = 1;
+
+describe("AnswerVerification", function () {
+  async function verificationFixture() {
+    const platform = await deployPlatform();
+    const { privacyQA, expertRegistry, owner } = platform;
+    const [author, answerer, expert, otherExpert] = platform.users;
+    for (const user of [author, answerer, expert, otherExpert]) {
+      await initializeUser(privacyQA, user);
+    }
+    for (const user of [expert, otherExpert]) {
+      await (await expertRegistry.connect(owner).promoteToExpert(user.address, [TECHNOLOGY])).wait();
+    }
+
+    const questionId = await postQuestion(privacyQA, author);
+    const answerId = await submitAnswer(privacyQA, answerer, questionId);
+    return { ...platform, author, answerer, expert, otherExpert, answerId };
+  }
+
+  async function verifyByBoth({ answerVerification, expert, otherExpert, answerId }) {
+    for (const verifier of [expert, otherExpert]) {
+      await (await answerVerification.connect(verifier).verifyAnswer(answerId, "")).wait();
+    }
+  }
+
+  async function decryptReputation(privacyQA, user) {
+    const [reputation] = await privacyQA.userProfiles(user.address);
+    return fhevm.userDecryptEuint(FhevmType.euint32, reputation, await privacyQA.getAddress(), user);
+  }
+
+  describe("quorum", function () {
+    it("marks the answer verified once the quorum is met and rewards its author", async function () {
+      const { privacyQA, answerVerification, answerer, expert, otherExpert, answerId } = await verificationFixture();
+      await (await answerVerification.connect(expert).verifyAnswer(answerId, "checked the source")).wait();
+      expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(false);
+
+      await (await answerVerification.connect(otherExpert).verifyAnswer(answerId, "")).wait();
+      expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(true);
+      expect(await decryptReputation(privacyQA, answerer)).to.equal(20n);
+
+      const verifications = await answerVerification.getVerifications(answerId);
+      expect(verifications.map((verification) => verification.verifier)).to.deep.equal([expert.address, otherExpert.address]);
+      expect(verifications[0].rationale).to.equal("checked the source");
+    });
+
+    it("drops below the quorum on retraction without rewarding the author twice", async function () {
+      const platform = await verificationFixture();
+      const { privacyQA, answerVerification, answerer, expert, answerId } = platform;
+      await verifyByBoth(platform);
+
+      await (await answerVerification.connect(expert).retractVerification(answerId)).wait();
+      expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(false);
+      await expect(answerVerification.connect(expert).retractVerification(answerId))
+        .to.be.revertedWith("Not verified by you");
+
+      await (await answerVerification.connect(expert).verifyAnswer(answerId, "")).wait();
+      expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(true);
+      expect(await decryptReputation(privacyQA, answerer)).to.equal(20n);
+    });
+
+    it("applies a changed quorum when the answer's status is updated", async function () {
+      const platform = await verificationFixture();
+      const { privacyQA, answerVerification, owner, author, answerId } = platform;
+      await verifyByBoth(platform);
+
+      await expect(answerVerification.connect(author).setVerificationQuorum(3)).to.be.revertedWith("Not authorized");
+      await expect(answerVerification.connect(owner).setVerificationQuorum(0)).to.be.revertedWith("Quorum must be positive");
+      await (await answerVerification.connect(owner).setVerificationQuorum(3)).wait();
+      await (await answerVerification.updateVerificationStatus(answerId)).wait();
+
+      expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(false);
+    });
+
+    it("only takes one verification per expert, and none from others", async function () {
+      const { answerVerification, author, answerer, expert, answerId } = await verificationFixture();
+      await (await answerVerification.connect(expert).verifyAnswer(answerId, "")).wait();
+
+      await expect(answerVerification.connect(expert).verifyAnswer(answerId, ""))
+        .to.be.revertedWith("Already verified");
+      await expect(answerVerification.connect(author).verifyAnswer(answerId, ""))
+        .to.be.revertedWith("Not an expert for this question");
+      await expect(answerVerification.connect(answerer).verifyAnswer(answerId, ""))
+        .to.be.revertedWith("Not an expert for this question");
+    });
+
+    it("does not let experts verify their own answers", async function () {
+      const { privacyQA, answerVerification, author, expert } = await verificationFixture();
+      const questionId = await postQuestion(privacyQA, author);
+      const answerId = await submitAnswer(privacyQA, expert, questionId);
+
+      expect(await answerVerification.canVerify(answerId, expert.address)).to.equal(false);
+    });
+  });
+
+  it("stops counting a verification once its expert is demoted", async function () {
+    const platform = await verificationFixture();
+    const { privacyQA, answerVerification, expertRegistry, owner, expert, answerId } = platform;
+    await verifyByBoth(platform);
+    expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(true);
+
+    await (await expertRegistry.connect(owner).demoteExpert(expert.address)).wait();
+    expect(await answerVerification.countVerifications(answerId)).to.equal(1n);
+
+    await (await answerVerification.updateVerificationStatus(answerId)).wait();
+    expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(false);
+    expect((await answerVerification.getVerifications(answerId)).length).to.equal(2);
+  });
+
+  it("stops counting verifications by experts whose term expired", async function () {
+    const platform = await verificationFixture();
+    const { privacyQA, answerVerification, expertRegistry, answerId } = platform;
+    await verifyByBoth(platform);
+
+    await time.increase((await expertRegistry.expertTerm()) + 1n);
+    await (await answerVerification.updateVerificationStatus(answerId)).wait();
+
+    expect(await answerVerification.countVerifications(answerId)).to.equal(0n);
+    expect((await privacyQA.getAnswerInfo(answerId)).isVerified).to.equal(false);
+  });
+});
\ No newline at end of file
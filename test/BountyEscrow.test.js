@@ -0,0 +1,295 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployPlatform, initializeUser, postQuestion, submitAnswer } = require("./fixtures");
+
+const WEEK = 7 * 24 * 60 * 60;
+
+describe("BountyEscrow", function () {
+  async function bountyFixture() {
+    const platform = await deployPlatform();
+    const [asker, funder, answerer, otherAnswerer] = platform.users;
+    for (const user of [asker, funder, answerer, otherAnswerer]) {
+      await initializeUser(platform.privacyQA, user);
+    }
+
+    const escrowAddress = await platform.bountyEscrow.getAddress();
+    for (const user of [asker, funder]) {
+      await (await platform.token.mint(user.address, 1_000_000n)).wait();
+      await (await platform.token.connect(user).approve(escrowAddress, 1_000_000n)).wait();
+    }
+    return { ...platform, asker, funder, answerer, otherAnswerer };
+  }
+
+  describe("refunds and expiry", function () {
+    const amount = ethers.parseEther("1");
+
+    async function ethBountyFixture() {
+      const platform = await bountyFixture();
+      const questionId = await postQuestion(platform.privacyQA, platform.asker, { duration: WEEK, value: amount });
+      return { ...platform, questionId };
+    }
+
+    it("holds the bounty in escrow until it is paid out or refunded", async function () {
+      const { bountyEscrow, asker, questionId } = await ethBountyFixture();
+
+      expect(await ethers.provider.getBalance(await bountyEscrow.getAddress())).to.equal(amount);
+      const info = await bountyEscrow.getBountyInfo(questionId);
+      expect(info.bounty).to.equal(amount);
+      expect(info.refundable).to.equal(false);
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.be.revertedWith("Bounty is still open");
+    });
+
+    it("rejects bounty windows outside the allowed range", async function () {
+      const { privacyQA, asker } = await bountyFixture();
+
+      await expect(postQuestion(privacyQA, asker, { duration: 60, value: amount }))
+        .to.be.revertedWith("Invalid bounty duration");
+      await expect(postQuestion(privacyQA, asker, { duration: 91 * 24 * 60 * 60, value: amount }))
+        .to.be.revertedWith("Invalid bounty duration");
+    });
+
+    it("refunds the asker once the question closes", async function () {
+      const { privacyQA, bountyEscrow, asker, questionId } = await ethBountyFixture();
+      await (await privacyQA.connect(asker).closeQuestion(questionId)).wait();
+
+      expect((await bountyEscrow.getBountyInfo(questionId)).refundable).to.equal(true);
+      const refund = await bountyEscrow.connect(asker).reclaimBounty(questionId);
+      await expect(refund).to.emit(bountyEscrow, "BountyRefunded").withArgs(questionId, asker.address, amount);
+      await expect(refund).to.changeEtherBalance(asker, amount);
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.be.revertedWith("No bounty to reclaim");
+    });
+
+    it("refunds an open question's bounty once the deadline passes", async function () {
+      const { bountyEscrow, asker, questionId } = await ethBountyFixture();
+      await time.increase(WEEK + 1);
+
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.changeEtherBalance(asker, amount);
+      expect((await bountyEscrow.getBountyInfo(questionId)).bounty).to.equal(0n);
+    });
+
+    it("pays nothing for a best answer selected after the deadline", async function () {
+      const { privacyQA, bountyEscrow, asker, answerer, questionId } = await ethBountyFixture();
+      const answerId = await submitAnswer(privacyQA, answerer, questionId);
+      await time.increase(WEEK + 1);
+
+      await expect(privacyQA.connect(asker).selectBestAnswer(questionId, answerId))
+        .to.not.emit(privacyQA, "BountyPaid");
+      expect(await bountyEscrow.claimableBounties(answerer.address, ethers.ZeroAddress)).to.equal(0n);
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.changeEtherBalance(asker, amount);
+    });
+
+    it("lets the winner pull the bounty once", async function () {
+      const { privacyQA, bountyEscrow, asker, answerer, questionId } = await ethBountyFixture();
+      const answerId = await submitAnswer(privacyQA, answerer, questionId);
+      await (await privacyQA.connect(asker).selectBestAnswer(questionId, answerId)).wait();
+
+      const claim = await bountyEscrow.connect(answerer).claimBounty(ethers.ZeroAddress);
+      await expect(claim).to.emit(bountyEscrow, "BountyClaimed").withArgs(answerer.address, amount, ethers.ZeroAddress);
+      await expect(claim).to.changeEtherBalance(answerer, amount);
+      await expect(bountyEscrow.connect(answerer).claimBounty(ethers.ZeroAddress))
+        .to.be.revertedWith("No bounty to claim");
+    });
+  });
+
+  describe("top-ups", function () {
+    const amount = ethers.parseEther("1");
+
+    async function toppedUpFixture() {
+      const platform = await bountyFixture();
+      const { privacyQA, bountyEscrow, asker, funder } = platform;
+      const questionId = await postQuestion(privacyQA, asker, { duration: WEEK, value: amount });
+      await (await bountyEscrow.connect(funder).increaseBounty(questionId, ethers.ZeroAddress, 0, 0, { value: 2n * amount })).wait();
+      return { ...platform, questionId };
+    }
+
+    it("lets only the asker open a bounty and anyone top it up", async function () {
+      const { privacyQA, bountyEscrow, asker, funder } = await bountyFixture();
+      const questionId = await postQuestion(privacyQA, asker);
+
+      await expect(bountyEscrow.connect(funder).increaseBounty(questionId, ethers.ZeroAddress, 0, WEEK, { value: amount }))
+        .to.be.revertedWith("Only the author can open a bounty");
+
+      await (await bountyEscrow.connect(asker).increaseBounty(questionId, ethers.ZeroAddress, 0, WEEK, { value: amount })).wait();
+      await (await bountyEscrow.connect(funder).increaseBounty(questionId, ethers.ZeroAddress, 0, 0, { value: amount })).wait();
+
+      expect((await bountyEscrow.getBountyInfo(questionId)).bounty).to.equal(2n * amount);
+      expect(await bountyEscrow.bountyContributions(questionId, funder.address)).to.equal(amount);
+    });
+
+    it("tracks each funder's contribution", async function () {
+      const { bountyEscrow, asker, funder, questionId } = await toppedUpFixture();
+      await (await bountyEscrow.connect(funder).increaseBounty(questionId, ethers.ZeroAddress, 0, 0, { value: amount })).wait();
+
+      const { funders, amounts } = await bountyEscrow.getBountyFunders(questionId);
+      expect(funders).to.deep.equal([asker.address, funder.address]);
+      expect(amounts).to.deep.equal([amount, 3n * amount]);
+      expect((await bountyEscrow.getBountyInfo(questionId)).funderCount).to.equal(2n);
+    });
+
+    it("refunds each funder their own contribution", async function () {
+      const { privacyQA, bountyEscrow, asker, funder, questionId } = await toppedUpFixture();
+      await (await privacyQA.connect(asker).closeQuestion(questionId)).wait();
+
+      await expect(bountyEscrow.connect(funder).reclaimBounty(questionId)).to.changeEtherBalance(funder, 2n * amount);
+      expect((await bountyEscrow.getBountyInfo(questionId)).bounty).to.equal(amount);
+      await expect(bountyEscrow.connect(funder).reclaimBounty(questionId)).to.be.revertedWith("No bounty to reclaim");
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.changeEtherBalance(asker, amount);
+    });
+
+    it("rejects top-ups in another currency, after the deadline or on closed questions", async function () {
+      const { privacyQA, bountyEscrow, token, asker, funder, questionId } = await toppedUpFixture();
+
+      await expect(bountyEscrow.connect(funder).increaseBounty(questionId, await token.getAddress(), 1000n, 0))
+        .to.be.revertedWith("Bounty is in a different currency");
+
+      await time.increase(WEEK + 1);
+      await expect(bountyEscrow.connect(funder).increaseBounty(questionId, ethers.ZeroAddress, 0, 0, { value: amount }))
+        .to.be.revertedWith("Bounty has expired");
+
+      await (await privacyQA.connect(asker).closeQuestion(questionId)).wait();
+      await expect(bountyEscrow.connect(funder).increaseBounty(questionId, ethers.ZeroAddress, 0, 0, { value: amount }))
+        .to.be.revertedWith("Question is closed");
+    });
+  });
+
+  describe("token bounties", function () {
+    it("only accepts allow-listed tokens, without ETH", async function () {
+      const { privacyQA, bountyEscrow, token, asker } = await bountyFixture();
+      const unlisted = await ethers.deployContract("MockERC20", ["Other", "OTH", 18]);
+      const tokenAddress = await token.getAddress();
+
+      await expect(postQuestion(privacyQA, asker, { duration: WEEK, token: await unlisted.getAddress(), tokenAmount: 1000n }))
+        .to.be.revertedWith("Token not allowed for bounties");
+      await expect(postQuestion(privacyQA, asker, { duration: WEEK, token: tokenAddress, tokenAmount: 1000n, value: 1n }))
+        .to.be.revertedWith("ETH sent with token bounty");
+      await expect(bountyEscrow.connect(asker).setBountyToken(await unlisted.getAddress(), true))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("refunds a token bounty in its token after the deadline", async function () {
+      const { privacyQA, bountyEscrow, token, asker } = await bountyFixture();
+      const tokenAddress = await token.getAddress();
+      const questionId = await postQuestion(privacyQA, asker, { duration: WEEK, token: tokenAddress, tokenAmount: 1000n });
+      await time.increase(WEEK + 1);
+
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.changeTokenBalance(token, asker, 1000n);
+    });
+
+    it("keeps refunding bounties in a token that was since delisted", async function () {
+      const { privacyQA, bountyEscrow, token, asker } = await bountyFixture();
+      const tokenAddress = await token.getAddress();
+      const questionId = await postQuestion(privacyQA, asker, { duration: WEEK, token: tokenAddress, tokenAmount: 1000n });
+      await (await bountyEscrow.setBountyToken(tokenAddress, false)).wait();
+
+      const { tokens, allowed } = await bountyEscrow.getBountyTokens();
+      expect(tokens).to.deep.equal([tokenAddress]);
+      expect(allowed).to.deep.equal([false]);
+      await expect(postQuestion(privacyQA, asker, { duration: WEEK, token: tokenAddress, tokenAmount: 1000n }))
+        .to.be.revertedWith("Token not allowed for bounties");
+
+      await (await privacyQA.connect(asker).closeQuestion(questionId)).wait();
+      await expect(bountyEscrow.connect(asker).reclaimBounty(questionId)).to.changeTokenBalance(token, asker, 1000n);
+    });
+
+    it("records what a fee-on-transfer token actually delivers", async function () {
+      const { privacyQA, bountyEscrow, asker, answerer } = await bountyFixture();
+      const feeToken = await ethers.deployContract("FeeOnTransferERC20", [10]);
+      const feeTokenAddress = await feeToken.getAddress();
+      await (await bountyEscrow.setBountyToken(feeTokenAddress, true)).wait();
+      await (await feeToken.mint(asker.address, 1000n)).wait();
+      await (await feeToken.connect(asker).approve(await bountyEscrow.getAddress(), 1000n)).wait();
+
+      const questionId = await postQuestion(privacyQA, asker, { duration: WEEK, token: feeTokenAddress, tokenAmount: 1000n });
+      expect((await bountyEscrow.getBountyInfo(questionId)).bounty).to.equal(900n);
+      expect(await bountyEscrow.bountyContributions(questionId, asker.address)).to.equal(900n);
+
+      // The escrow holds exactly what it owes, so the payout can be claimed in full
+      const answerId = await submitAnswer(privacyQA, answerer, questionId);
+      await (await privacyQA.connect(asker).selectBestAnswer(questionId, answerId)).wait();
+      await (await bountyEscrow.connect(answerer).claimBounty(feeTokenAddress)).wait();
+      expect(await feeToken.balanceOf(answerer.address)).to.equal(810n);
+    });
+  });
+
+  // Each case pays out a bounty, then has another funder try to top it up and the asker
+  // try to reclaim their paid out contribution
+  const cases = [
+    {
+      name: "an ETH bounty awarded to the best answer",
+      amount: ethers.parseEther("1"),
+      token: () => ethers.ZeroAddress,
+      shares: [100]
+    },
+    {
+      name: "an ETH bounty split between answers",
+      amount: ethers.parseEther("1"),
+      token: () => ethers.ZeroAddress,
+      shares: [60, 40]
+    },
+    {
+      name: "a token bounty",
+      amount: 500_000n,
+      token: (platform) => platform.token.getAddress(),
+      shares: [100]
+    }
+  ];
+
+  for (const { name, amount, token, shares } of cases) {
+    describe(name, function () {
+      async function paidOutFixture() {
+        const platform = await bountyFixture();
+        const { privacyQA, asker, answerer, otherAnswerer } = platform;
+        const tokenAddress = await token(platform);
+        const isEth = tokenAddress === ethers.ZeroAddress;
+
+        const questionId = await postQuestion(privacyQA, asker, {
+          duration: WEEK,
+          token: tokenAddress,
+          tokenAmount: isEth ? 0 : amount,
+          value: isEth ? amount : 0
+        });
+        const answerIds = [];
+        for (const author of [answerer, otherAnswerer].slice(0, shares.length)) {
+          answerIds.push(await submitAnswer(privacyQA, author, questionId));
+        }
+
+        if (shares.length === 1) {
+          await (await privacyQA.connect(asker).selectBestAnswer(questionId, answerIds[0])).wait();
+        } else {
+          await (await privacyQA.connect(asker).splitBounty(questionId, answerIds, shares)).wait();
+        }
+        return { ...platform, questionId, tokenAddress, isEth };
+      }
+
+      it("credits the whole bounty to the answerers", async function () {
+        const { bountyEscrow, answerer, otherAnswerer, questionId, tokenAddress } = await paidOutFixture();
+        const recipients = [answerer, otherAnswerer].slice(0, shares.length);
+
+        let credited = 0n;
+        for (const recipient of recipients) {
+          credited += await bountyEscrow.claimableBounties(recipient.address, tokenAddress);
+        }
+        expect(credited).to.equal(amount);
+        expect((await bountyEscrow.getBountyInfo(questionId)).bounty).to.equal(0n);
+      });
+
+      it("rejects top-ups after the payout", async function () {
+        const { bountyEscrow, funder, questionId, tokenAddress, isEth } = await paidOutFixture();
+
+        await expect(bountyEscrow.connect(funder).increaseBounty(
+          questionId, tokenAddress, isEth ? 0 : amount, 0, { value: isEth ? amount : 0 }
+        )).to.be.revertedWith("Bounty already paid out");
+      });
+
+      it("does not refund the paid out contribution once the question closes", async function () {
+        const { privacyQA, bountyEscrow, asker, questionId } = await paidOutFixture();
+        await (await privacyQA.connect(asker).closeQuestion(questionId)).wait();
+
+        expect((await bountyEscrow.getBountyInfo(questionId)).refundable).to.equal(false);
+        await expect(bountyEscrow.connect(asker).reclaimBounty(questionId))
+          .to.be.revertedWith("No bounty to reclaim");
+      });
+    });
+  }
+});
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { deployPlatform, initializeUser, postQuestion } = require("./fixtures");
+
+// The fixture adds Technology as category 1
+const TECHNOLOGY = 1;
+
+describe("CategoryRegistry", function () {
+  async function categoryFixture() {
+    const platform = await deployPlatform();
+    const [author] = platform.users;
+    await initializeUser(platform.privacyQA, author);
+    return { ...platform, author };
+  }
+
+  it("treats names that differ only in case as the same category", async function () {
+    const { categoryRegistry } = await categoryFixture();
+
+    await expect(categoryRegistry.addCategory("technology", 0)).to.be.revertedWith("Category already exists");
+    await expect(categoryRegistry.addCategory("TECHNOLOGY", 0)).to.be.revertedWith("Category already exists");
+    expect(await categoryRegistry.getCategoryId("tEcHnOlOgY")).to.equal(BigInt(TECHNOLOGY));
+    expect(await categoryRegistry.getCategoryName(TECHNOLOGY)).to.equal("Technology");
+  });
+
+  it("frees the old name on rename and lets a category change its own casing", async function () {
+    const { categoryRegistry } = await categoryFixture();
+    await (await categoryRegistry.renameCategory(TECHNOLOGY, "TECHNOLOGY")).wait();
+    expect(await categoryRegistry.getCategoryName(TECHNOLOGY)).to.equal("TECHNOLOGY");
+
+    await (await categoryRegistry.renameCategory(TECHNOLOGY, "Tech")).wait();
+    expect(await categoryRegistry.getCategoryId("technology")).to.equal(0n);
+    await expect(categoryRegistry.addCategory("Technology", 0)).to.emit(categoryRegistry, "CategoryAdded");
+  });
+
+  it("rejects empty names and unknown parents", async function () {
+    const { categoryRegistry } = await categoryFixture();
+
+    await expect(categoryRegistry.addCategory("", 0)).to.be.revertedWith("Category name cannot be empty");
+    await expect(categoryRegistry.addCategory("Orphan", 99)).to.be.revertedWith("Invalid parent category");
+  });
+
+  it("keeps new questions out of archived categories", async function () {
+    const { privacyQA, categoryRegistry, author } = await categoryFixture();
+    await (await categoryRegistry.setCategoryArchived(TECHNOLOGY, true)).wait();
+
+    await expect(postQuestion(privacyQA, author)).to.be.revertedWith("Invalid category");
+    await expect(categoryRegistry.addCategory("AI", TECHNOLOGY)).to.be.revertedWith("Invalid parent category");
+
+    const { names, archived } = await categoryRegistry.getCategories();
+    expect(names).to.deep.equal(["Technology"]);
+    expect(archived).to.deep.equal([true]);
+  });
+
+  it("lets only admins manage categories", async function () {
+    const { categoryRegistry, author } = await categoryFixture();
+
+    await expect(categoryRegistry.connect(author).addCategory("Science", 0)).to.be.revertedWith("Not authorized");
+    await expect(categoryRegistry.connect(author).renameCategory(TECHNOLOGY, "Tech")).to.be.revertedWith("Not authorized");
+    await expect(categoryRegistry.connect(author).setCategoryArchived(TECHNOLOGY, true)).to.be.revertedWith("Not authorized");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { deployPlatform, initializeUser, postQuestion, postDirectedQuestion, submitAnswer } = require("./fixtures");
+
+describe("CommentThreads", function () {
+  async function commentsFixture() {
+    const platform = await deployPlatform();
+    const [author, answerer, commenter] = platform.users;
+    for (const user of [author, answerer, commenter]) {
+      await initializeUser(platform.privacyQA, user);
+    }
+
+    const questionId = await postQuestion(platform.privacyQA, author);
+    const answerId = await submitAnswer(platform.privacyQA, answerer, questionId);
+    return { ...platform, author, answerer, commenter, questionId, answerId };
+  }
+
+  // Posts a chain of replies, each to the one before; returns their ids
+  async function postReplies(commentThreads, commenter, questionId, answerId, count) {
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const parentId = i > 0 ? ids[i - 1] : 0;
+      ids.push(await commentThreads.nextCommentId());
+      await (await commentThreads.connect(commenter).postComment(questionId, answerId, parentId, "comment")).wait();
+    }
+    return ids;
+  }
+
+  it("nests replies up to the maximum depth", async function () {
+    const { commentThreads, commenter, questionId } = await commentsFixture();
+    const maxDepth = await commentThreads.MAX_DEPTH();
+    const ids = await postReplies(commentThreads, commenter, questionId, 0, Number(maxDepth) + 1);
+
+    const deepest = await commentThreads.getComment(ids[ids.length - 1]);
+    expect(deepest.depth).to.equal(maxDepth);
+    expect(deepest.parentId).to.equal(ids[ids.length - 2]);
+    await expect(commentThreads.connect(commenter).postComment(questionId, 0, deepest.id, "comment"))
+      .to.be.revertedWith("Thread is too deep");
+  });
+
+  it("keeps replies in the thread of their parent", async function () {
+    const { commentThreads, commenter, questionId, answerId } = await commentsFixture();
+    const [questionCommentId] = await postReplies(commentThreads, commenter, questionId, 0, 1);
+
+    await expect(commentThreads.connect(commenter).postComment(questionId, answerId, questionCommentId, "comment"))
+      .to.be.revertedWith("Invalid parent comment");
+    await expect(commentThreads.connect(commenter).postComment(questionId, 0, 99, "comment"))
+      .to.be.revertedWith("Invalid parent comment");
+  });
+
+  it("lists the threads of a question and its answers together", async function () {
+    const { commentThreads, commenter, questionId, answerId } = await commentsFixture();
+    await postReplies(commentThreads, commenter, questionId, 0, 2);
+    await postReplies(commentThreads, commenter, questionId, answerId, 1);
+
+    const comments = await commentThreads.getQuestionComments(questionId);
+    expect(comments.map((comment) => comment.answerId)).to.deep.equal([0n, 0n, answerId]);
+  });
+
+  it("rejects comments on closed questions and answers to other questions", async function () {
+    const { privacyQA, commentThreads, author, commenter, questionId, answerId } = await commentsFixture();
+    const otherQuestionId = await postQuestion(privacyQA, author);
+
+    await expect(commentThreads.connect(commenter).postComment(otherQuestionId, answerId, 0, "comment"))
+      .to.be.revertedWith("Answer is not on this question");
+
+    await (await privacyQA.connect(author).closeQuestion(questionId)).wait();
+    await expect(commentThreads.connect(commenter).postComment(questionId, 0, 0, "comment"))
+      .to.be.revertedWith("Question is not active");
+  });
+
+  it("only takes comments on directed questions from their recipients", async function () {
+    const { directedQuestions, commentThreads, author, answerer, commenter } = await commentsFixture();
+    const questionId = await postDirectedQuestion(directedQuestions, author, { recipients: [answerer.address] });
+
+    await expect(commentThreads.connect(commenter).postComment(questionId, 0, 0, "comment"))
+      .to.be.revertedWith("Not a recipient of this question");
+    await expect(commentThreads.connect(answerer).postComment(questionId, 0, 0, "comment"))
+      .to.emit(commentThreads, "CommentPosted");
+  });
+});
\ No newline at end of file
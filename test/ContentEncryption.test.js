@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { loadApp } = require("./appContext");
+
+describe("content encryption", function () {
+  let app;
+
+  beforeEach(function () {
+    app = loadApp().context;
+  });
+
+  it("round-trips text through an envelope", async function () {
+    const keyId = await app.createContentKey();
+    const sealed = await app.encryptContent("What is FHE?", keyId);
+
+    expect(sealed.startsWith("pqa:")).to.equal(true);
+    expect(sealed).to.not.include("What is FHE?");
+    const opened = await app.decryptContent(sealed);
+    expect(opened.text).to.equal("What is FHE?");
+    expect(opened.keyId).to.equal(keyId);
+    expect(opened.locked).to.equal(false);
+  });
+
+  it("uses a fresh IV for every envelope", async function () {
+    const keyId = await app.createContentKey();
+    const first = app.parseContentEnvelope(await app.encryptContent("same text", keyId));
+    const second = app.parseContentEnvelope(await app.encryptContent("same text", keyId));
+
+    expect(first.iv).to.not.equal(second.iv);
+    expect(first.ct).to.not.equal(second.ct);
+  });
+
+  it("returns envelopes it holds no key for as locked", async function () {
+    const writer = loadApp().context;
+    const keyId = await writer.createContentKey();
+    const sealed = await writer.encryptContent("secret", keyId);
+
+    const opened = await app.decryptContent(sealed);
+    expect(opened.locked).to.equal(true);
+    expect(opened.text).to.equal(null);
+    expect(opened.keyId).to.equal(keyId);
+  });
+
+  it("reads a key shared as <keyId>.<key> from another browser", async function () {
+    const writer = loadApp().context;
+    const keyId = await writer.createContentKey();
+    const sealed = await writer.encryptContent("shared", keyId);
+
+    const [sharedId, rawKey] = writer.exportContentKey(keyId).split(".");
+    app.saveContentKey(sharedId, rawKey);
+    expect((await app.decryptContent(sealed)).text).to.equal("shared");
+  });
+
+  it("locks tampered ciphertext instead of returning garbage", async function () {
+    const keyId = await app.createContentKey();
+    const envelope = app.parseContentEnvelope(await app.encryptContent("original", keyId));
+    const bytes = app.base64ToBytes(envelope.ct);
+    bytes[0] ^= 1;
+    const tampered = "pqa:" + JSON.stringify({ ...envelope, ct: app.bytesToBase64(bytes) });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      expect((await app.decryptContent(tampered)).locked).to.equal(true);
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it("passes content posted before encryption through unchanged", async function () {
+    const opened = await app.decryptContent("plain question");
+
+    expect(opened.text).to.equal("plain question");
+    expect(opened.locked).to.equal(false);
+  });
+
+  it("treats envelopes with another version, algorithm or an unsafe key id as foreign content", function () {
+    const envelope = { v: 1, alg: "AES-GCM", kid: "abc_DEF-123", iv: "", ct: "" };
+    const wrap = (fields) => "pqa:" + JSON.stringify({ ...envelope, ...fields });
+
+    expect(app.parseContentEnvelope(wrap({}))).to.not.equal(null);
+    expect(app.parseContentEnvelope(wrap({ v: 2 }))).to.equal(null);
+    expect(app.parseContentEnvelope(wrap({ alg: "AES-CBC" }))).to.equal(null);
+    expect(app.parseContentEnvelope(wrap({ kid: "\"><img src=x onerror=alert(1)>" }))).to.equal(null);
+    expect(app.parseContentEnvelope("pqa:{not json")).to.equal(null);
+  });
+
+  it("escapes decrypted text before it is rendered", function () {
+    expect(app.renderContent({ text: "<script>alert(1)</script>", locked: false }))
+      .to.equal("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(app.renderContent({ text: "abcdef", locked: false }, 3)).to.equal("abc...");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { deployPlatform, initializeUser, postQuestion, submitAnswer } = require("./fixtures");
+
+describe("ContentRevisions", function () {
+  async function revisionsFixture() {
+    const platform = await deployPlatform();
+    const [author, answerer, expert] = platform.users;
+    for (const user of [author, answerer, expert]) {
+      await initializeUser(platform.privacyQA, user);
+    }
+
+    const questionId = await postQuestion(platform.privacyQA, author);
+    const answerId = await submitAnswer(platform.privacyQA, answerer, questionId);
+    return { ...platform, author, answerer, expert, questionId, answerId };
+  }
+
+  it("keeps the original post as the first revision", async function () {
+    const { privacyQA, contentRevisions, author, questionId } = await revisionsFixture();
+    await (await contentRevisions.connect(author).editQuestion(questionId, "first edit")).wait();
+    await expect(contentRevisions.connect(author).editQuestion(questionId, "second edit"))
+      .to.emit(contentRevisions, "QuestionEdited").withArgs(questionId, 2n);
+
+    const revisions = await contentRevisions.getQuestionRevisions(questionId);
+    expect(revisions.map((revision) => revision.encryptedContent)).to.deep.equal(["question", "first edit", "second edit"]);
+    expect((await privacyQA.getQuestionInfo(questionId)).encryptedContent).to.equal("second edit");
+  });
+
+  it("only lets authors change their posts", async function () {
+    const { contentRevisions, author, answerer, questionId, answerId } = await revisionsFixture();
+
+    await expect(contentRevisions.connect(answerer).editQuestion(questionId, "edit"))
+      .to.be.revertedWith("Only the author can edit");
+    await expect(contentRevisions.connect(answerer).deleteQuestion(questionId))
+      .to.be.revertedWith("Only the author can delete");
+    await expect(contentRevisions.connect(author).editAnswer(answerId, "edit"))
+      .to.be.revertedWith("Only the author can change an answer");
+  });
+
+  it("locks questions once they are closed", async function () {
+    const { privacyQA, contentRevisions, author, questionId } = await revisionsFixture();
+    await (await privacyQA.connect(author).closeQuestion(questionId)).wait();
+
+    await expect(contentRevisions.connect(author).editQuestion(questionId, "edit"))
+      .to.be.revertedWith("Question is closed");
+  });
+
+  it("locks the best answer", async function () {
+    const { privacyQA, contentRevisions, author, answerer, questionId, answerId } = await revisionsFixture();
+    await (await privacyQA.connect(author).selectBestAnswer(questionId, answerId)).wait();
+
+    await expect(contentRevisions.connect(answerer).editAnswer(answerId, "edit")).to.be.revertedWith("Answer is locked");
+    await expect(contentRevisions.connect(answerer).deleteAnswer(answerId)).to.be.revertedWith("Answer is locked");
+  });
+
+  it("locks verified answers", async function () {
+    const { answerVerification, expertRegistry, contentRevisions, owner, answerer, expert, answerId } = await revisionsFixture();
+    await (await expertRegistry.connect(owner).promoteToExpert(expert.address, [1])).wait();
+    await (await answerVerification.connect(owner).setVerificationQuorum(1)).wait();
+    await (await answerVerification.connect(expert).verifyAnswer(answerId, "")).wait();
+
+    await expect(contentRevisions.connect(answerer).editAnswer(answerId, "edit")).to.be.revertedWith("Answer is locked");
+  });
+
+  it("hides a deleted answer and keeps it from being changed again", async function () {
+    const { privacyQA, contentRevisions, answerer, questionId, answerId } = await revisionsFixture();
+    await (await contentRevisions.connect(answerer).deleteAnswer(answerId)).wait();
+
+    expect((await privacyQA.getQuestionInfo(questionId)).answerCount).to.equal(0n);
+    expect((await privacyQA.getAnswerEligibility(answerId)).isEligible).to.equal(false);
+    await expect(contentRevisions.connect(answerer).editAnswer(answerId, "edit")).to.be.revertedWith("Answer was deleted");
+    await expect(contentRevisions.connect(answerer).deleteAnswer(answerId)).to.be.revertedWith("Answer was deleted");
+  });
+
+  it("closes and clears a deleted question", async function () {
+    const { privacyQA, contentRevisions, author, questionId } = await revisionsFixture();
+    await (await contentRevisions.connect(author).deleteQuestion(questionId)).wait();
+
+    const info = await privacyQA.getQuestionInfo(questionId);
+    expect(info.isActive).to.equal(false);
+    expect(info.encryptedContent).to.equal("");
+    await expect(contentRevisions.connect(author).deleteQuestion(questionId)).to.be.revertedWith("Already deleted");
+  });
+});
\ No newline at end of file
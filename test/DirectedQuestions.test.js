@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { deployPlatform, initializeUser, postDirectedQuestion } = require("./fixtures");
+
+// The fixture's Technology category is 1; the tests add Technology / AI as 2
+const TECHNOLOGY = 1;
+const AI = 2;
+
+describe("DirectedQuestions", function () {
+  async function directedFixture() {
+    const platform = await deployPlatform();
+    const [author, recipient, outsider] = platform.users;
+    for (const user of [author, recipient, outsider]) {
+      await initializeUser(platform.privacyQA, user);
+    }
+    return { ...platform, author, recipient, outsider };
+  }
+
+  it("posts and directs a question in one transaction", async function () {
+    const { privacyQA, directedQuestions, bountyEscrow, author, recipient, outsider } = await directedFixture();
+    const questionId = await postDirectedQuestion(directedQuestions, author, {
+      recipients: [recipient.address],
+      contentKey: 42n,
+      duration: 7 * 24 * 60 * 60,
+      value: ethers.parseEther("1")
+    });
+
+    const info = await privacyQA.getQuestionInfo(questionId);
+    expect(info.author).to.equal(author.address);
+    expect(await directedQuestions.isDirected(questionId)).to.equal(true);
+    expect(await directedQuestions.canAccess(questionId, recipient.address)).to.equal(true);
+    expect(await directedQuestions.canAccess(questionId, outsider.address)).to.equal(false);
+    expect((await bountyEscrow.getBountyFunders(questionId)).funders).to.deep.equal([author.address]);
+
+    const { contentKey } = await directedQuestions.getDirection(questionId);
+    const key = await fhevm.userDecryptEuint(
+      FhevmType.euint256, contentKey, await directedQuestions.getAddress(), recipient
+    );
+    expect(key).to.equal(42n);
+  });
+
+  it("takes thread access away from a claiming expert on demotion", async function () {
+    const { directedQuestions, expertRegistry, owner, author, outsider } = await directedFixture();
+    await (await expertRegistry.connect(owner).promoteToExpert(outsider.address, [TECHNOLOGY])).wait();
+    const questionId = await postDirectedQuestion(directedQuestions, author, { specialties: [TECHNOLOGY] });
+    await (await directedQuestions.connect(outsider).claimAccess(questionId)).wait();
+    expect(await directedQuestions.hasKeyAccess(questionId, outsider.address)).to.equal(true);
+
+    await (await expertRegistry.connect(owner).demoteExpert(outsider.address)).wait();
+
+    expect(await directedQuestions.hasKeyAccess(questionId, outsider.address)).to.equal(false);
+    expect(await directedQuestions.canAccess(questionId, outsider.address)).to.equal(false);
+    await expect(directedQuestions.connect(outsider).claimAccess(questionId))
+      .to.be.revertedWith("Not an expert for this question");
+  });
+
+  it("lists each question once in an inbox", async function () {
+    const { categoryRegistry, directedQuestions, expertRegistry, owner, author, recipient } = await directedFixture();
+    await (await categoryRegistry.addCategory("AI", TECHNOLOGY)).wait();
+    await (await expertRegistry.connect(owner).promoteToExpert(recipient.address, [TECHNOLOGY, AI])).wait();
+    const questionId = await postDirectedQuestion(directedQuestions, author, {
+      categoryId: AI, recipients: [recipient.address], specialties: [AI]
+    });
+
+    expect(await directedQuestions.getInbox(recipient.address)).to.deep.equal([questionId]);
+  });
+
+  it("requires at least one recipient", async function () {
+    const { directedQuestions, author } = await directedFixture();
+
+    await expect(postDirectedQuestion(directedQuestions, author)).to.be.revertedWith("No recipients given");
+  });
+
+  it("only lets DirectedQuestions post on someone else's behalf", async function () {
+    const { privacyQA, author, outsider } = await directedFixture();
+
+    await expect(privacyQA.connect(outsider).postQuestionFor(
+      author.address, 1, "question", ethers.ZeroHash, 0, ethers.ZeroAddress, 0
+    )).to.be.revertedWith("Not authorized");
+  });
+});
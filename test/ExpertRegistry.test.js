@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { deployPlatform, initializeUser, postQuestion, postDirectedQuestion, submitAnswer } = require("./fixtures");
+
+// The fixture's Technology category is 1; these add Technology / AI as 2 and Science as 3
+const TECHNOLOGY = 1;
+const AI = 2;
+const SCIENCE = 3;
+
+describe("ExpertRegistry", function () {
+  async function expertFixture() {
+    const platform = await deployPlatform();
+    const { privacyQA, categoryRegistry, expertRegistry, owner } = platform;
+    const [author, expert, answerer] = platform.users;
+    for (const user of [author, expert, answerer]) {
+      await initializeUser(privacyQA, user);
+    }
+
+    await (await categoryRegistry.addCategory("AI", TECHNOLOGY)).wait();
+    await (await categoryRegistry.addCategory("Science", 0)).wait();
+    await (await expertRegistry.connect(owner).promoteToExpert(expert.address, [TECHNOLOGY])).wait();
+    return { ...platform, author, expert, answerer };
+  }
+
+  it("matches specialties by category id, through renames", async function () {
+    const { categoryRegistry, expertRegistry, expert } = await expertFixture();
+    await (await categoryRegistry.renameCategory(TECHNOLOGY, "tech")).wait();
+
+    expect(await expertRegistry.isExpertIn(expert.address, TECHNOLOGY)).to.equal(true);
+    expect(await expertRegistry.isExpertIn(expert.address, SCIENCE)).to.equal(false);
+  });
+
+  it("covers the subcategories of a specialty", async function () {
+    const { expertRegistry, expert } = await expertFixture();
+
+    expect(await expertRegistry.isExpertIn(expert.address, AI)).to.equal(true);
+  });
+
+  it("does not cover the parent of a specialty", async function () {
+    const { expertRegistry, owner, answerer } = await expertFixture();
+    await (await expertRegistry.connect(owner).promoteToExpert(answerer.address, [AI])).wait();
+
+    expect(await expertRegistry.isExpertIn(answerer.address, AI)).to.equal(true);
+    expect(await expertRegistry.isExpertIn(answerer.address, TECHNOLOGY)).to.equal(false);
+  });
+
+  it("rejects specialties that are not active categories", async function () {
+    const { categoryRegistry, expertRegistry, owner, answerer } = await expertFixture();
+    await (await categoryRegistry.setCategoryArchived(SCIENCE, true)).wait();
+
+    await expect(expertRegistry.connect(owner).promoteToExpert(answerer.address, [99]))
+      .to.be.revertedWith("Invalid specialty");
+    await expect(expertRegistry.connect(answerer).applyForExpert([SCIENCE], []))
+      .to.be.revertedWith("Invalid specialty");
+  });
+
+  it("lets admins, not verifiers, review applications", async function () {
+    const { privacyQA, expertRegistry, owner, author, answerer } = await expertFixture();
+    await (await privacyQA.grantRole(await privacyQA.VERIFIER_ROLE(), author.address)).wait();
+    await (await expertRegistry.connect(answerer).applyForExpert([SCIENCE], [])).wait();
+    const applicationId = await expertRegistry.latestApplication(answerer.address);
+
+    await expect(expertRegistry.connect(author).reviewApplication(applicationId, true))
+      .to.be.revertedWith("Not authorized");
+    await (await expertRegistry.connect(owner).reviewApplication(applicationId, true)).wait();
+
+    expect(await expertRegistry.isExpertIn(answerer.address, SCIENCE)).to.equal(true);
+    expect(await expertRegistry.getPendingApplications()).to.deep.equal([]);
+  });
+
+  it("keeps the pending queue intact when an application from the middle is reviewed", async function () {
+    const { expertRegistry, owner, author, expert, answerer } = await expertFixture();
+    const applicationIds = [];
+    for (const applicant of [author, expert, answerer]) {
+      await (await expertRegistry.connect(applicant).applyForExpert([SCIENCE], [])).wait();
+      applicationIds.push(await expertRegistry.latestApplication(applicant.address));
+    }
+
+    await (await expertRegistry.connect(owner).reviewApplication(applicationIds[0], false)).wait();
+    await (await expertRegistry.connect(owner).reviewApplication(applicationIds[2], true)).wait();
+
+    expect(await expertRegistry.getPendingApplications()).to.deep.equal([applicationIds[1]]);
+    await (await expertRegistry.connect(owner).reviewApplication(applicationIds[1], true)).wait();
+    expect(await expertRegistry.getPendingApplications()).to.deep.equal([]);
+  });
+
+  it("lets experts verify answers in subcategories of their specialty", async function () {
+    const { privacyQA, answerVerification, author, expert, answerer } = await expertFixture();
+    const questionId = await postQuestion(privacyQA, author, { categoryId: AI });
+    const answerId = await submitAnswer(privacyQA, answerer, questionId);
+
+    expect(await answerVerification.canVerify(answerId, expert.address)).to.equal(true);
+  });
+
+  it("sends questions directed to a subcategory to experts in its parent", async function () {
+    const { directedQuestions, author, expert } = await expertFixture();
+    const questionId = await postDirectedQuestion(directedQuestions, author, { categoryId: AI, specialties: [AI] });
+
+    expect(await directedQuestions.getInbox(expert.address)).to.deep.equal([questionId]);
+    await expect(directedQuestions.connect(expert).claimAccess(questionId))
+      .to.emit(directedQuestions, "ContentKeyClaimed").withArgs(questionId, expert.address);
+  });
+});
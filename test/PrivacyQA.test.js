@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployPlatform, initializeUser, postQuestion, postDirectedQuestion, submitAnswer } = require("./fixtures");
+
+describe("PrivacyQA", function () {
+  async function answeredQuestionFixture() {
+    const platform = await deployPlatform();
+    const [author, answerer, other] = platform.users;
+    for (const user of [author, answerer, other]) {
+      await initializeUser(platform.privacyQA, user);
+    }
+
+    const questionId = await postQuestion(platform.privacyQA, author);
+    const answerId = await submitAnswer(platform.privacyQA, answerer, questionId);
+    const otherAnswerId = await submitAnswer(platform.privacyQA, other, questionId);
+    return { ...platform, author, answerer, questionId, answerId, otherAnswerId };
+  }
+
+  describe("awarding answers", function () {
+    it("selects the best answer once", async function () {
+      const { privacyQA, author, questionId, answerId, otherAnswerId } = await answeredQuestionFixture();
+      await expect(privacyQA.connect(author).selectBestAnswer(questionId, answerId))
+        .to.emit(privacyQA, "BestAnswerSelected").withArgs(questionId, answerId);
+
+      await expect(privacyQA.connect(author).selectBestAnswer(questionId, answerId))
+        .to.be.revertedWith("Best answer already selected");
+      await expect(privacyQA.connect(author).selectBestAnswer(questionId, otherAnswerId))
+        .to.be.revertedWith("Best answer already selected");
+    });
+
+    it("does not split after a best answer was selected", async function () {
+      const { privacyQA, author, questionId, answerId, otherAnswerId } = await answeredQuestionFixture();
+      await (await privacyQA.connect(author).splitBounty(questionId, [answerId, otherAnswerId], [60, 40])).wait();
+
+      await expect(privacyQA.connect(author).splitBounty(questionId, [answerId, otherAnswerId], [50, 50]))
+        .to.be.revertedWith("Best answer already selected");
+      expect(await privacyQA.questionAwarded(questionId)).to.equal(true);
+    });
+
+    it("does not award answers once the question is closed", async function () {
+      const { privacyQA, author, questionId, answerId } = await answeredQuestionFixture();
+      await (await privacyQA.connect(author).closeQuestion(questionId)).wait();
+
+      await expect(privacyQA.connect(author).selectBestAnswer(questionId, answerId))
+        .to.be.revertedWith("Question is not active");
+    });
+  });
+
+  describe("roles", function () {
+    async function rolesFixture() {
+      const platform = await deployPlatform();
+      const [admin, member, outsider] = platform.users;
+      for (const user of [admin, member, outsider]) {
+        await initializeUser(platform.privacyQA, user);
+      }
+      const role = async (name) => platform.privacyQA[`${name}_ROLE`]();
+      return { ...platform, admin, member, outsider, role };
+    }
+
+    it("lets only admins grant and revoke roles", async function () {
+      const { privacyQA, admin, member, outsider, role } = await rolesFixture();
+      const moderator = await role("MODERATOR");
+
+      await expect(privacyQA.connect(outsider).grantRole(moderator, member.address)).to.be.revertedWith("Not authorized");
+      await (await privacyQA.grantRole(await role("ADMIN"), admin.address)).wait();
+
+      await expect(privacyQA.connect(admin).grantRole(moderator, member.address))
+        .to.emit(privacyQA, "RoleGranted").withArgs(moderator, member.address, admin.address);
+      await expect(privacyQA.connect(admin).grantRole(moderator, member.address)).to.be.revertedWith("Role already granted");
+      expect(await privacyQA.hasRole(moderator, member.address)).to.equal(true);
+
+      await (await privacyQA.connect(admin).revokeRole(moderator, member.address)).wait();
+      expect(await privacyQA.hasRole(moderator, member.address)).to.equal(false);
+      await expect(privacyQA.connect(admin).revokeRole(moderator, member.address)).to.be.revertedWith("Role not granted");
+    });
+
+    it("lets moderators close anyone's question", async function () {
+      const { privacyQA, admin, member, outsider, role } = await rolesFixture();
+      const questionId = await postQuestion(privacyQA, admin);
+
+      await expect(privacyQA.connect(outsider).closeQuestion(questionId)).to.be.revertedWith("Not authorized to close question");
+      await (await privacyQA.grantRole(await role("MODERATOR"), member.address)).wait();
+      await (await privacyQA.connect(member).closeQuestion(questionId)).wait();
+
+      expect(await privacyQA.isQuestionActive(questionId)).to.equal(false);
+    });
+
+    it("lets only treasurers withdraw platform funds", async function () {
+      const { privacyQA, member, outsider, role } = await rolesFixture();
+      await (await outsider.sendTransaction({ to: await privacyQA.getAddress(), value: 1000n })).wait();
+
+      await expect(privacyQA.connect(outsider).withdrawFunds(outsider.address)).to.be.revertedWith("Not authorized");
+      await (await privacyQA.grantRole(await role("TREASURER"), member.address)).wait();
+      await expect(privacyQA.connect(member).withdrawFunds(member.address)).to.changeEtherBalance(member, 1000n);
+    });
+
+    it("moves ownership only once the new owner accepts", async function () {
+      const { privacyQA, owner, member, outsider, role } = await rolesFixture();
+      await expect(privacyQA.connect(member).transferOwnership(member.address)).to.be.revertedWith("Not authorized");
+
+      await expect(privacyQA.transferOwnership(member.address))
+        .to.emit(privacyQA, "OwnershipTransferStarted").withArgs(owner.address, member.address);
+      expect(await privacyQA.owner()).to.equal(owner.address);
+      await expect(privacyQA.connect(outsider).acceptOwnership()).to.be.revertedWith("Not the pending owner");
+
+      await expect(privacyQA.connect(member).acceptOwnership())
+        .to.emit(privacyQA, "OwnershipTransferred").withArgs(owner.address, member.address);
+      expect(await privacyQA.owner()).to.equal(member.address);
+      expect(await privacyQA.pendingOwner()).to.equal(ethers.ZeroAddress);
+      // Every role comes with ownership, so the previous owner keeps none of them
+      expect(await privacyQA.hasRole(await role("ADMIN"), owner.address)).to.equal(false);
+      expect(await privacyQA.hasRole(await role("ADMIN"), member.address)).to.equal(true);
+    });
+
+    it("cancels a pending transfer when address(0) is nominated", async function () {
+      const { privacyQA, member } = await rolesFixture();
+      await (await privacyQA.transferOwnership(member.address)).wait();
+      await (await privacyQA.transferOwnership(ethers.ZeroAddress)).wait();
+
+      await expect(privacyQA.connect(member).acceptOwnership()).to.be.revertedWith("Not the pending owner");
+    });
+  });
+
+  describe("feed listings", function () {
+    it("leaves directed questions out of the pages and their totals", async function () {
+      const { privacyQA, directedQuestions, author, answerer, questionId } = await answeredQuestionFixture();
+      await postDirectedQuestion(directedQuestions, author, { recipients: [answerer.address] });
+      const newestId = await postQuestion(privacyQA, author);
+
+      const page = await privacyQA.getQuestionsPage(0, 10);
+      expect(page.ids).to.deep.equal([newestId, questionId]);
+      expect(page.total).to.equal(2n);
+
+      const categoryPage = await privacyQA.getQuestionsByCategoryPage(1, 1, 10);
+      expect(categoryPage.ids).to.deep.equal([questionId]);
+      expect(categoryPage.total).to.equal(2n);
+    });
+  });
+});
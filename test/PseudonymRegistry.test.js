@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { deployPlatform, initializeUser, postQuestion, submitAnswer } = require("./fixtures");
+
+describe("PseudonymRegistry", function () {
+  // The pseudonym wins five best answers, 25 reputation each, on top of its starting 10
+  async function earningPseudonymFixture() {
+    const platform = await deployPlatform();
+    const { privacyQA, pseudonymRegistry } = platform;
+    const [author, owner, pseudonym] = platform.users;
+    await initializeUser(privacyQA, author);
+    await initializeUser(privacyQA, owner);
+
+    const secret = ethers.id("pseudonym secret");
+    const commitment = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [owner.address, secret])
+    );
+    await (await pseudonymRegistry.connect(pseudonym).registerPseudonym(commitment)).wait();
+    await initializeUser(privacyQA, pseudonym);
+
+    for (let i = 0; i < 5; i++) {
+      const questionId = await postQuestion(privacyQA, author);
+      const answerId = await submitAnswer(privacyQA, pseudonym, questionId);
+      await (await privacyQA.connect(author).selectBestAnswer(questionId, answerId)).wait();
+    }
+    return { ...platform, owner, pseudonym, secret };
+  }
+
+  async function reputationOf(privacyQA, user) {
+    const [handle] = await privacyQA.userProfiles(user.address);
+    return fhevm.userDecryptEuint(FhevmType.euint32, handle, await privacyQA.getAddress(), user);
+  }
+
+  it("caps the reputation an owner takes over from pseudonyms", async function () {
+    const { privacyQA, pseudonymRegistry, owner, pseudonym, secret } = await earningPseudonymFixture();
+    expect(await reputationOf(privacyQA, pseudonym)).to.equal(135n);
+
+    await (await pseudonymRegistry.connect(owner).claimRewards(pseudonym.address, secret, [])).wait();
+
+    expect(await reputationOf(privacyQA, owner)).to.equal(110n);
+    expect(await reputationOf(privacyQA, pseudonym)).to.equal(35n);
+  });
+
+  it("does not move more once the owner reached the cap", async function () {
+    const { privacyQA, pseudonymRegistry, owner, pseudonym, secret } = await earningPseudonymFixture();
+    await (await pseudonymRegistry.connect(owner).claimRewards(pseudonym.address, secret, [])).wait();
+    await (await pseudonymRegistry.connect(owner).claimRewards(pseudonym.address, secret, [])).wait();
+
+    expect(await reputationOf(privacyQA, owner)).to.equal(110n);
+    expect(await reputationOf(privacyQA, pseudonym)).to.equal(35n);
+  });
+});
@@ -0,0 +1,16 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+
+// public/ is the deployed copy of the frontend and must not drift from the sources
+describe("public assets", function () {
+  for (const file of ["js/app.js", "css/styles.css"]) {
+    it(`public/${file} matches ${file}`, function () {
+      const root = path.join(__dirname, "..");
+      const source = fs.readFileSync(path.join(root, file));
+      const published = fs.readFileSync(path.join(root, "public", file));
+
+      expect(published.equals(source), `copy ${file} to public/${file}`).to.equal(true);
+    });
+  }
+});
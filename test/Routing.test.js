@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { loadApp } = require("./appContext");
+
+const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("routing", function () {
+  let app;
+  let run;
+  let calls;
+  let classes;
+
+  // Records the page functions a route calls instead of rendering anything; openUserProfile
+  // stays real so its address check is covered
+  beforeEach(function () {
+    classes = { questionModal: new Set(["hidden"]), questions: new Set(["active"]) };
+    const document = {
+      addEventListener() {},
+      getElementById: (id) => ({ id, classList: { contains: (name) => (classes[id] || new Set()).has(name) } })
+    };
+    ({ context: app, run } = loadApp({ location: { hash: "" }, document }));
+
+    calls = [];
+    const record = (name) => (...args) => {
+      calls.push([name, ...args.map((arg) => (arg && arg.id) || arg)]);
+    };
+    for (const name of ["switchTab", "openQuestionDetail", "openAnswer", "hideQuestionModal",
+      "loadExpertApplications", "selectCategory", "showStatus"]) {
+      app[name] = record(name);
+    }
+  });
+
+  async function visit(hash, force) {
+    app.location.hash = hash;
+    calls = [];
+    await app.handleRoute(force);
+    return calls;
+  }
+
+  it("splits a hash into path segments and query", function () {
+    const { segments, query } = app.parseRoute("#/ask?category=AI%20Safety");
+
+    expect(Array.from(segments)).to.deep.equal(["ask"]);
+    expect(query.get("category")).to.equal("AI Safety");
+    expect(Array.from(app.parseRoute("#questions/7/").segments)).to.deep.equal(["questions", "7"]);
+    expect(Array.from(app.parseRoute("").segments)).to.deep.equal([]);
+  });
+
+  it("opens questions and answers by id", async function () {
+    expect(await visit("#/questions/7")).to.deep.equal([["openQuestionDetail", 7]]);
+    expect(await visit("#/answers/12")).to.deep.equal([["openAnswer", 12]]);
+
+    classes.questions.delete("active");
+    expect(await visit("#/questions/8")).to.deep.equal([["switchTab", "questions"], ["openQuestionDetail", 8]]);
+  });
+
+  it("maps tab routes to their tabs", async function () {
+    expect(await visit("#/profile")).to.deep.equal([["switchTab", "profile"]]);
+    expect(await visit("#/admin")).to.deep.equal([["switchTab", "admin"], ["loadExpertApplications"]]);
+    expect(await visit("#/ask?category=Technology"))
+      .to.deep.equal([["switchTab", "ask"], ["selectCategory", "questionCategory", "Technology"]]);
+  });
+
+  it("falls back to the question list", async function () {
+    classes.questions.delete("active");
+
+    expect(await visit("")).to.deep.equal([["switchTab", "questions"]]);
+    expect(run("currentRoute")).to.equal("#/questions");
+    expect(await visit("#/nowhere")).to.deep.equal([["switchTab", "questions"]]);
+  });
+
+  it("skips a route it is already on unless forced", async function () {
+    await visit("#/questions/7");
+
+    expect(await visit("#/questions/7")).to.deep.equal([]);
+    expect(await visit("#/questions/7", true)).to.deep.equal([["openQuestionDetail", 7]]);
+  });
+
+  it("closes the question modal when leaving questions and answers", async function () {
+    classes.questionModal.delete("hidden");
+
+    expect(await visit("#/answers/3")).to.deep.equal([["openAnswer", 3]]);
+    expect(await visit("#/questions")).to.deep.equal([["hideQuestionModal"]]);
+  });
+
+  it("opens user profiles by checksummed address and rejects anything else", async function () {
+    expect(await visit(`#/users/${ADDRESS.toLowerCase()}`)).to.deep.equal([["switchTab", "profile"]]);
+    expect(run("profileAddress")).to.equal(ADDRESS);
+
+    expect(await visit("#/users/0x1234")).to.deep.equal([["showStatus", "Invalid profile address", "error"]]);
+    expect(await visit("#/users")).to.deep.equal([["showStatus", "Invalid profile address", "error"]]);
+    expect(run("profileAddress")).to.equal(ADDRESS);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { loadApp } = require("./appContext");
+
+describe("search", function () {
+  let app;
+  let run;
+
+  beforeEach(function () {
+    ({ context: app, run } = loadApp());
+  });
+
+  function entry(key, text, fields = {}) {
+    return { key, text, category: "", isVerified: false, isBestAnswer: false, ...fields };
+  }
+
+  function rankedKeys(entries, query) {
+    return Array.from(app.rankSearchMatches(entries, app.tokenize(query)), (match) => match.key);
+  }
+
+  it("tokenizes on anything but letters and digits and drops single characters", function () {
+    expect(Array.from(app.tokenize("Zero-knowledge proofs, a ZK-SNARK & Ünïcode 2024!"))).to.deep.equal(
+      ["zero", "knowledge", "proofs", "zk", "snark", "ünïcode", "2024"]
+    );
+    expect(Array.from(app.tokenize(null))).to.deep.equal([]);
+  });
+
+  it("ranks by the number of tokens a term prefixes", function () {
+    const entries = [
+      entry("once", "Encryption at rest"),
+      entry("twice", "Encrypt before you encrypt again"),
+      entry("never", "Nothing relevant")
+    ];
+
+    const ranked = app.rankSearchMatches(entries, app.tokenize("encrypt"));
+    expect(Array.from(ranked, (match) => match.key)).to.deep.equal(["twice", "once", "never"]);
+    expect(Array.from(ranked, (match) => match.score)).to.deep.equal([2, 1, 0]);
+  });
+
+  it("adds a point when a term prefixes the category", function () {
+    const entries = [
+      entry("plain", "privacy"),
+      entry("categorized", "privacy", { category: "Privacy" })
+    ];
+
+    expect(rankedKeys(entries, "priv")).to.deep.equal(["categorized", "plain"]);
+  });
+
+  it("ranks verified and best answers above equal matches", function () {
+    const entries = [
+      entry("plain", "fhe fhe"),
+      entry("verified", "fhe fhe", { isVerified: true }),
+      entry("best", "fhe fhe", { isBestAnswer: true }),
+      entry("both", "fhe fhe", { isVerified: true, isBestAnswer: true })
+    ];
+
+    const ranked = app.rankSearchMatches(entries, ["fhe"]);
+    expect(Array.from(ranked, (match) => match.key)).to.deep.equal(["both", "best", "verified", "plain"]);
+    expect(Array.from(ranked, (match) => match.score)).to.deep.equal([6, 4, 3, 2]);
+  });
+
+  it("returns at most SEARCH_RESULT_LIMIT results", function () {
+    const limit = run("SEARCH_RESULT_LIMIT");
+    const entries = Array.from({ length: limit + 5 }, (_, i) => entry(`q:${i}`, "match"));
+
+    expect(app.rankSearchMatches(entries, ["match"]).length).to.equal(limit);
+  });
+
+  it("highlights terms in escaped text", function () {
+    expect(app.highlightMatches("<b>Encrypted</b> (data)", ["encrypt", "(data"]))
+      .to.equal("&lt;b&gt;<mark>Encrypt</mark>ed&lt;/b&gt; <mark>(data</mark>)");
+  });
+
+  it("cuts snippets around the first match", function () {
+    const text = `${"a".repeat(100)} needle ${"b".repeat(300)}`;
+    const snippet = app.searchSnippet(text, ["needle"], 50);
+
+    expect(snippet).to.equal(`...${text.substring(61, 111)}...`);
+    expect(snippet).to.include("needle");
+    expect(app.searchSnippet("short text", ["missing"])).to.equal("short text");
+  });
+});
\ No newline at end of file
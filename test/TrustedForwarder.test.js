@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployPlatform, initializeUser, postQuestion, submitAnswer } = require("./fixtures");
+
+const REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "data", type: "bytes" }
+  ]
+};
+// Order of the secp256k1 group; n - s is the malleable twin of a signature's s
+const SECP256K1_N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141n;
+
+// Builds and signs a request for signer to call method on target; overrides replace fields
+async function signRequest(forwarder, signer, target, method, args, overrides = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: "PrivacyQA Forwarder",
+    version: "1",
+    chainId,
+    verifyingContract: await forwarder.getAddress()
+  };
+  const request = {
+    from: signer.address,
+    to: await target.getAddress(),
+    value: 0n,
+    gas: 5_000_000n,
+    nonce: await forwarder.nonces(signer.address),
+    deadline: BigInt(await time.latest()) + 3600n,
+    data: target.interface.encodeFunctionData(method, args),
+    ...overrides
+  };
+  return { request, signature: await signer.signTypedData(domain, REQUEST_TYPES, request) };
+}
+
+describe("TrustedForwarder", function () {
+  async function forwarderFixture() {
+    const [user, other, relayer] = await ethers.getSigners();
+    const forwarder = await ethers.deployContract("TrustedForwarder");
+    const target = await ethers.deployContract("ForwarderTarget", [await forwarder.getAddress()]);
+    return { forwarder, target, user, other, relayer };
+  }
+
+  it("passes the signer to the target", async function () {
+    const { forwarder, target, user, relayer } = await forwarderFixture();
+    const { request, signature } = await signRequest(forwarder, user, target, "recordSender", []);
+
+    await expect(forwarder.connect(relayer).execute(request, signature))
+      .to.emit(forwarder, "RequestExecuted").withArgs(user.address, await target.getAddress(), 0n);
+    expect(await target.lastSender()).to.equal(user.address);
+    expect(await forwarder.nonces(user.address)).to.equal(1n);
+  });
+
+  it("rejects a replayed request", async function () {
+    const { forwarder, target, user, relayer } = await forwarderFixture();
+    const { request, signature } = await signRequest(forwarder, user, target, "recordSender", []);
+    await (await forwarder.connect(relayer).execute(request, signature)).wait();
+
+    expect(await forwarder.verify(request, signature)).to.equal(false);
+    await expect(forwarder.connect(relayer).execute(request, signature)).to.be.revertedWith("Invalid nonce");
+  });
+
+  it("rejects a request past its deadline", async function () {
+    const { forwarder, target, user, relayer } = await forwarderFixture();
+    const deadline = BigInt(await time.latest()) + 60n;
+    const { request, signature } = await signRequest(forwarder, user, target, "recordSender", [], { deadline });
+    await time.increase(120);
+
+    await expect(forwarder.connect(relayer).execute(request, signature)).to.be.revertedWith("Request expired");
+  });
+
+  it("rejects a request signed by someone other than from", async function () {
+    const { forwarder, target, user, other, relayer } = await forwarderFixture();
+    const { request } = await signRequest(forwarder, user, target, "recordSender", []);
+    const { signature } = await signRequest(forwarder, other, target, "recordSender", [], { from: user.address });
+
+    await expect(forwarder.connect(relayer).execute(request, signature)).to.be.revertedWith("Invalid signature");
+  });
+
+  it("rejects the high-s twin of a valid signature", async function () {
+    const { forwarder, target, user, relayer } = await forwarderFixture();
+    const { request, signature } = await signRequest(forwarder, user, target, "recordSender", []);
+    const { r, s, v } = ethers.Signature.from(signature);
+    const highS = ethers.toBeHex(SECP256K1_N - BigInt(s), 32);
+    const twin = ethers.concat([r, highS, ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+
+    expect(await forwarder.verify(request, signature)).to.equal(true);
+    expect(await forwarder.verify(request, twin)).to.equal(false);
+    await expect(forwarder.connect(relayer).execute(request, twin)).to.be.revertedWith("Invalid signature");
+  });
+
+  it("refuses to run a request with less gas than it was signed for", async function () {
+    const { forwarder, target, user, relayer } = await forwarderFixture();
+    const { request, signature } = await signRequest(forwarder, user, target, "burnGas", [], { gas: 1_000_000n });
+
+    await expect(forwarder.connect(relayer).execute(request, signature, { gasLimit: 600_000 }))
+      .to.be.revertedWith("Insufficient gas");
+    expect(await forwarder.nonces(user.address)).to.equal(0n);
+  });
+
+  // Every contract that accepts relayed calls must act for the signer, not the relayer
+  describe("recipients", function () {
+    let platform;
+    let owner;
+    let author;
+    let answerer;
+    let relayer;
+
+    async function relay(signer, target, method, args) {
+      const { request, signature } = await signRequest(platform.forwarder, signer, target, method, args);
+      return platform.forwarder.connect(relayer).execute(request, signature);
+    }
+
+    before(async function () {
+      platform = await deployPlatform();
+      [author, answerer, relayer] = platform.users;
+      owner = platform.owner;
+      await initializeUser(platform.privacyQA, owner);
+      await initializeUser(platform.privacyQA, answerer);
+    });
+
+    it("PrivacyQA", async function () {
+      const { privacyQA, forwarder } = platform;
+      const input = await fhevm.createEncryptedInput(await privacyQA.getAddress(), author.address).add32(10).encrypt();
+      await (await relay(author, privacyQA, "initializeUser", [input.handles[0], input.inputProof])).wait();
+
+      expect((await privacyQA.userProfiles(author.address)).joinDate).to.not.equal(0n);
+
+      // An input encrypted for anyone but the signer, the forwarder included, is rejected
+      const forwarderInput = await fhevm
+        .createEncryptedInput(await privacyQA.getAddress(), await forwarder.getAddress())
+        .add32(10)
+        .encrypt();
+      await expect(relay(relayer, privacyQA, "initializeUser", [forwarderInput.handles[0], forwarderInput.inputProof]))
+        .to.be.reverted;
+    });
+
+    it("CategoryRegistry", async function () {
+      const { categoryRegistry } = platform;
+
+      await expect(relay(owner, categoryRegistry, "addCategory", ["Relayed", 0]))
+        .to.emit(categoryRegistry, "CategoryAdded");
+    });
+
+    it("AnswerVerification", async function () {
+      const { answerVerification } = platform;
+      await (await relay(owner, answerVerification, "setVerificationQuorum", [3])).wait();
+
+      expect(await answerVerification.verificationQuorum()).to.equal(3n);
+    });
+
+    it("ExpertRegistry", async function () {
+      const { expertRegistry } = platform;
+      await (await relay(owner, expertRegistry, "setExpertTerm", [123])).wait();
+
+      expect(await expertRegistry.expertTerm()).to.equal(123n);
+    });
+
+    it("PseudonymRegistry", async function () {
+      const { pseudonymRegistry } = platform;
+      const pseudonym = ethers.Wallet.createRandom().connect(ethers.provider);
+      const commitment = ethers.id("commitment");
+      await (await relay(pseudonym, pseudonymRegistry, "registerPseudonym", [commitment])).wait();
+
+      expect(await pseudonymRegistry.ownerCommitments(pseudonym.address)).to.equal(commitment);
+    });
+
+    it("DirectedQuestions", async function () {
+      const { privacyQA, directedQuestions } = platform;
+      const input = await fhevm
+        .createEncryptedInput(await directedQuestions.getAddress(), author.address)
+        .add8(0)
+        .add256(1234n)
+        .encrypt();
+      const questionId = await privacyQA.nextQuestionId();
+      await (await relay(author, directedQuestions, "postDirectedQuestion", [
+        1, "question", input.handles[0], 0, ethers.ZeroAddress, 0,
+        [answerer.address], [], input.handles[1], input.inputProof
+      ])).wait();
+
+      expect((await privacyQA.getQuestionInfo(questionId)).author).to.equal(author.address);
+      expect(await directedQuestions.hasKeyAccess(questionId, author.address)).to.equal(true);
+    });
+
+    it("ContentRevisions", async function () {
+      const { privacyQA, contentRevisions } = platform;
+      const questionId = await postQuestion(privacyQA, author);
+
+      await expect(relay(author, contentRevisions, "editQuestion", [questionId, "edited"]))
+        .to.emit(contentRevisions, "QuestionEdited");
+    });
+
+    it("CommentThreads", async function () {
+      const { privacyQA, commentThreads } = platform;
+      const questionId = await postQuestion(privacyQA, author);
+
+      await expect(relay(author, commentThreads, "postComment", [questionId, 0, 0, "comment"]))
+        .to.emit(commentThreads, "CommentPosted").withArgs(1n, questionId, 0n, 0n, author.address);
+    });
+
+    it("BountyEscrow", async function () {
+      const { privacyQA, bountyEscrow, token } = platform;
+      const questionId = await postQuestion(privacyQA, author);
+      await (await token.mint(author.address, 1000n)).wait();
+      await (await token.connect(author).approve(await bountyEscrow.getAddress(), 1000n)).wait();
+      await (await relay(author, bountyEscrow, "increaseBounty", [questionId, await token.getAddress(), 1000n, 24 * 60 * 60])).wait();
+
+      expect(await bountyEscrow.bountyContributions(questionId, author.address)).to.equal(1000n);
+    });
+
+    it("AnswerScores", async function () {
+      const { privacyQA, answerScores } = platform;
+      const questionId = await postQuestion(privacyQA, owner);
+      const answerId = await submitAnswer(privacyQA, answerer, questionId);
+      const input = await fhevm.createEncryptedInput(await answerScores.getAddress(), author.address).add32(7).encrypt();
+      await (await relay(author, answerScores, "voteOnAnswer", [answerId, input.handles[0], input.inputProof])).wait();
+
+      expect(await answerScores.hasVoted(answerId, author.address)).to.equal(true);
+    });
+  });
+});
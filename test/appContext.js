@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const ethers = require("ethers-v5");
+
+const APP_SOURCE = fs.readFileSync(path.join(__dirname, "..", "js", "app.js"), "utf8");
+
+// Runs js/app.js the way index.html does: as a classic script in one global scope, with
+// ethers v5 (the version index.html loads) and as much of the browser as the code under
+// test touches. globals adds to or replaces those. Top-level functions can be swapped out
+// on the returned context; let and const bindings are only reachable through run().
+function loadApp(globals = {}) {
+  const storage = new Map();
+  const context = vm.createContext({
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URLSearchParams,
+    atob,
+    btoa,
+    ethers,
+    window: {},
+    document: { addEventListener() {} },
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key)
+    },
+    ...globals
+  });
+  vm.runInContext(APP_SOURCE, context, { filename: "js/app.js" });
+
+  return { context, run: (code) => vm.runInContext(code, context) };
+}
+
+module.exports = { loadApp };
\ No newline at end of file
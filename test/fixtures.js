@@ -0,0 +1,90 @@
+const { ethers, fhevm } = require("hardhat");
+
+// Mirrors scripts/deploy.js so the tests run against the same wiring as a real deployment.
+// Tests deploy afresh rather than through loadFixture: the mock decryption oracle keeps its
+// requests across snapshot reverts and rejects a request id that comes round again.
+const MODULES = [
+  ["BountyEscrow", "setBountyEscrow"],
+  ["AnswerScores", "setAnswerScores"],
+  ["AnswerVerification", "setAnswerVerification"],
+  ["ExpertRegistry", "setExpertRegistry"],
+  ["CategoryRegistry", "setCategoryRegistry"],
+  ["ContentRevisions", "setContentRevisions"],
+  ["CommentThreads", "setCommentThreads"],
+  ["DirectedQuestions", "setDirectedQuestions"],
+  ["PseudonymRegistry", "setPseudonymRegistry"]
+];
+
+async function deployPlatform() {
+  const [owner, ...users] = await ethers.getSigners();
+
+  const forwarder = await ethers.deployContract("TrustedForwarder");
+  const privacyQA = await ethers.deployContract("PrivacyQA", [await forwarder.getAddress()]);
+
+  const contracts = { forwarder, privacyQA };
+  for (const [name, setter] of MODULES) {
+    const module = await ethers.deployContract(name, [await privacyQA.getAddress(), await forwarder.getAddress()]);
+    await (await privacyQA[setter](await module.getAddress())).wait();
+    contracts[name[0].toLowerCase() + name.slice(1)] = module;
+  }
+
+  await (await contracts.categoryRegistry.addCategory("Technology", 0)).wait();
+
+  const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 6]);
+  await (await contracts.bountyEscrow.setBountyToken(await token.getAddress(), true)).wait();
+
+  return { ...contracts, token, owner, users };
+}
+
+async function initializeUser(privacyQA, signer, reputation = 10) {
+  const input = await fhevm
+    .createEncryptedInput(await privacyQA.getAddress(), signer.address)
+    .add32(reputation)
+    .encrypt();
+  await (await privacyQA.connect(signer).initializeUser(input.handles[0], input.inputProof)).wait();
+}
+
+// Returns the id of the new question; options cover the category, threshold and bounty arguments
+async function postQuestion(privacyQA, author, options = {}) {
+  const {
+    categoryId = 1, reputationRequired = 0, duration = 0, token = ethers.ZeroAddress, tokenAmount = 0, value = 0
+  } = options;
+  const input = await fhevm
+    .createEncryptedInput(await privacyQA.getAddress(), author.address)
+    .add8(reputationRequired)
+    .encrypt();
+
+  const questionId = await privacyQA.nextQuestionId();
+  await (await privacyQA.connect(author).postQuestion(
+    categoryId, "question", input.handles[0], input.inputProof, duration, token, tokenAmount, { value }
+  )).wait();
+  return questionId;
+}
+
+// Posts a question only the recipients and experts in the specialties can read; returns its id
+async function postDirectedQuestion(directedQuestions, author, options = {}) {
+  const { categoryId = 1, recipients = [], specialties = [], contentKey = 1234n, duration = 0, value = 0 } = options;
+  const input = await fhevm
+    .createEncryptedInput(await directedQuestions.getAddress(), author.address)
+    .add8(0)
+    .add256(contentKey)
+    .encrypt();
+
+  const tx = await directedQuestions.connect(author).postDirectedQuestion(
+    categoryId, "question", input.handles[0], duration, ethers.ZeroAddress, 0,
+    recipients, specialties, input.handles[1], input.inputProof, { value }
+  );
+  const receipt = await tx.wait();
+  return receipt.logs.map((log) => directedQuestions.interface.parseLog(log))
+    .find((event) => event && event.name === "QuestionDirected").args.questionId;
+}
+
+// Waits for the eligibility check so the answer can be voted on and awarded
+async function submitAnswer(privacyQA, author, questionId) {
+  const answerId = await privacyQA.nextAnswerId();
+  await (await privacyQA.connect(author).submitAnswer(questionId, "answer")).wait();
+  await fhevm.awaitDecryptionOracle();
+  return answerId;
+}
+
+module.exports = { deployPlatform, initializeUser, postQuestion, postDirectedQuestion, submitAnswer };